@@ -1,8 +1,20 @@
 /**
  * Background service worker for Gemini Chat Exporter
- * Handles extension lifecycle events
+ * Handles extension lifecycle events, downloads for the content script and
+ * batch exports, which outlive the popup that starts them
  */
 
+// UMD builds; as modules they attach JSZip, katex and docx to the worker's global scope
+import './libs/jszip.min.js';
+import './libs/katex.min.js';
+import './libs/docx.js';
+import { exportConversations } from './batch-export.js';
+import { createExport } from './export-formats.js';
+import { uniqueFolder } from './exporters/filename.js';
+
+// State of the current (or last) batch export, reported to the popup
+let batchStatus = { running: false };
+
 console.log('Gemini Chat Exporter background service worker loaded');
 
 /**
@@ -21,6 +33,172 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+/**
+ * Handle requests from the content script
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'openPrintView') {
+    // Content scripts cannot open extension pages themselves
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`print.html?job=${encodeURIComponent(request.jobId)}`)
+    }).then(
+      () => sendResponse({ success: true }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
+
+  if (request.action === 'fetchImage') {
+    // Image hosts often omit CORS headers; the worker can fetch them via host permissions
+    fetchImageAsDataUrl(request.url).then(
+      (dataUrl) => sendResponse({ success: true, dataUrl }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
+
+  if (request.action === 'downloadFile') {
+    // Single export from the in-chat menu, honouring the Save As preference
+    chrome.downloads.download({
+      url: request.url,
+      filename: request.filename,
+      saveAs: Boolean(request.saveAs),
+      conflictAction: 'uniquify'
+    }).then(
+      () => sendResponse({ success: true }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
+
+  if (request.action === 'startBatchExport') {
+    if (batchStatus.running) {
+      sendResponse({ success: false, error: 'A batch export is already running' });
+      return;
+    }
+    runBatchExport(request);
+    sendResponse({ success: true });
+    return;
+  }
+
+  if (request.action === 'getBatchStatus') {
+    sendResponse({ success: true, status: batchStatus });
+    return;
+  }
+
+  if (request.action === 'downloadBundle') {
+    // Content scripts have no downloads API; save each file (data URL) on their behalf
+    downloadBundle(request.folder, request.files).then(
+      () => sendResponse({ success: true }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
+});
+
+/**
+ * Export conversations into one archive and download it
+ * Progress goes to the popup while it is open; it asks for batchStatus when reopened.
+ * The extension API calls of each step keep the worker alive until the batch ends.
+ * @param {Object} request - {conversations, format, options} from the popup
+ * @returns {Promise<void>}
+ */
+async function runBatchExport({ conversations, format, options }) {
+  const total = conversations.length;
+  setBatchStatus({ running: true, index: 0, total, title: '' });
+
+  try {
+    const result = await exportConversations(conversations, {
+      createExport: (data, index) => createExport(format, data, { ...options, index: index + 1 }),
+      onProgress: (index, count, conversation) => {
+        setBatchStatus({ running: true, index, total: count, title: conversation.title });
+      }
+    });
+
+    // Workers have no URL.createObjectURL, so the archive is downloaded as a data URL
+    await chrome.downloads.download({
+      url: await blobToDataUrl(result.blob),
+      filename: result.filename,
+      saveAs: Boolean(options.saveAs),
+      conflictAction: 'uniquify'
+    });
+    setBatchStatus({ running: false, total, failures: result.failures.length });
+  } catch (error) {
+    console.error('Batch export error:', error);
+    setBatchStatus({ running: false, total, error: error.message });
+  }
+}
+
+/**
+ * Save a document and its assets together in a folder no earlier export uses
+ * @param {string} folder - Folder relative to the Downloads folder
+ * @param {Array} files - Files ({url, path}) with paths relative to the folder
+ * @returns {Promise<void>}
+ */
+async function downloadBundle(folder, files) {
+  const name = folder.split('/').pop();
+  const existing = await chrome.downloads.search({ filenameRegex: escapeRegExp(name), exists: true });
+  const target = uniqueFolder(folder, existing.map(item => item.filename));
+
+  for (const file of files) {
+    await chrome.downloads.download({
+      url: file.url,
+      filename: `${target}/${file.path}`,
+      saveAs: false,
+      conflictAction: 'uniquify'
+    });
+  }
+}
+
+/**
+ * Escape text for use in chrome.downloads.search's filenameRegex
+ * @param {string} text
+ * @returns {string} Pattern matching the text literally
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Record the batch status and tell the popup, if it is open
+ * @param {Object} status - {running, index, total, title, failures, error}
+ */
+function setBatchStatus(status) {
+  batchStatus = status;
+  chrome.runtime.sendMessage({ action: 'batchProgress', status }).catch(() => {});
+}
+
+/**
+ * Fetch an image and encode it as a data URL
+ * @param {string} url - Image URL
+ * @returns {Promise<string>} Data URL
+ */
+async function fetchImageAsDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Image request failed with status ${response.status}`);
+  }
+
+  const mimeType = response.headers.get('content-type') || 'application/octet-stream';
+  return blobToDataUrl(await response.blob(), mimeType);
+}
+
+/**
+ * Encode a blob as a data URL
+ * @param {Blob} blob
+ * @param {string} [mimeType] - Type to use instead of the blob's own
+ * @returns {Promise<string>} Data URL
+ */
+async function blobToDataUrl(blob, mimeType = blob.type || 'application/octet-stream') {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${mimeType.split(';')[0]};base64,${btoa(binary)}`;
+}
+
 /**
  * Handle extension icon click (open popup)
  */
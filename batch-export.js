@@ -0,0 +1,183 @@
+/**
+ * Batch export for Gemini Chat Exporter
+ * Opens conversations from the Gemini sidebar in background tabs, extracts
+ * each one through the content script and packs the exports into one .zip
+ * Note: This requires the JSZip library (libs/jszip.min.js) to be loaded
+ */
+
+import { uniqueFilename, splitPath } from './exporters/filename.js';
+
+const PAGE_LOAD_TIMEOUT = 30000;
+const EXTRACT_TIMEOUT = 30000;
+const EXTRACT_POLL_INTERVAL = 1000;
+
+/**
+ * List the conversations currently shown in the Gemini sidebar
+ * @param {number} tabId - Tab running the content script
+ * @returns {Promise<Array>} Conversations ({id, title, url})
+ */
+export async function listConversations(tabId) {
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'listConversations' });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Could not read the conversation list');
+  }
+  return response.conversations;
+}
+
+/**
+ * Export several conversations into a single archive
+ * @param {Array} conversations - Conversations to export ({id, title, url})
+ * @param {Object} settings
+ * @param {Function} settings.createExport - (data, index) => Promise<export result>
+ * @param {Function} [settings.onProgress] - (index, total, conversation) => void
+ * @returns {Promise<Object>} Archive result with blob, filename and per-conversation failures
+ */
+export async function exportConversations(conversations, { createExport, onProgress }) {
+  const zip = new JSZip();
+  const usedNames = new Set();
+  const failures = [];
+
+  for (let index = 0; index < conversations.length; index++) {
+    const conversation = conversations[index];
+    if (onProgress) {
+      onProgress(index, conversations.length, conversation);
+    }
+
+    try {
+      const data = await extractConversation(conversation.url);
+      const result = await createExport(data, index);
+      addResultToZip(zip, result, usedNames);
+    } catch (error) {
+      console.error(`Batch export failed for ${conversation.url}:`, error);
+      failures.push({ conversation, error: error.message });
+    }
+  }
+
+  if (failures.length === conversations.length) {
+    throw new Error('None of the selected conversations could be exported');
+  }
+
+  if (failures.length > 0) {
+    zip.file('export-errors.txt', failures
+      .map(({ conversation, error }) => `${conversation.title} (${conversation.url}): ${error}`)
+      .join('\n') + '\n');
+  }
+
+  const timestamp = new Date().toISOString().split('T')[0];
+  return {
+    blob: await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' }),
+    filename: `gemini-conversations-${timestamp}.zip`,
+    mimeType: 'application/zip',
+    failures
+  };
+}
+
+/**
+ * Open a conversation in a background tab and extract it
+ * @param {string} url - Conversation URL
+ * @returns {Promise<Object>} Extracted data ({metadata, messages})
+ */
+async function extractConversation(url) {
+  const tab = await chrome.tabs.create({ url, active: false });
+
+  try {
+    await waitForTabComplete(tab.id, PAGE_LOAD_TIMEOUT);
+    return await waitForMessages(tab.id, EXTRACT_TIMEOUT);
+  } finally {
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Wait until a tab has finished loading
+ * @param {number} tabId
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Timed out loading the conversation'));
+    }, timeout);
+
+    const finish = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        finish();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        finish();
+      }
+    }, () => {});
+  });
+}
+
+/**
+ * Poll the content script until the conversation has rendered
+ * Gemini streams turns in after page load, so wait for the message count to settle.
+ * @param {number} tabId
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<Object>} Extracted data ({metadata, messages})
+ */
+async function waitForMessages(tabId, timeout) {
+  const deadline = Date.now() + timeout;
+  let previousCount = -1;
+  let latest = null;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
+      if (response && response.success) {
+        const count = response.data.messages.length;
+        if (count > 0 && count === previousCount) {
+          return response.data;
+        }
+        previousCount = count;
+        latest = response.data;
+      }
+    } catch (error) {
+      // Content script not injected yet; try again.
+    }
+
+    await new Promise(resolve => setTimeout(resolve, EXTRACT_POLL_INTERVAL));
+  }
+
+  if (latest && latest.messages.length > 0) {
+    return latest;
+  }
+  throw new Error('Timed out waiting for the conversation to load');
+}
+
+/**
+ * Add an export result to the archive under a unique name
+ * @param {JSZip} zip
+ * @param {Object} result - Exporter result ({content|blob, filename, assets})
+ * @param {Set<string>} usedNames - Names already in the archive
+ */
+function addResultToZip(zip, result, usedNames) {
+  const filename = uniqueFilename(result.filename, usedNames);
+  const body = result.blob || result.content;
+
+  if (!result.assets || result.assets.length === 0) {
+    zip.file(filename, body);
+    return;
+  }
+
+  // Keep documents with image assets in their own folder so relative paths resolve.
+  const { folder: parent, name, extension } = splitPath(filename);
+  const folder = `${parent}${name}`;
+  zip.file(`${folder}/${name}${extension}`, body);
+  for (const asset of result.assets) {
+    zip.file(`${folder}/${asset.path}`, asset.dataUrl.slice(asset.dataUrl.indexOf(',') + 1), { base64: true });
+  }
+}
@@ -6,371 +6,190 @@
 (function() {
   'use strict';
 
+  const {
+    extractMessage,
+    extractAllMessages,
+    isInsideThinking,
+    listTurns,
+    extractTurns,
+    extractSelection
+  } = globalThis.GeminiExtractor;
+
   /**
-   * Extracts a single response message from Gemini
-   * @param {Element} messageElement - The message container element
-   * @returns {Object} Extracted message data
+   * Get the response elements of the conversation, leaving out the ones inside reasoning panels
+   * @param {Document|Element} root
+   * @returns {Element[]} message-content elements in document order
    */
-  function extractMessage(messageElement) {
-    const contentDiv = messageElement.querySelector('.markdown');
-    if (!contentDiv) return null;
-
-    const data = {
-      type: 'response',
-      html: contentDiv.innerHTML,
-      text: contentDiv.innerText,
-      timestamp: new Date().toISOString(),
-      formattedElements: []
-    };
+  function getResponseElements(root = document) {
+    return Array.from(root.querySelectorAll('message-content')).filter(element => !isInsideThinking(element));
+  }
 
-    // Extract math formulas (KaTeX)
-    const mathBlocks = contentDiv.querySelectorAll('.math-block');
-    mathBlocks.forEach(block => {
-      const latex = block.getAttribute('data-math');
-      if (latex) {
-        data.formattedElements.push({
-          type: 'math-block',
-          latex: latex,
-          display: true
-        });
+  // Visible height of each response, kept up to date while the page scrolls
+  const visibleHeights = new WeakMap();
+  const visibilityObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        visibleHeights.set(entry.target, entry.intersectionRect.height);
+      } else {
+        visibleHeights.delete(entry.target);
       }
     });
+  }, { threshold: [0, 0.1, 0.25, 0.5, 0.75, 1] });
 
-    const mathInline = contentDiv.querySelectorAll('.math-inline');
-    mathInline.forEach(inline => {
-      const latex = inline.getAttribute('data-math');
-      if (latex) {
-        data.formattedElements.push({
-          type: 'math-inline',
-          latex: latex,
-          display: false
-        });
-      }
-    });
+  // Response the user last clicked, typed in or selected text in
+  let lastInteractedResponse = null;
 
-    // Extract formatted text structure
-    data.structure = extractStructure(contentDiv);
+  function trackResponse(messageElement) {
+    if (messageElement.dataset.geminiExportTracked) return;
+    messageElement.dataset.geminiExportTracked = 'true';
+    visibilityObserver.observe(messageElement);
+  }
 
-    return data;
+  function rememberInteraction(event) {
+    const target = event.target instanceof Element ? event.target : event.target?.parentElement;
+    const turn = target?.closest('model-response') || target?.closest('message-content');
+    if (!turn) return;
+    const response = turn.matches('model-response') ? getResponseElements(turn)[0] : turn;
+    if (response && !isInsideThinking(response)) {
+      lastInteractedResponse = response;
+    }
   }
 
   /**
-   * Extracts structured content from the message
-   * @param {Element} element - The content element
-   * @returns {Array} Array of structured content blocks
+   * Find the response the user is reading
+   * The last clicked response wins while it is still on screen; otherwise the
+   * response taking up most of the viewport, or the one closest to it.
+   * @returns {Element|null} message-content element
    */
-  function extractStructure(element) {
-    const structure = [];
+  function getCurrentResponse() {
+    const responses = getResponseElements();
+    if (responses.length === 0) return null;
 
-    const collectBlocks = (node) => {
-      if (node.nodeType !== Node.ELEMENT_NODE) {
-        return;
-      }
+    if (lastInteractedResponse && responses.includes(lastInteractedResponse) && visibleHeights.has(lastInteractedResponse)) {
+      return lastInteractedResponse;
+    }
 
-      const tagName = node.tagName.toLowerCase();
-
-      // Code block custom component
-      if (tagName === 'code-block' || node.classList.contains('code-block')) {
-        const pre = node.querySelector('pre');
-        const codeEl = node.querySelector('pre code');
-        if (pre && codeEl) {
-          const languageLabel = node.querySelector('.code-block-decoration span');
-          structure.push({
-            tag: 'code-block',
-            type: 'code-block',
-            code: codeEl.innerText || pre.innerText,
-            language: languageLabel ? languageLabel.innerText.trim().toLowerCase() : 'text'
-          });
-          return;
-        }
-      }
-
-      // Handle block elements
-      switch (tagName) {
-        case 'p':
-          structure.push({
-            tag: tagName,
-            text: node.innerText,
-            html: node.innerHTML,
-            type: 'paragraph',
-            content: processInlineContent(node)
-          });
-          return;
-        case 'h1':
-        case 'h2':
-        case 'h3':
-        case 'h4':
-        case 'h5':
-        case 'h6':
-          structure.push({
-            tag: tagName,
-            text: node.innerText,
-            html: node.innerHTML,
-            type: 'heading',
-            level: parseInt(node.tagName[1]),
-            content: processInlineContent(node)
-          });
-          return;
-        case 'ul':
-        case 'ol':
-          structure.push({
-            tag: tagName,
-            text: node.innerText,
-            html: node.innerHTML,
-            type: tagName === 'ul' ? 'unordered-list' : 'ordered-list',
-            items: extractListItems(node)
-          });
-          return;
-        case 'blockquote':
-          structure.push({
-            tag: tagName,
-            text: node.innerText,
-            html: node.innerHTML,
-            type: 'blockquote',
-            content: processInlineContent(node)
-          });
-          return;
-        case 'pre':
-          structure.push({
-            tag: tagName,
-            text: node.innerText,
-            html: node.innerHTML,
-            type: 'code-block',
-            code: node.innerText,
-            language: (node.querySelector('code')?.className || '').replace('language-', '') || 'text'
-          });
-          return;
-        case 'hr':
-          structure.push({
-            tag: tagName,
-            text: '',
-            html: '',
-            type: 'horizontal-rule'
-          });
-          return;
-        case 'table':
-          structure.push({
-            tag: tagName,
-            text: node.innerText,
-            html: node.innerHTML,
-            type: 'table',
-            data: extractTable(node)
-          });
-          return;
-        case 'div':
-          if (node.classList.contains('math-block')) {
-            structure.push({
-              tag: tagName,
-              text: node.innerText,
-              html: node.innerHTML,
-              type: 'math-block',
-              latex: node.getAttribute('data-math')
-            });
-            return;
-          }
-          break;
+    let current = null;
+    let currentHeight = 0;
+    responses.forEach(response => {
+      const height = visibleHeights.get(response) || 0;
+      if (height > currentHeight) {
+        current = response;
+        currentHeight = height;
       }
+    });
+    if (current) return current;
 
-      // Traverse children for wrapper elements
-      node.childNodes.forEach(child => collectBlocks(child));
+    // Nothing visible (e.g. a long prompt fills the screen): measure the distance to the viewport
+    const middle = window.innerHeight / 2;
+    const distance = (response) => {
+      const rect = response.getBoundingClientRect();
+      return rect.bottom < middle ? middle - rect.bottom : Math.max(0, rect.top - middle);
     };
-
-    element.childNodes.forEach(child => collectBlocks(child));
-    return structure;
+    return responses.reduce((nearest, response) => (distance(response) < distance(nearest) ? response : nearest));
   }
 
   /**
-   * Process inline content (bold, italic, code, math, links)
-   * @param {Element} element
-   * @returns {Array} Array of inline elements
+   * Pick the response for a single-response export or preview
+   * @param {number} [index] - Position among the responses; defaults to the current response
+   * @returns {{element: Element, index: number, total: number}|null}
    */
-  function processInlineContent(element, options = {}) {
-    const content = [];
-    const excludeSelectors = options.excludeSelectors || [];
-
-    const shouldExclude = (node) => {
-      if (node.nodeType !== Node.ELEMENT_NODE) return false;
-      return excludeSelectors.some(selector => node.matches(selector));
-    };
-
-    const walk = (node, target) => {
-      if (node.nodeType === Node.TEXT_NODE) {
-        if (node.textContent) {
-          target.push({
-            type: 'text',
-            text: node.textContent
-          });
-        }
-        return;
-      }
-
-      if (node.nodeType !== Node.ELEMENT_NODE || shouldExclude(node)) {
-        return;
-      }
-
-      const tagName = node.tagName.toLowerCase();
-
-      if (tagName === 'br') {
-        target.push({ type: 'text', text: '\n' });
-        return;
-      }
+  function resolveResponse(index) {
+    const responses = getResponseElements();
+    if (responses.length === 0) return null;
+
+    const element = Number.isInteger(index)
+      ? responses[Math.min(Math.max(index, 0), responses.length - 1)]
+      : getCurrentResponse();
+    return { element, index: responses.indexOf(element), total: responses.length };
+  }
 
-      if (tagName === 'div' && node.classList.contains('math-block')) {
-        const latex = node.getAttribute('data-math');
-        if (latex) {
-          target.push({
-            type: 'math-block',
-            latex
-          });
-        }
-        return;
+  /**
+   * Attach embeddable image data (data URL, MIME type, dimensions) to image blocks
+   * @param {Array} messages - Extracted messages (modified in place)
+   * @returns {Promise<Array>} The same messages
+   */
+  async function resolveImageData(messages) {
+    const imageBlocks = [];
+    const collectImages = (blocks) => blocks.forEach(block => {
+      if (block.type === 'image' && block.src && !block.dataUrl) {
+        imageBlocks.push(block);
+      } else if (block.type === 'thinking') {
+        collectImages(block.structure || []);
       }
+    });
+    messages.forEach(message => collectImages(message?.structure || []));
 
-      if (tagName === 'span' && node.classList.contains('math-inline')) {
-        const latex = node.getAttribute('data-math');
-        if (latex) {
-          target.push({
-            type: 'math-inline',
-            latex
-          });
-        }
-        return;
+    await Promise.all(imageBlocks.map(async (block) => {
+      try {
+        Object.assign(block, await loadImageData(block.src));
+      } catch (error) {
+        // Exporters fall back to the original URL.
+        console.warn('Could not embed image:', block.src, error);
       }
+    }));
 
-      // Skip KaTeX render spans; we export from data-math wrappers.
-      if (tagName === 'span' && node.classList.contains('katex')) {
-        return;
-      }
+    return messages;
+  }
 
-      switch (tagName) {
-        case 'b':
-        case 'strong': {
-          const inner = [];
-          node.childNodes.forEach(child => walk(child, inner));
-          target.push({
-            type: 'bold',
-            text: node.textContent,
-            content: inner
-          });
-          return;
-        }
-        case 'i':
-        case 'em': {
-          const inner = [];
-          node.childNodes.forEach(child => walk(child, inner));
-          target.push({
-            type: 'italic',
-            text: node.textContent,
-            content: inner
-          });
-          return;
-        }
-        case 'code':
-          if (!node.closest('.math-inline')) {
-            target.push({
-              type: 'code',
-              text: node.textContent
-            });
-          }
-          return;
-        case 'a': {
-          const inner = [];
-          node.childNodes.forEach(child => walk(child, inner));
-          target.push({
-            type: 'link',
-            text: node.textContent,
-            href: node.href,
-            content: inner
-          });
-          return;
-        }
-      }
+  async function loadImageData(src) {
+    const blob = await fetchImageBlob(src);
+    const bitmap = await createImageBitmap(blob);
+    const width = bitmap.width;
+    const height = bitmap.height;
+
+    // Word and pdfLaTeX only handle PNG/JPEG reliably, so re-encode anything else (WebP, GIF, ...).
+    let output = blob;
+    if (blob.type !== 'image/png' && blob.type !== 'image/jpeg') {
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0);
+      output = await canvas.convertToBlob({ type: 'image/png' });
+    }
+    bitmap.close();
 
-      node.childNodes.forEach(child => walk(child, target));
+    return {
+      dataUrl: await blobToDataUrl(output),
+      mimeType: output.type,
+      width,
+      height
     };
-
-    element.childNodes.forEach(child => walk(child, content));
-    return content;
   }
 
-  /**
-   * Extract list items
-   * @param {Element} listElement
-   * @returns {Array} Array of list items
-   */
-  function extractListItems(listElement) {
-    const items = [];
-    const listItems = listElement.querySelectorAll(':scope > li');
-    
-    listItems.forEach(li => {
-      const item = {
-        content: processInlineContent(li, { excludeSelectors: ['ul', 'ol'] })
-      };
-      
-      // Check for nested lists
-      const nestedList = li.querySelector('ul, ol');
-      if (nestedList) {
-        item.nested = extractListItems(nestedList);
-        item.nestedType = nestedList.tagName.toLowerCase() === 'ul' ? 'unordered' : 'ordered';
+  async function fetchImageBlob(src) {
+    try {
+      const response = await fetch(src);
+      if (response.ok) {
+        return await response.blob();
       }
-      
-      items.push(item);
-    });
-    
-    return items;
-  }
-
-  /**
-   * Extract table data
-   * @param {Element} tableElement
-   * @returns {Object} Table structure
-   */
-  function extractTable(tableElement) {
-    const table = {
-      headers: [],
-      rows: []
-    };
-
-    const thead = tableElement.querySelector('thead');
-    if (thead) {
-      const headerCells = thead.querySelectorAll('th, td');
-      headerCells.forEach(th => {
-        table.headers.push(processInlineContent(th));
-      });
+    } catch (error) {
+      // Likely blocked by CORS; retry through the background worker.
     }
 
-    const tbody = tableElement.querySelector('tbody') || tableElement;
-    const rows = tbody.querySelectorAll('tr');
-    rows.forEach(tr => {
-      const row = [];
-      const cells = tr.querySelectorAll('td, th');
-      cells.forEach(cell => {
-        row.push(processInlineContent(cell));
-      });
-      if (row.length > 0) {
-        table.rows.push(row);
-      }
-    });
-
-    return table;
+    const response = await chrome.runtime.sendMessage({ action: 'fetchImage', url: src });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Image fetch failed');
+    }
+    return dataUrlToBlob(response.dataUrl);
   }
 
-  /**
-   * Extract all messages from the current conversation
-   * @returns {Array} Array of all messages
-   */
-  function extractAllMessages() {
-    const messages = [];
-    const containers = document.querySelectorAll('message-content');
-
-    containers.forEach(container => {
-      const message = extractMessage(container);
-      if (message) {
-        messages.push(message);
-      }
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
     });
+  }
 
-    return messages;
+  function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
   }
 
   /**
@@ -382,10 +201,36 @@
       url: window.location.href,
       title: document.title || 'Gemini Conversation',
       timestamp: new Date().toISOString(),
-      messageCount: document.querySelectorAll('message-content').length
+      messageCount: document.querySelectorAll('user-query').length + getResponseElements().length
     };
   }
 
+  /**
+   * List the conversations shown in the Gemini sidebar history
+   * @returns {Array} Conversations ({id, title, url}) in sidebar order
+   */
+  function listSidebarConversations() {
+    const conversations = [];
+    const seen = new Set();
+
+    document.querySelectorAll('a[href*="/app/"]').forEach(link => {
+      const match = new URL(link.href, window.location.origin).pathname.match(/\/app\/([A-Za-z0-9_-]+)/);
+      if (!match || seen.has(match[1])) return;
+      seen.add(match[1]);
+
+      const titleElement = link.querySelector('.conversation-title') || link;
+      const title = (titleElement.innerText || titleElement.textContent || '').trim();
+
+      conversations.push({
+        id: match[1],
+        title: title || 'Untitled conversation',
+        url: new URL(`/app/${match[1]}`, window.location.origin).href
+      });
+    });
+
+    return conversations;
+  }
+
   const EXPORT_BUTTON_CLASS = 'gemini-export-button';
   const EXPORT_MENU_CLASS = 'gemini-export-menu';
   const EXPORT_MENU_OPEN_CLASS = 'gemini-export-menu-open';
@@ -581,45 +426,53 @@
     }, delay);
   }
 
+  const EXPORT_MENU_ITEMS = [
+    { format: 'markdown', label: 'Export Markdown (.md)' },
+    { format: 'word', label: 'Export Word (.docx)' },
+    { format: 'latex', label: 'Export LaTeX (.tex)' },
+    { format: 'latex-zip', label: 'Export LaTeX project (.zip)' },
+    { format: 'html', label: 'Export HTML (.html)' },
+    { format: 'pdf', label: 'Export PDF (.pdf)' },
+    { format: 'copy-markdown', label: 'Copy as Markdown' },
+    { format: 'copy-latex', label: 'Copy as LaTeX' },
+    { format: 'copy-rich', label: 'Copy as rich text' }
+  ];
+
   function buildExportMenu(messageElement) {
     const menu = document.createElement('div');
     menu.className = EXPORT_MENU_CLASS;
 
-    const markdownButton = document.createElement('button');
-    markdownButton.type = 'button';
-    markdownButton.textContent = 'Export Markdown (.md)';
-    markdownButton.addEventListener('click', async (event) => {
-      event.stopPropagation();
-      await handleInChatExport(messageElement, 'markdown');
-      closeAllExportMenus();
-    });
-
-    const wordButton = document.createElement('button');
-    wordButton.type = 'button';
-    wordButton.textContent = 'Export Word (.docx)';
-    wordButton.addEventListener('click', async (event) => {
-      event.stopPropagation();
-      await handleInChatExport(messageElement, 'word');
-      closeAllExportMenus();
-    });
-
-    const latexButton = document.createElement('button');
-    latexButton.type = 'button';
-    latexButton.textContent = 'Export LaTeX (.tex)';
-    latexButton.addEventListener('click', async (event) => {
-      event.stopPropagation();
-      await handleInChatExport(messageElement, 'latex');
-      closeAllExportMenus();
+    EXPORT_MENU_ITEMS.forEach(({ format, label }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', async (event) => {
+        event.stopPropagation();
+        await handleInChatExport(messageElement, format);
+        closeAllExportMenus();
+      });
+      button.dataset.format = format;
+      menu.appendChild(button);
     });
 
-    menu.appendChild(markdownButton);
-    menu.appendChild(wordButton);
-    menu.appendChild(latexButton);
+    // List the default format from the options page first
+    import(chrome.runtime.getURL('settings.js'))
+      .then(({ loadSettings }) => loadSettings())
+      .then(({ format }) => {
+        const preferred = menu.querySelector(`button[data-format="${format}"]`);
+        if (preferred) {
+          menu.prepend(preferred);
+        }
+      })
+      .catch(() => {});
 
     return menu;
   }
 
   function ensureExportButton(messageElement) {
+    if (isInsideThinking(messageElement)) return;
+    trackResponse(messageElement);
+
     const contentDiv = messageElement.querySelector('.markdown');
     if (!contentDiv) return;
 
@@ -681,6 +534,16 @@
     await import(chrome.runtime.getURL('libs/docx.js'));
   }
 
+  async function ensureJsZipLoaded() {
+    if (globalThis.JSZip) return;
+    await import(chrome.runtime.getURL('libs/jszip.min.js'));
+  }
+
+  async function ensureKatexLoaded() {
+    if (globalThis.katex) return;
+    await import(chrome.runtime.getURL('libs/katex.min.js'));
+  }
+
   async function handleInChatExport(messageElement, format) {
     const exportButton = document.querySelector(`.${EXPORT_BUTTON_CLASS}[data-export-id="${messageElement.dataset.geminiExportId}"]`);
     if (exportButton) {
@@ -702,24 +565,68 @@
         messages: [message]
       };
 
+      const { loadTemplates } = await import(chrome.runtime.getURL('templates.js'));
+      const { loadSettings } = await import(chrome.runtime.getURL('settings.js'));
       const options = {
-        includeTimestamp: true,
-        includeMeta: true
+        ...await loadTemplates(),
+        ...await loadSettings()
       };
 
+      if (format.startsWith('copy-')) {
+        await ensureKatexLoaded();
+        const { ClipboardExporter } = await import(chrome.runtime.getURL('exporters/clipboard-exporter.js'));
+        // Images are still loading when the write starts; see copyToClipboard
+        const result = await ClipboardExporter.copyToClipboard(resolveImageData([message]).then(() => data), format.slice('copy-'.length), options);
+        showCopied(exportButton);
+        reportMathErrors(result.mathErrors);
+        return;
+      }
+
+      await resolveImageData([message]);
+
       if (format === 'markdown') {
-        const { MarkdownExporter } = await import(chrome.runtime.getURL('exporters/markdown-exporter.js'));
-        const result = MarkdownExporter.exportToMarkdown(data, options);
-        await downloadFile(result.content, result.filename, result.mimeType);
+        let result;
+        if (options.markdownMode === 'obsidian') {
+          const { ObsidianExporter } = await import(chrome.runtime.getURL('exporters/obsidian-exporter.js'));
+          result = ObsidianExporter.exportToObsidian(data, options);
+        } else {
+          const { MarkdownExporter } = await import(chrome.runtime.getURL('exporters/markdown-exporter.js'));
+          result = MarkdownExporter.exportToMarkdown(data, options);
+        }
+        await downloadTextResult(result, options.saveAs);
       } else if (format === 'word') {
         await ensureDocxLoaded();
+        await ensureKatexLoaded();
         const { WordExporter } = await import(chrome.runtime.getURL('exporters/word-exporter.js'));
         const result = await WordExporter.exportToWord(data, options);
-        await downloadBlob(result.blob, result.filename);
+        await downloadBlob(result.blob, result.filename, options.saveAs);
+        reportMathWarnings(result.mathWarnings);
+        reportMathErrors(result.mathErrors);
       } else if (format === 'latex') {
+        await ensureKatexLoaded();
         const { LatexExporter } = await import(chrome.runtime.getURL('exporters/latex-exporter.js'));
         const result = LatexExporter.exportToLatex(data, options);
-        await downloadFile(result.content, result.filename, result.mimeType);
+        await downloadTextResult(result, options.saveAs);
+        reportMathWarnings(result.mathWarnings);
+      } else if (format === 'latex-zip') {
+        await ensureJsZipLoaded();
+        await ensureKatexLoaded();
+        const { LatexExporter } = await import(chrome.runtime.getURL('exporters/latex-exporter.js'));
+        const result = await LatexExporter.exportToLatexBundle(data, options);
+        await downloadBlob(result.blob, result.filename, options.saveAs);
+        reportMathWarnings(result.mathWarnings);
+      } else if (format === 'html') {
+        await ensureKatexLoaded();
+        const { HtmlExporter } = await import(chrome.runtime.getURL('exporters/html-exporter.js'));
+        const result = await HtmlExporter.exportToHtml(data, options);
+        await downloadFile(result.content, result.filename, result.mimeType, options.saveAs);
+        reportMathErrors(result.mathErrors);
+      } else if (format === 'pdf') {
+        await ensureKatexLoaded();
+        const { PdfExporter } = await import(chrome.runtime.getURL('exporters/pdf-exporter.js'));
+        const result = await PdfExporter.exportToPdf(data, options);
+        await openPrintView(result.content, result.filename);
+        reportMathErrors(result.mathErrors);
       } else {
         throw new Error(`Unsupported export format: ${format}`);
       }
@@ -733,20 +640,49 @@
     }
   }
 
-  async function downloadFile(content, filename, mimeType) {
+  function reportMathErrors(mathErrors = []) {
+    if (mathErrors.length === 0) return;
+
+    const lines = mathErrors.map(error => `• ${error.latex}\n  ${error.message}`);
+    console.warn('Formulas that could not be converted:\n' + lines.join('\n'));
+    alert(`${mathErrors.length} ${mathErrors.length === 1 ? 'formula' : 'formulas'} could not be converted and ${mathErrors.length === 1 ? 'was' : 'were'} kept as LaTeX source:\n\n${lines.join('\n')}`);
+  }
+
+  function reportMathWarnings(mathWarnings = []) {
+    if (mathWarnings.length === 0) return;
+
+    const lines = mathWarnings.map(warning => `• ${warning.latex}\n  ${warning.message}`);
+    console.warn('Formulas adjusted for export:\n' + lines.join('\n'));
+    alert(`${mathWarnings.length} ${mathWarnings.length === 1 ? 'change was' : 'changes were'} made to formulas for this export:\n\n${lines.join('\n')}`);
+  }
+
+  function showCopied(exportButton) {
+    if (!exportButton) return;
+    exportButton.textContent = 'Copied';
+    setTimeout(() => {
+      exportButton.textContent = 'Export';
+    }, 1500);
+  }
+
+  async function downloadFile(content, filename, mimeType, saveAs) {
     const blob = new Blob([content], { type: mimeType });
-    await downloadBlob(blob, filename);
+    await downloadBlob(blob, filename, saveAs);
   }
 
-  async function downloadBlob(blob, filename) {
+  async function downloadBlob(blob, filename, saveAs = true) {
     const url = URL.createObjectURL(blob);
 
     try {
-      await chrome.downloads.download({
-        url: url,
-        filename: filename,
-        saveAs: true
+      // Content scripts have no downloads API; the background worker saves it.
+      const response = await chrome.runtime.sendMessage({
+        action: 'downloadFile',
+        url: await blobToDataUrl(blob),
+        filename,
+        saveAs
       });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Download failed');
+      }
     } catch (error) {
       const a = document.createElement('a');
       a.href = url;
@@ -759,8 +695,46 @@
     }
   }
 
+  async function downloadTextResult(result, saveAs) {
+    if (!result.assets || result.assets.length === 0) {
+      await downloadFile(result.content, result.filename, result.mimeType, saveAs);
+      return;
+    }
+
+    // Keep the document and its images/ folder together under <Downloads>/<path>/<name>/.
+    const { splitPath } = await import(chrome.runtime.getURL('exporters/filename.js'));
+    const { folder: parent, name, extension } = splitPath(result.filename);
+    const files = [
+      {
+        url: `data:${result.mimeType};charset=utf-8,${encodeURIComponent(result.content)}`,
+        path: `${name}${extension}`
+      },
+      ...result.assets.map(asset => ({
+        url: asset.dataUrl,
+        path: asset.path
+      }))
+    ];
+
+    // The worker picks a folder name earlier exports have not used
+    const response = await chrome.runtime.sendMessage({ action: 'downloadBundle', folder: `${parent}${name}`, files });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Download failed');
+    }
+  }
+
+  async function openPrintView(html, filename) {
+    const jobId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    await chrome.storage.local.set({ [`printJob:${jobId}`]: { html, filename } });
+
+    // The background worker opens the print view tab on our behalf.
+    const response = await chrome.runtime.sendMessage({ action: 'openPrintView', jobId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not open the print view');
+    }
+  }
+
   function scanForMessages(root = document) {
-    const messageNodes = root.querySelectorAll ? root.querySelectorAll('message-content') : [];
+    const messageNodes = root.querySelectorAll ? getResponseElements(root) : [];
     messageNodes.forEach(messageElement => ensureExportButton(messageElement));
   }
 
@@ -769,35 +743,95 @@
     if (request.action === 'extractContent') {
       const metadata = getConversationMetadata();
       const messages = extractAllMessages();
-      
-      sendResponse({
-        success: true,
-        data: {
-          metadata,
-          messages
-        }
-      });
-    } else if (request.action === 'extractSingleResponse') {
-      // Extract the most recent response
-      const containers = document.querySelectorAll('message-content');
-      if (containers.length > 0) {
-        const lastContainer = containers[containers.length - 1];
-        const message = extractMessage(lastContainer);
-        const metadata = getConversationMetadata();
-        
+
+      resolveImageData(messages).then(() => {
         sendResponse({
           success: true,
           data: {
             metadata,
-            messages: [message]
+            messages
           }
         });
+      });
+    } else if (request.action === 'previewResponse') {
+      const response = resolveResponse(request.index);
+      if (response) {
+        if (request.reveal) {
+          response.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        sendResponse({
+          success: true,
+          index: response.index,
+          total: response.total,
+          message: extractMessage(response.element)
+        });
+      } else {
+        sendResponse({
+          success: false,
+          error: 'No messages found'
+        });
+      }
+    } else if (request.action === 'extractSingleResponse') {
+      // Extract the response the popup switched to, else the one being read
+      const response = resolveResponse(request.index);
+      if (response) {
+        const message = extractMessage(response.element);
+        const metadata = getConversationMetadata();
+
+        resolveImageData([message]).then(() => {
+          sendResponse({
+            success: true,
+            data: {
+              metadata,
+              messages: [message]
+            }
+          });
+        });
       } else {
         sendResponse({
           success: false,
           error: 'No messages found'
         });
       }
+    } else if (request.action === 'listTurns') {
+      const turns = listTurns();
+      sendResponse({
+        success: turns.length > 0,
+        turns,
+        error: turns.length > 0 ? undefined : 'No messages found'
+      });
+    } else if (request.action === 'extractTurns' || request.action === 'extractSelection') {
+      const messages = request.action === 'extractTurns'
+        ? extractTurns(request.turns || [])
+        : extractSelection(window.getSelection());
+
+      if (messages.length === 0) {
+        sendResponse({
+          success: false,
+          error: request.action === 'extractTurns' ? 'No turns selected' : 'Select some text in the conversation first'
+        });
+        return true;
+      }
+
+      resolveImageData(messages).then(() => {
+        sendResponse({
+          success: true,
+          data: {
+            metadata: {
+              ...getConversationMetadata(),
+              messageCount: messages.length
+            },
+            messages
+          }
+        });
+      });
+    } else if (request.action === 'listConversations') {
+      const conversations = listSidebarConversations();
+      sendResponse({
+        success: conversations.length > 0,
+        conversations,
+        error: conversations.length > 0 ? undefined : 'No conversations found in the sidebar. Open the sidebar and try again.'
+      });
     }
     
     return true; // Keep the message channel open for async response
@@ -809,6 +843,9 @@
     }
   });
 
+  document.addEventListener('pointerdown', rememberInteraction, true);
+  document.addEventListener('focusin', rememberInteraction, true);
+
   scanForMessages();
 
   const observer = new MutationObserver((mutations) => {
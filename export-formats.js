@@ -0,0 +1,47 @@
+/**
+ * Export formats for Gemini Chat Exporter
+ * Runs the exporter for a format; shared by the popup and the batch export
+ * in the background service worker.
+ * Note: Word, LaTeX bundles and math need the docx, JSZip and KaTeX libraries
+ * (libs/) to be loaded by the page or worker that imports this module
+ */
+
+import { MarkdownExporter } from './exporters/markdown-exporter.js';
+import { ObsidianExporter } from './exporters/obsidian-exporter.js';
+import { WordExporter } from './exporters/word-exporter.js';
+import { LatexExporter } from './exporters/latex-exporter.js';
+import { HtmlExporter } from './exporters/html-exporter.js';
+import { PdfExporter } from './exporters/pdf-exporter.js';
+
+/**
+ * Run the exporter for a format
+ * @param {string} format - Export format (markdown, word, latex, html, pdf)
+ * @param {Object} data - Extracted data ({metadata, messages})
+ * @param {Object} options - Export options
+ * @returns {Promise<Object>} Exporter result
+ */
+export async function createExport(format, data, options) {
+  switch (format) {
+    case 'markdown':
+      return options.markdownMode === 'obsidian'
+        ? ObsidianExporter.exportToObsidian(data, options)
+        : MarkdownExporter.exportToMarkdown(data, options);
+
+    case 'word':
+      return await WordExporter.exportToWord(data, options);
+
+    case 'latex':
+      return options.latexBundle
+        ? await LatexExporter.exportToLatexBundle(data, options)
+        : LatexExporter.exportToLatex(data, options);
+
+    case 'html':
+      return await HtmlExporter.exportToHtml(data, options);
+
+    case 'pdf':
+      return await PdfExporter.exportToPdf(data, options);
+
+    default:
+      throw new Error(`Unknown format: ${format}`);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Citations for Gemini Chat Exporter
+ * Numbers the web sources a grounded answer cites, so every exporter can
+ * render the same markers ([1], [^1], footnotes) and a references section.
+ */
+
+/**
+ * Sources in the order they are first cited
+ * Citing the same URL again reuses its number.
+ */
+export class CitationList {
+  constructor() {
+    this.sources = [];
+  }
+
+  /**
+   * Number a citation marker
+   * @param {Object} citation - Citation node ({index, url, title})
+   * @returns {Object} Source ({number, url, title, cited})
+   */
+  cite(citation) {
+    const source = this.add(citation);
+    source.cited = true;
+    return source;
+  }
+
+  /**
+   * Add a source without citing it (e.g. from the Sources list under an answer)
+   * @param {Object} citation - Citation node or source ({index, url, title})
+   * @returns {Object} Source ({number, url, title, cited})
+   */
+  add(citation) {
+    const key = getSourceKey(citation);
+    let source = this.sources.find(entry => entry.key === key);
+    if (!source) {
+      source = {
+        key,
+        number: this.sources.length + 1,
+        url: citation.url || '',
+        title: getSourceTitle(citation),
+        cited: false
+      };
+      this.sources.push(source);
+    }
+    return source;
+  }
+
+  /**
+   * Add the Sources lists of messages, after the sources already cited
+   * @param {Array} messages - Extracted messages
+   */
+  addMessageSources(messages) {
+    for (const message of messages) {
+      (message?.sources || []).forEach(source => this.add(source));
+    }
+  }
+
+  get size() {
+    return this.sources.length;
+  }
+}
+
+/**
+ * Get a readable title for a source
+ * @param {Object} source - Citation node or source ({url, title, index})
+ * @returns {string} Title, else the host name of the URL
+ */
+export function getSourceTitle(source) {
+  const title = String(source.title || '').replace(/\s+/g, ' ').trim();
+  if (title) return title;
+
+  try {
+    return new URL(source.url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return source.index ? `Source ${source.index}` : 'Source';
+  }
+}
+
+/**
+ * @param {Object} citation
+ * @returns {string} Key identifying the source of a citation
+ */
+function getSourceKey(citation) {
+  if (citation.url) return citation.url;
+  return citation.index ? `#${citation.index}` : `title:${getSourceTitle(citation)}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Clipboard Exporter for Gemini Chat Exporter
+ * Copies an export instead of downloading it: Markdown or LaTeX as plain
+ * text, or rich text (HTML with MathML math, plus a Markdown fallback) that
+ * Word, Google Docs and OneNote paste with equations intact.
+ * Note: Rich text requires the KaTeX library (libs/katex.min.js) to be loaded
+ */
+
+import { MarkdownExporter } from './markdown-exporter.js';
+import { ObsidianExporter } from './obsidian-exporter.js';
+import { LatexExporter } from './latex-exporter.js';
+import { HtmlExporter } from './html-exporter.js';
+
+// Clipboard representations written for each format
+export const CLIPBOARD_FORMATS = {
+  markdown: ['text/plain'],
+  latex: ['text/plain'],
+  rich: ['text/html', 'text/plain']
+};
+
+export class ClipboardExporter {
+  constructor(data, options = {}) {
+    this.data = data;
+    this.options = {
+      includeTimestamp: true,
+      includeMeta: true,
+      ...options
+    };
+    // Formulas the rich text could not carry as MathML
+    this.mathErrors = [];
+  }
+
+  /**
+   * Build the clipboard representations for a format
+   * @param {string} format - 'markdown', 'latex' or 'rich'
+   * @returns {Promise<Object>} Text per MIME type ({'text/plain', 'text/html'})
+   */
+  async export(format) {
+    switch (format) {
+      case 'markdown':
+        return { 'text/plain': this.createMarkdown() };
+      case 'latex':
+        return { 'text/plain': this.createLatex() };
+      case 'rich':
+        return {
+          'text/html': await this.createHtml(),
+          'text/plain': this.createMarkdown()
+        };
+      default:
+        throw new Error(`Unknown clipboard format: ${format}`);
+    }
+  }
+
+  /**
+   * Create Markdown in the saved dialect
+   * Pasted text cannot carry an images/ folder, so images link to their original URL.
+   * @returns {string} Markdown
+   */
+  createMarkdown() {
+    const options = { ...this.options, imageMode: 'link', obsidianSplitNotes: false };
+    return this.options.markdownMode === 'obsidian'
+      ? ObsidianExporter.exportToObsidian(this.data, options).content
+      : MarkdownExporter.exportToMarkdown(this.data, options).content;
+  }
+
+  /**
+   * Create a LaTeX document whose images link to their original URL
+   * @returns {string} LaTeX source
+   */
+  createLatex() {
+    return LatexExporter.exportToLatex(this.withLinkedImages(), { ...this.options, bundle: false }).content;
+  }
+
+  /**
+   * Create an HTML document with MathML math and embedded images
+   * @returns {Promise<string>} HTML document
+   */
+  async createHtml() {
+    const result = await HtmlExporter.exportToHtml(this.data, {
+      ...this.options,
+      mathOutput: 'mathml',
+      inlineFonts: false
+    });
+    this.mathErrors = result.mathErrors;
+    return result.content;
+  }
+
+  /**
+   * Copy the data without embedded image data
+   * @returns {Object} Extracted data whose image blocks only keep their URL
+   */
+  withLinkedImages() {
+    const stripBlocks = (blocks) => (blocks || []).map(block => {
+      if (block.type === 'image') {
+        const { dataUrl, mimeType, ...linked } = block;
+        return linked;
+      }
+      return block.type === 'thinking' ? { ...block, structure: stripBlocks(block.structure) } : block;
+    });
+
+    return {
+      ...this.data,
+      messages: this.data.messages.map(message => (message ? { ...message, structure: stripBlocks(message.structure) } : message))
+    };
+  }
+
+  /**
+   * Static method to export data
+   * @param {Object} data - Extracted data
+   * @param {string} format - 'markdown', 'latex' or 'rich'
+   * @param {Object} options - Export options
+   * @returns {Promise<Object>} Text per MIME type
+   */
+  static async exportToClipboard(data, format, options = {}) {
+    return await new ClipboardExporter(data, options).export(format);
+  }
+
+  /**
+   * Write an export to the clipboard with the async Clipboard API
+   * The write starts right away, with the content still loading, so the click
+   * that triggered it still counts as the user gesture the browser requires.
+   * @param {Object|Promise<Object>} data - Extracted data, or a promise of it
+   * @param {string} format - 'markdown', 'latex' or 'rich'
+   * @param {Object} options - Export options
+   * @returns {Promise<Object>} Copy result with the formulas that failed to convert ({mathErrors})
+   */
+  static async copyToClipboard(data, format, options = {}) {
+    const types = CLIPBOARD_FORMATS[format];
+    if (!types) {
+      throw new Error(`Unknown clipboard format: ${format}`);
+    }
+
+    let exporter = null;
+    const content = Promise.resolve(data).then(resolved => {
+      exporter = new ClipboardExporter(resolved, options);
+      return exporter.export(format);
+    });
+    const item = new ClipboardItem(Object.fromEntries(types.map(type => [
+      type,
+      content.then(representations => new Blob([representations[type]], { type }))
+    ])));
+
+    await navigator.clipboard.write([item]);
+    return { mathErrors: exporter ? exporter.mathErrors : [] };
+  }
+}
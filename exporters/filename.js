@@ -0,0 +1,152 @@
+/**
+ * Filename patterns for Gemini Chat Exporter
+ * Builds download paths from a pattern such as "Gemini/{date}/{title}".
+ * Slashes create subfolders below the Downloads folder (chrome.downloads
+ * accepts relative paths); every path segment is sanitized separately.
+ */
+
+export const DEFAULT_FILENAME_PATTERN = '{title}-{date}';
+
+/**
+ * Placeholders available in filename patterns
+ */
+export const FILENAME_PLACEHOLDERS = {
+  title: 'Conversation title',
+  date: 'Export date (YYYY-MM-DD)',
+  time: 'Export time (HH-MM-SS)',
+  conversationId: 'ID from the conversation URL',
+  format: 'Export format (markdown, word, latex, html, pdf)',
+  index: 'Position in a batch export (1 for single exports)'
+};
+
+// Names Windows refuses for files, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+const MAX_SEGMENT_LENGTH = 80;
+
+/**
+ * Build a download path for an export
+ * @param {Object} metadata - Conversation metadata ({title, url})
+ * @param {Object} settings
+ * @param {string} settings.extension - File extension without the dot
+ * @param {string} [settings.format] - Export format, for {format}
+ * @param {string} [settings.pattern] - Filename pattern (defaults to {title}-{date})
+ * @param {number} [settings.index] - Batch position, for {index}
+ * @param {Date} [settings.date] - Export time (defaults to now)
+ * @returns {string} Relative path such as "gemini/2024-05-01/notes.md"
+ */
+export function buildFilename(metadata = {}, { extension, format = '', pattern, index = 1, date = new Date() } = {}) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const values = {
+    title: metadata.title || 'gemini-export',
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+    conversationId: getConversationId(metadata.url),
+    format,
+    index: String(index)
+  };
+
+  const segments = String(pattern || DEFAULT_FILENAME_PATTERN)
+    .split(/[\\/]+/)
+    .map(segment => sanitizeFilename(segment.replace(/\{(\w+)\}/g, (match, name) => {
+      // Placeholder values never introduce folders
+      return Object.hasOwn(values, name) ? values[name].replace(/[\\/]+/g, '-') : match;
+    })))
+    .filter(Boolean);
+
+  if (segments.length === 0) {
+    segments.push('gemini-export');
+  }
+
+  return segments.join('/') + (extension ? `.${extension}` : '');
+}
+
+/**
+ * Make one path segment safe on every platform
+ * Keeps letters and digits from any script (accents, CJK, Cyrillic, ...).
+ * @param {string} text - Raw segment
+ * @returns {string} Sanitized segment, or '' when nothing usable is left
+ */
+export function sanitizeFilename(text) {
+  let name = String(text)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}._-]+/gu, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+
+  // Truncate by code point so surrogate pairs are not split
+  const characters = Array.from(name);
+  if (characters.length > MAX_SEGMENT_LENGTH) {
+    name = characters.slice(0, MAX_SEGMENT_LENGTH).join('').replace(/[-.]+$/, '');
+  }
+
+  if (RESERVED_NAMES.test(name)) {
+    name = `${name}-`;
+  }
+
+  return name;
+}
+
+/**
+ * Read the conversation ID from a Gemini URL (/app/<id>)
+ * @param {string} url - Conversation URL
+ * @returns {string} Conversation ID, or '' for new chats
+ */
+export function getConversationId(url) {
+  const match = /\/app\/([A-Za-z0-9_-]+)/.exec(url || '');
+  return match ? match[1] : '';
+}
+
+/**
+ * Make a path unique by appending -2, -3, ... before the extension
+ * @param {string} path - Candidate path
+ * @param {Set<string>} usedNames - Paths already taken (updated)
+ * @returns {string} Unique path
+ */
+export function uniqueFilename(path, usedNames) {
+  const { folder, name, extension } = splitPath(path);
+
+  let candidate = path;
+  for (let n = 2; usedNames.has(candidate); n++) {
+    candidate = `${folder}${name}-${n}${extension}`;
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+/**
+ * Pick a bundle folder that no earlier download uses, appending -2, -3, ... like uniqueFilename
+ * Chrome's conflictAction only renames files, so a bundle (document plus images/)
+ * needs a fresh folder to keep a second export from replacing the first one's files.
+ * @param {string} folder - Candidate folder, relative to the Downloads folder
+ * @param {Array<string>} downloadedPaths - Absolute paths of existing downloads (chrome.downloads.search)
+ * @returns {string} Folder not containing any of the downloads
+ */
+export function uniqueFolder(folder, downloadedPaths) {
+  const paths = downloadedPaths.map(path => path.replace(/\\/g, '/'));
+  const taken = (candidate) => paths.some(path => path.includes(`/${candidate}/`));
+
+  let candidate = folder;
+  for (let n = 2; taken(candidate); n++) {
+    candidate = `${folder}-${n}`;
+  }
+  return candidate;
+}
+
+/**
+ * Split a path into folder (with trailing slash), base name and extension
+ * @param {string} path - Relative path
+ * @returns {{folder: string, name: string, extension: string}}
+ */
+export function splitPath(path) {
+  const slash = path.lastIndexOf('/');
+  const folder = path.slice(0, slash + 1);
+  const file = path.slice(slash + 1);
+  const dot = file.lastIndexOf('.');
+
+  return {
+    folder,
+    name: dot > 0 ? file.slice(0, dot) : file,
+    extension: dot > 0 ? file.slice(dot) : ''
+  };
+}
@@ -0,0 +1,687 @@
+/**
+ * HTML Exporter for Gemini Chat Exporter
+ * Converts extracted Gemini content to a single self-contained HTML file
+ * with pre-rendered KaTeX math and inlined styles/fonts.
+ * Note: This requires the KaTeX library (libs/katex.min.js) to be loaded
+ */
+
+import { buildFilename } from './filename.js';
+import { CitationList } from './citations.js';
+import { MathmlConverter } from './mathml.js';
+import { highlightCode, languageName, TOKEN_COLORS } from './syntax-highlight.js';
+
+const KATEX_CSS_URL = new URL('../libs/katex.min.css', import.meta.url);
+
+const BASE_STYLES = `
+  body {
+    margin: 0;
+    background: #ffffff;
+    color: #1f2328;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+    font-size: 16px;
+    line-height: 1.6;
+  }
+  .gemini-export {
+    max-width: 860px;
+    margin: 0 auto;
+    padding: 32px 24px 64px;
+  }
+  .export-header {
+    border-bottom: 1px solid #d0d7de;
+    margin-bottom: 24px;
+    padding-bottom: 12px;
+  }
+  .export-header p {
+    margin: 4px 0;
+  }
+  .turn-label {
+    font-size: 1.1em;
+    color: #57606a;
+    text-transform: uppercase;
+    letter-spacing: 0.04em;
+  }
+  .turn-user {
+    background: #f6f8fa;
+    border-radius: 8px;
+    padding: 4px 16px;
+  }
+  hr {
+    border: none;
+    border-top: 1px solid #d0d7de;
+    margin: 24px 0;
+  }
+  pre {
+    background: #f6f8fa;
+    border-radius: 6px;
+    padding: 12px 16px;
+    overflow-x: auto;
+    font-size: 14px;
+    line-height: 1.45;
+  }
+  code {
+    font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, 'Liberation Mono', monospace;
+  }
+  :not(pre) > code {
+    background: #eff1f3;
+    border-radius: 4px;
+    padding: 0.1em 0.3em;
+    font-size: 0.9em;
+  }
+  figure.code-block {
+    margin: 0 0 16px;
+  }
+  figure.code-block figcaption {
+    color: #57606a;
+    font-size: 0.8em;
+    font-weight: 600;
+    margin-bottom: 4px;
+  }
+  figure.code-block pre {
+    margin: 0;
+  }
+  pre .line-number {
+    color: #8c959f;
+    user-select: none;
+  }
+${Object.entries(TOKEN_COLORS).map(([type, color]) => `  .tok-${type} {\n    color: #${color};\n  }`).join('\n')}
+  details.thinking {
+    margin: 0 0 16px;
+    padding: 8px 16px;
+    background: #f6f8fa;
+    border-radius: 6px;
+    color: #57606a;
+    font-size: 0.95em;
+  }
+  details.thinking summary {
+    cursor: pointer;
+    font-weight: 600;
+  }
+  blockquote {
+    margin: 0 0 16px;
+    padding: 0 16px;
+    color: #57606a;
+    border-left: 4px solid #d0d7de;
+  }
+  table {
+    border-collapse: collapse;
+    margin: 0 0 16px;
+    width: 100%;
+  }
+  sup.citation a {
+    text-decoration: none;
+  }
+  .references {
+    border-top: 1px solid #d0d7de;
+    margin-top: 24px;
+    font-size: 0.9em;
+  }
+  th, td {
+    border: 1px solid #d0d7de;
+    padding: 6px 12px;
+    text-align: left;
+    vertical-align: top;
+  }
+  th {
+    background: #f6f8fa;
+  }
+  .math-block {
+    overflow-x: auto;
+    margin: 16px 0;
+  }
+  .math-error {
+    color: #cf222e;
+  }
+  figure.image {
+    margin: 16px 0;
+    text-align: center;
+  }
+  figure.image img {
+    max-width: 100%;
+    height: auto;
+  }
+`;
+
+export class HtmlExporter {
+  constructor(data, options = {}) {
+    this.data = data;
+    this.options = {
+      includeTimestamp: true,
+      includeMeta: true,
+      inlineFonts: true,
+      // Keep Gemini's "Show thinking" reasoning as a <details> section
+      includeThinking: false,
+      // Render that section expanded (print output cannot open it)
+      expandThinking: false,
+      // Number the lines of code blocks
+      codeLineNumbers: false,
+      // Name the language above code blocks
+      codeLanguageCaption: true,
+      // KaTeX output: 'htmlAndMathml' (styled HTML plus hidden MathML) or 'mathml' (MathML only, no stylesheet needed)
+      mathOutput: 'htmlAndMathml',
+      ...options
+    };
+    this.citations = new CitationList();
+    this.math = new MathmlConverter();
+  }
+
+  /**
+   * Generate a complete HTML document from extracted data
+   * @returns {Promise<string>} HTML document
+   */
+  async export() {
+    const katexStyles = this.options.mathOutput === 'mathml' ? '' : await this.loadKatexStyles();
+    const title = this.getDocumentTitle();
+
+    const body = [];
+
+    if (this.options.includeMeta) {
+      body.push(this.generateHeader());
+    }
+
+    // Label turns only when the export contains user prompts
+    const labelTurns = this.hasUserTurns();
+
+    this.data.messages.forEach((message, index) => {
+      if (index > 0) {
+        body.push('<hr>');
+      }
+      body.push(this.processMessage(message, labelTurns));
+    });
+
+    body.push(this.generateReferences());
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="UTF-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+      '<meta name="generator" content="Gemini Chat Exporter">',
+      `<title>${this.escapeHtml(title)}</title>`,
+      katexStyles ? `<style>${katexStyles}</style>` : '',
+      `<style>${BASE_STYLES}</style>`,
+      this.options.extraStyles ? `<style>${this.options.extraStyles}</style>` : '',
+      '</head>',
+      '<body>',
+      '<main class="gemini-export">',
+      body.join('\n'),
+      '</main>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Get the title used for the document <title>
+   * @returns {string} Document title
+   */
+  getDocumentTitle() {
+    const { metadata } = this.data;
+    return metadata.title && metadata.title !== 'Gemini Conversation'
+      ? metadata.title
+      : 'Gemini Conversation Export';
+  }
+
+  /**
+   * Generate header with metadata
+   * @returns {string} Header HTML
+   */
+  generateHeader() {
+    const { metadata } = this.data;
+    const lines = ['<header class="export-header">', '<h1>Gemini Conversation Export</h1>'];
+
+    if (this.options.includeTimestamp) {
+      const date = new Date(metadata.timestamp).toLocaleString();
+      lines.push(`<p><strong>Exported:</strong> ${this.escapeHtml(date)}</p>`);
+    }
+
+    if (metadata.title && metadata.title !== 'Gemini Conversation') {
+      lines.push(`<p><strong>Title:</strong> ${this.escapeHtml(metadata.title)}</p>`);
+    }
+
+    if (metadata.url) {
+      lines.push(`<p><strong>URL:</strong> ${this.renderLink(metadata.url, this.escapeHtml(metadata.url))}</p>`);
+    }
+
+    lines.push(`<p><strong>Messages:</strong> ${this.escapeHtml(String(metadata.messageCount))}</p>`);
+    lines.push('</header>');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Check whether the export contains user prompts alongside responses
+   * @returns {boolean} True if any message is a user turn
+   */
+  hasUserTurns() {
+    return this.data.messages.some(message => message && message.type === 'user');
+  }
+
+  /**
+   * Get the speaker label for a message
+   * @param {Object} message - Message data
+   * @returns {string} "You" for user prompts, "Gemini" for responses
+   */
+  getTurnLabel(message) {
+    return message && message.type === 'user' ? 'You' : 'Gemini';
+  }
+
+  /**
+   * Process a single message
+   * @param {Object} message - Message data
+   * @param {boolean} labelTurns - Whether to prefix the message with its speaker label
+   * @returns {string} HTML section for the message
+   */
+  processMessage(message, labelTurns = false) {
+    if (!message || !message.structure) {
+      return '';
+    }
+
+    const turnClass = message.type === 'user' ? 'turn turn-user' : 'turn turn-response';
+    const parts = [`<section class="${turnClass}">`];
+
+    if (labelTurns) {
+      parts.push(`<h2 class="turn-label">${this.getTurnLabel(message)}</h2>`);
+    }
+
+    message.structure.forEach(block => {
+      parts.push(this.processBlock(block));
+    });
+
+    parts.push('</section>');
+    return parts.join('\n');
+  }
+
+  /**
+   * Process a content block
+   * @param {Object} block - Content block
+   * @returns {string} HTML block
+   */
+  processBlock(block) {
+    switch (block.type) {
+      case 'paragraph':
+        return `<p>${this.processInlineContent(block.content)}</p>`;
+
+      case 'heading': {
+        const level = Math.min(Math.max(Number(block.level) || 1, 1), 6);
+        return `<h${level}>${this.processInlineContent(block.content)}</h${level}>`;
+      }
+
+      case 'unordered-list':
+      case 'ordered-list':
+        return this.processList(block);
+
+      case 'blockquote':
+        return `<blockquote><p>${this.processInlineContent(block.content)}</p></blockquote>`;
+
+      case 'code-block':
+        return this.processCodeBlock(block);
+
+      case 'horizontal-rule':
+        return '<hr>';
+
+      case 'table':
+        return this.processTable(block);
+
+      case 'math-block':
+        return this.renderMath(block.latex, true);
+
+      case 'image':
+        return this.processImage(block);
+
+      case 'thinking':
+        return this.options.includeThinking ? this.processThinking(block) : '';
+
+      default:
+        return block.text ? `<p>${this.escapeHtml(block.text)}</p>` : '';
+    }
+  }
+
+  /**
+   * Process the reasoning of a thinking model as a collapsible section
+   * @param {Object} block - Thinking block with its own structure
+   * @returns {string} HTML details element
+   */
+  processThinking(block) {
+    const open = this.options.expandThinking ? ' open' : '';
+    const body = (block.structure || []).map(inner => this.processBlock(inner)).join('\n');
+    return `<details class="thinking"${open}>\n<summary>Reasoning</summary>\n${body}\n</details>`;
+  }
+
+  /**
+   * Process image, embedding its data so the file stays self-contained
+   * @param {Object} block - Image block
+   * @returns {string} HTML figure
+   */
+  processImage(block) {
+    const alt = this.escapeHtml(block.alt || '');
+    const src = block.dataUrl || (/^https?:/i.test(block.src || '') ? block.src : '');
+
+    if (!src) {
+      return `<p><em>[Image${alt ? `: ${alt}` : ''}]</em></p>`;
+    }
+
+    const size = [
+      block.width ? ` width="${Number(block.width)}"` : '',
+      block.height ? ` height="${Number(block.height)}"` : ''
+    ].join('');
+    return `<figure class="image"><img src="${this.escapeHtml(src)}" alt="${alt}"${size}></figure>`;
+  }
+
+  /**
+   * Process list
+   * @param {Object} block - List block
+   * @returns {string} HTML list
+   */
+  processList(block) {
+    const tag = block.type === 'ordered-list' ? 'ol' : 'ul';
+    const items = Array.isArray(block.items) ? block.items : [];
+
+    const renderedItems = items.map(item => {
+      let itemHtml = this.processInlineContent(item.content);
+
+      if (item.nested && item.nested.length > 0) {
+        const nestedBlock = {
+          type: item.nestedType === 'ordered' ? 'ordered-list' : 'unordered-list',
+          items: item.nested
+        };
+        itemHtml += this.processList(nestedBlock);
+      }
+
+      return `<li>${itemHtml}</li>`;
+    });
+
+    return `<${tag}>\n${renderedItems.join('\n')}\n</${tag}>`;
+  }
+
+  /**
+   * Process code block
+   * @param {Object} block - Code block
+   * @returns {string} HTML code block with highlighted tokens, in a captioned figure when enabled
+   */
+  processCodeBlock(block) {
+    const language = (block.language || '').replace(/[^a-z0-9_+-]/gi, '');
+    const classAttr = language && language !== 'text' ? ` class="language-${language}"` : '';
+    const lines = highlightCode(block.code || '', block.language);
+    const width = String(lines.length).length;
+
+    const code = lines.map((tokens, index) => {
+      const number = this.options.codeLineNumbers
+        ? `<span class="line-number" aria-hidden="true">${String(index + 1).padStart(width)}  </span>`
+        : '';
+      return number + tokens.map(token => (token.type
+        ? `<span class="tok-${token.type}">${this.escapeHtml(token.text)}</span>`
+        : this.escapeHtml(token.text))).join('');
+    }).join('\n');
+    const pre = `<pre><code${classAttr}>${code}</code></pre>`;
+
+    const name = languageName(block.language);
+    if (!this.options.codeLanguageCaption || !name) {
+      return pre;
+    }
+    return `<figure class="code-block"><figcaption>${this.escapeHtml(name)}</figcaption>${pre}</figure>`;
+  }
+
+  /**
+   * Process table
+   * @param {Object} block - Table block
+   * @returns {string} HTML table
+   */
+  processTable(block) {
+    const { data } = block;
+    if (!data) return '';
+
+    const renderCell = (cell, tag) => {
+      const html = Array.isArray(cell)
+        ? this.processInlineContent(cell)
+        : this.escapeHtml((cell || '').toString());
+      return `<${tag}>${html}</${tag}>`;
+    };
+
+    const lines = ['<table>'];
+
+    if (data.headers && data.headers.length > 0) {
+      lines.push('<thead>');
+      lines.push('<tr>' + data.headers.map(cell => renderCell(cell, 'th')).join('') + '</tr>');
+      lines.push('</thead>');
+    }
+
+    lines.push('<tbody>');
+    (data.rows || []).forEach(row => {
+      lines.push('<tr>' + row.map(cell => renderCell(cell, 'td')).join('') + '</tr>');
+    });
+    lines.push('</tbody>');
+    lines.push('</table>');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Process inline content (bold, italic, code, links, inline math)
+   * @param {Array} content - Array of inline elements
+   * @returns {string} HTML inline content
+   */
+  processInlineContent(content) {
+    if (!content || !Array.isArray(content)) {
+      return '';
+    }
+
+    return content.map(element => {
+      switch (element.type) {
+        case 'text':
+          return this.escapeHtml(element.text).replace(/\n/g, '<br>');
+
+        case 'bold':
+          return `<strong>${element.content ? this.processInlineContent(element.content) : this.escapeHtml(element.text)}</strong>`;
+
+        case 'italic':
+          return `<em>${element.content ? this.processInlineContent(element.content) : this.escapeHtml(element.text)}</em>`;
+
+        case 'code':
+          return `<code>${this.escapeHtml(element.text)}</code>`;
+
+        case 'link':
+          return this.renderLink(
+            element.href,
+            element.content ? this.processInlineContent(element.content) : this.escapeHtml(element.text)
+          );
+
+        case 'math-inline':
+          return this.renderMath(element.latex, false);
+
+        case 'citation': {
+          const { number } = this.citations.cite(element);
+          return `<sup class="citation"><a href="#ref-${number}">[${number}]</a></sup>`;
+        }
+
+        case 'math-block':
+          return this.renderMath(element.latex, true);
+
+        default:
+          return this.escapeHtml(element.text || '');
+      }
+    }).join('');
+  }
+
+  /**
+   * Generate the numbered references section for the cited and listed sources
+   * @returns {string} HTML section (empty without sources)
+   */
+  generateReferences() {
+    this.citations.addMessageSources(this.data.messages);
+    if (this.citations.size === 0) {
+      return '';
+    }
+
+    const items = this.citations.sources.map(source =>
+      `<li id="ref-${source.number}">${this.renderLink(source.url, this.escapeHtml(source.title))}</li>`
+    );
+    return ['<section class="references">', '<h2>References</h2>', '<ol>', ...items, '</ol>', '</section>'].join('\n');
+  }
+
+  /**
+   * Render a link, dropping URLs with unsafe schemes
+   * @param {string} href - Link target
+   * @param {string} innerHtml - Already-escaped link content
+   * @returns {string} HTML anchor (or the bare content if the URL is unsafe)
+   */
+  renderLink(href, innerHtml) {
+    const url = (href || '').trim();
+    if (!/^(https?:|mailto:)/i.test(url)) {
+      return innerHtml;
+    }
+    return `<a href="${this.escapeHtml(url)}">${innerHtml}</a>`;
+  }
+
+  /**
+   * Pre-render a formula with KaTeX
+   * @param {string} latex - LaTeX source
+   * @param {boolean} displayMode - Render as display (block) math
+   * @returns {string} Rendered HTML
+   */
+  renderMath(latex, displayMode) {
+    const source = (latex || '').trim();
+    const wrapperTag = displayMode ? 'div' : 'span';
+    const wrapperClass = displayMode ? 'math-block' : 'math-inline';
+
+    if (!source) return '';
+
+    if (this.options.mathOutput === 'mathml') {
+      const mathml = this.math.convert(source, { displayMode });
+      return `<${wrapperTag} class="${wrapperClass}">${mathml}</${wrapperTag}>`;
+    }
+
+    if (typeof katex === 'undefined' || !katex?.renderToString) {
+      const delimited = displayMode ? `\\[${source}\\]` : `\\(${source}\\)`;
+      return `<${wrapperTag} class="${wrapperClass}">${this.escapeHtml(delimited)}</${wrapperTag}>`;
+    }
+
+    try {
+      const rendered = katex.renderToString(source, {
+        displayMode,
+        throwOnError: true,
+        strict: 'ignore',
+        output: 'htmlAndMathml'
+      });
+      return `<${wrapperTag} class="${wrapperClass}">${rendered}</${wrapperTag}>`;
+    } catch (error) {
+      this.math.recordError(source, displayMode, error);
+      // Keep the source visible so nothing is silently dropped.
+      return `<${wrapperTag} class="${wrapperClass} math-error" title="${this.escapeHtml(error.message)}"><code>${this.escapeHtml(source)}</code></${wrapperTag}>`;
+    }
+  }
+
+  /**
+   * Load the bundled KaTeX stylesheet, inlining its fonts as data URIs
+   * @returns {Promise<string>} CSS text (empty if the stylesheet is unavailable)
+   */
+  async loadKatexStyles() {
+    if (typeof this.options.katexCss === 'string') {
+      return this.options.katexCss;
+    }
+
+    let css;
+    try {
+      const response = await fetch(KATEX_CSS_URL);
+      if (!response.ok) return '';
+      css = await response.text();
+    } catch (error) {
+      console.warn('Could not load KaTeX styles:', error);
+      return '';
+    }
+
+    if (!this.options.inlineFonts) {
+      return css;
+    }
+
+    return await this.inlineKatexFonts(css);
+  }
+
+  /**
+   * Replace KaTeX @font-face sources with embedded WOFF2 data URIs
+   * @param {string} css - KaTeX stylesheet
+   * @returns {Promise<string>} Stylesheet with embedded fonts
+   */
+  async inlineKatexFonts(css) {
+    // Every modern browser reads WOFF2, so the WOFF/TTF fallbacks are dropped to keep the file small.
+    const fontSrcPattern = /src:url\((fonts\/[^)]+\.woff2)\) format\("woff2"\)[^;}]*/g;
+    const fontPaths = [...new Set(Array.from(css.matchAll(fontSrcPattern), match => match[1]))];
+    const dataUris = new Map();
+
+    await Promise.all(fontPaths.map(async (fontPath) => {
+      try {
+        const response = await fetch(new URL(fontPath, KATEX_CSS_URL));
+        if (!response.ok) return;
+        const buffer = await response.arrayBuffer();
+        dataUris.set(fontPath, `data:font/woff2;base64,${this.toBase64(buffer)}`);
+      } catch (error) {
+        console.warn(`Could not inline KaTeX font ${fontPath}:`, error);
+      }
+    }));
+
+    return css.replace(fontSrcPattern, (match, fontPath) => {
+      const dataUri = dataUris.get(fontPath);
+      return dataUri ? `src:url(${dataUri}) format("woff2")` : match;
+    });
+  }
+
+  /**
+   * Encode binary data as base64
+   * @param {ArrayBuffer} buffer - Binary data
+   * @returns {string} Base64 string
+   */
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    if (text == null) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Generate filename for export
+   * @returns {string} Suggested filename
+   */
+  getFilename() {
+    return buildFilename(this.data.metadata, {
+      extension: 'html',
+      format: 'html',
+      pattern: this.options.filenamePattern,
+      index: this.options.index
+    });
+  }
+
+  /**
+   * Static method to export data
+   * @param {Object} data - Extracted data
+   * @param {Object} options - Export options
+   * @returns {Promise<Object>} Export result with content, filename and formulas that failed to render
+   */
+  static async exportToHtml(data, options = {}) {
+    const exporter = new HtmlExporter(data, options);
+    return {
+      content: await exporter.export(),
+      filename: exporter.getFilename(),
+      mimeType: 'text/html',
+      mathErrors: exporter.math.errors
+    };
+  }
+}
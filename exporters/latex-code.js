@@ -0,0 +1,225 @@
+/**
+ * Code listings for the LaTeX exporter
+ * Typesets code blocks with listings (lstlisting), minted or plain verbatim,
+ * and collects the preamble lines the chosen style needs.
+ */
+
+import { resolveLanguage, languageName, languageWords, TOKEN_COLORS } from './syntax-highlight.js';
+
+export const LATEX_CODE_STYLES = ['listings', 'minted', 'verbatim'];
+
+// Languages listings ships, by highlighter key or code block language
+const LISTINGS_LANGUAGES = {
+  python: 'Python', c: 'C', cpp: 'C++', java: 'Java', sql: 'SQL', bash: 'bash',
+  ruby: 'Ruby', perl: 'Perl', php: 'PHP', r: 'R', matlab: 'Matlab', haskell: 'Haskell',
+  fortran: 'Fortran', html: 'HTML', xml: 'XML', tex: '{[LaTeX]TeX}', latex: '{[LaTeX]TeX}', lisp: 'Lisp'
+};
+
+// Languages listings lacks; defined in the preamble from the highlighter's word lists
+const DEFINED_LANGUAGES = {
+  javascript: { name: 'JavaScript', comments: true, strings: ['"', "'", '`'] },
+  typescript: { name: 'TypeScript', comments: true, strings: ['"', "'", '`'] },
+  json: { name: 'JSON', comments: false, strings: ['"'] }
+};
+
+// lstlisting hands text between these to LaTeX (escapeinside)
+const ESCAPE_OPEN = '(*@';
+const ESCAPE_CLOSE = '@*)';
+
+const LINE_NUMBER_COLOR = '8C959F';
+
+/**
+ * Renders the code blocks of one export and remembers what the preamble needs
+ */
+export class LatexCodeListings {
+  /**
+   * @param {Object} options
+   * @param {string} [options.style='listings'] - One of LATEX_CODE_STYLES
+   * @param {boolean} [options.lineNumbers=false]
+   * @param {boolean} [options.caption=true] - Name the language above each block
+   * @param {Function} options.escapeText - Escapes text for LaTeX
+   * @param {string} [options.engine='pdflatex'] - Engine command, for the compile note
+   */
+  constructor({ style = 'listings', lineNumbers = false, caption = true, escapeText, engine = 'pdflatex' }) {
+    this.style = LATEX_CODE_STYLES.includes(style) ? style : 'listings';
+    this.engine = engine;
+    this.lineNumbers = lineNumbers;
+    this.caption = caption;
+    this.escapeText = escapeText;
+    this.used = false;
+    // Languages that need \lstdefinelanguage
+    this.definedLanguages = new Set();
+    // Packages needed by fallbacks (fancyvrb for code containing \end{verbatim})
+    this.packages = new Set();
+  }
+
+  /**
+   * Typeset a code block
+   * @param {Object} block - Code block ({code, language})
+   * @returns {string} LaTeX environment
+   */
+  render(block) {
+    const code = (block.code || '').replace(/\r\n/g, '\n');
+    const name = this.caption ? languageName(block.language) : '';
+    this.used = true;
+
+    if (this.style === 'listings') {
+      return this.renderListing(code, block.language, name);
+    }
+
+    const heading = name ? `\\noindent{\\small\\textbf{${this.escapeText(name)}}}\\par\\nopagebreak\n` : '';
+    if (this.style === 'minted') {
+      const lexer = resolveLanguage(block.language) || sanitizeLexer(block.language);
+      return heading + verbatimEnvironment(code, [
+        ['minted', `{${lexer}}`],
+        ['Verbatim', '[breaklines, fontsize=\\small, frame=single]']
+      ]);
+    }
+
+    const environment = verbatimEnvironment(code, [['verbatim', ''], ['Verbatim', '']]);
+    if (environment.startsWith('\\begin{Verbatim}')) {
+      this.packages.add('fancyvrb');
+    }
+    return heading + environment;
+  }
+
+  renderListing(code, language, name) {
+    const options = [];
+    const key = resolveLanguage(language);
+    const listingsName = DEFINED_LANGUAGES[key]?.name ||
+      LISTINGS_LANGUAGES[key] ||
+      LISTINGS_LANGUAGES[String(language || '').trim().toLowerCase()];
+
+    if (DEFINED_LANGUAGES[key]) {
+      this.definedLanguages.add(key);
+    }
+    if (listingsName) {
+      options.push(`language=${listingsName}`);
+    }
+    if (name) {
+      options.push(`title={${this.escapeText(name)}}`);
+    }
+
+    // Non-ASCII text, the escape delimiter and the closing tag go through LaTeX,
+    // so pdfLaTeX reads UTF-8 and \end{lstlisting} in the code cannot end the listing
+    const body = code.replace(/\(\*@|\\end\{lstlisting\}|[^\x00-\x7F]+/g, match =>
+      `${ESCAPE_OPEN}${this.escapeText(match)}${ESCAPE_CLOSE}`
+    );
+
+    const optionList = options.length ? `[${options.join(', ')}]` : '';
+    return `\\begin{lstlisting}${optionList}\n${body}\n\\end{lstlisting}`;
+  }
+
+  /**
+   * Preamble lines for the code blocks rendered so far
+   * @param {Function} loadsPackage - Whether the preamble already loads a package (name => boolean)
+   * @returns {string} LaTeX, empty if nothing is needed
+   */
+  preamble(loadsPackage) {
+    if (!this.used) return '';
+
+    const lines = [];
+    const usePackage = (name) => {
+      if (!loadsPackage(name)) lines.push(`\\usepackage{${name}}`);
+    };
+
+    if (this.style === 'listings') {
+      usePackage('listings');
+      usePackage('xcolor');
+      lines.push(...this.listingsSetup());
+    } else if (this.style === 'minted') {
+      usePackage('minted');
+      lines.push(`\\setminted{breaklines, fontsize=\\small, frame=single${this.lineNumbers ? ', linenos' : ''}}`);
+    }
+    this.packages.forEach(usePackage);
+
+    return lines.length ? `% Code listings\n${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Whether the engine must run with -shell-escape (minted calls Pygments)
+   * @returns {boolean}
+   */
+  needsShellEscape() {
+    return this.used && this.style === 'minted';
+  }
+
+  /**
+   * Comment for the top of the document, if compiling needs extra flags
+   * @returns {string} LaTeX comment line(s), or ''
+   */
+  compileNote() {
+    return this.needsShellEscape()
+      ? `% Compile with -shell-escape (e.g. ${this.engine} -shell-escape main.tex): minted runs Pygments to highlight code\n`
+      : '';
+  }
+
+  listingsSetup() {
+    const color = (type) => `\\color[HTML]{${TOKEN_COLORS[type]}}`;
+    const settings = [
+      'basicstyle=\\ttfamily\\small',
+      `keywordstyle=${color('keyword')}`,
+      `commentstyle=${color('comment')}`,
+      `stringstyle=${color('string')}`,
+      'breaklines=true',
+      `postbreak=\\mbox{\\textcolor[HTML]{${LINE_NUMBER_COLOR}}{$\\hookrightarrow$}\\space}`,
+      'columns=fullflexible',
+      'keepspaces=true',
+      'showstringspaces=false',
+      'upquote=true',
+      'frame=single',
+      'rulecolor=\\color[HTML]{D0D7DE}',
+      `escapeinside={${ESCAPE_OPEN}}{${ESCAPE_CLOSE}}`
+    ];
+    if (this.lineNumbers) {
+      settings.push('numbers=left', `numberstyle=\\tiny\\color[HTML]{${LINE_NUMBER_COLOR}}`);
+    }
+
+    const lines = [`\\lstset{\n  ${settings.join(',\n  ')}\n}`];
+    for (const key of this.definedLanguages) {
+      lines.push(defineLanguage(key));
+    }
+    return lines;
+  }
+}
+
+/**
+ * \lstdefinelanguage for a language listings lacks
+ * @param {string} key - Key of DEFINED_LANGUAGES
+ * @returns {string} LaTeX
+ */
+function defineLanguage(key) {
+  const { name, comments, strings } = DEFINED_LANGUAGES[key];
+  const { keywords, types, literals } = languageWords(key);
+  const settings = [
+    `morekeywords={${[...keywords, ...types, ...literals].join(',')}}`,
+    'sensitive=true',
+    ...(comments ? ['morecomment=[l]{//}', 'morecomment=[s]{/*}{*/}'] : []),
+    ...strings.map(quote => `morestring=[b]${quote}`)
+  ];
+  return `\\lstdefinelanguage{${name}}{\n  ${settings.join(',\n  ')}\n}`;
+}
+
+/**
+ * Wrap code in the first verbatim-like environment its text cannot close
+ * @param {string} code
+ * @param {Array<[string, string]>} candidates - [environment, arguments] in order of preference
+ * @returns {string} LaTeX environment
+ */
+function verbatimEnvironment(code, candidates) {
+  const fits = candidates.find(([name]) => !code.includes(`\\end{${name}}`));
+  const [name, args] = fits || candidates[0];
+  // Code containing every closing tag: a space keeps \end{...} from matching
+  const body = fits ? code : code.split(`\\end{${name}}`).join(`\\end {${name}}`);
+  return `\\begin{${name}}${args}\n${body}\n\\end{${name}}`;
+}
+
+/**
+ * Pygments lexer name for a language the highlighter does not know
+ * @param {string} language
+ * @returns {string} Lexer alias, 'text' if none is usable
+ */
+function sanitizeLexer(language) {
+  const lexer = String(language || '').trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9+#._-]*$/.test(lexer) ? lexer : 'text';
+}
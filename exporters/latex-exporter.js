@@ -1,57 +1,142 @@
 /**
  * LaTeX Exporter for Gemini Chat Exporter
- * Converts extracted Gemini content to a standalone LaTeX (.tex) document.
+ * Converts extracted Gemini content to a standalone LaTeX (.tex) document,
+ * or to a .zip project (main.tex, images/, references.bib) in bundle mode.
+ * Note: Bundle mode requires the JSZip library (libs/jszip.min.js) to be loaded
  */
 
+import { DEFAULT_LATEX_PREAMBLE, UNICODE_LATEX_PREAMBLE, getTemplateValues, renderTemplate } from './template.js';
+import { buildFilename } from './filename.js';
+import { CitationList } from './citations.js';
+import { LatexCodeListings } from './latex-code.js';
+import { LatexUnicode } from './latex-unicode.js';
+import { MathLinter } from './math-lint.js';
+
+// Packages the generated body depends on; added to custom preambles that lack them
+const REQUIRED_PACKAGES = ['hyperref', 'amsmath', 'amssymb', 'tabularx', 'graphicx'];
+
+// latexmk $pdf_mode per engine
+const LATEXMK_PDF_MODES = { pdflatex: 1, lualatex: 4, xelatex: 5 };
+
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '{': '\\{',
+  '}': '\\}',
+  '#': '\\#',
+  '$': '\\$',
+  '%': '\\%',
+  '&': '\\&',
+  '_': '\\_'
+};
+
 export class LatexExporter {
   constructor(data, options = {}) {
     this.data = data;
     this.options = {
       includeTimestamp: true,
       includeMeta: true,
+      // Bundle mode cites links into references.bib
+      bundle: false,
+      // Custom preamble with {{placeholders}}; empty uses the built-in preamble
+      latexPreamble: '',
+      // Keep Gemini's "Show thinking" reasoning as a quote before the answer
+      includeThinking: false,
+      // Code environment: 'listings', 'minted' (needs -shell-escape) or 'verbatim'
+      latexCodeStyle: 'listings',
+      // 'pdflatex' (Unicode mapped to commands), 'xelatex' or 'lualatex' (fontspec)
+      latexEngine: 'pdflatex',
+      codeLineNumbers: false,
+      codeLanguageCaption: true,
       ...options
     };
+    this.assets = [];
+    this.citations = [];
+    // Sources cited by Gemini, numbered for footnotes and the references section
+    this.references = new CitationList();
+    this.unicode = new LatexUnicode(this.options.latexEngine);
+    // Repairs formulas LaTeX would reject and collects the packages they need
+    this.math = new MathLinter({ target: 'latex' });
+    this.codeListings = new LatexCodeListings({
+      style: this.options.latexCodeStyle,
+      lineNumbers: this.options.codeLineNumbers,
+      caption: this.options.codeLanguageCaption,
+      escapeText: text => this.escapeLatexText(text),
+      engine: this.unicode.engine
+    });
   }
 
   export() {
     const parts = [];
 
-    parts.push(this.generatePreamble());
     parts.push('\\begin{document}\n');
 
     if (this.options.includeMeta) {
       parts.push(this.generateHeader());
     }
 
+    const labelTurns = this.hasUserTurns();
+
     for (let i = 0; i < this.data.messages.length; i++) {
       const message = this.data.messages[i];
       if (i > 0) {
         parts.push('\n\\noindent\\rule{\\linewidth}{0.4pt}\n\n');
       }
+      if (labelTurns) {
+        parts.push(`\\subsection*{${this.getTurnLabel(message)}}\n\n`);
+      }
       parts.push(this.processMessage(message));
     }
 
+    parts.push(this.generateReferences());
+
+    if (this.citations.length > 0) {
+      parts.push('\n\\bibliographystyle{unsrt}\n\\bibliography{references}\n');
+    }
+
     parts.push('\n\\end{document}\n');
-    return parts.join('');
+
+    // The preamble comes last so it can load what the body turned out to need
+    const preamble = this.generatePreamble();
+    const loadsPackage = name => this.preambleLoadsPackage(preamble, name);
+    const notes = this.unicode.compileNote() + this.codeListings.compileNote();
+    return notes + preamble + this.math.preamble(loadsPackage) + this.unicode.preamble(loadsPackage) +
+      this.codeListings.preamble(loadsPackage) + this.math.reportComment() + parts.join('');
   }
 
   generatePreamble() {
-    return [
-      '% Generated by Gemini Chat Exporter',
-      '\\documentclass[11pt]{article}',
-      '\\usepackage[margin=1in]{geometry}',
-      '\\usepackage[T1]{fontenc}',
-      '\\usepackage[utf8]{inputenc}',
-      '\\usepackage{hyperref}',
-      '\\usepackage{amsmath,amssymb}',
-      '\\usepackage{enumitem}',
-      '\\usepackage{tabularx}',
-      '\\usepackage{longtable}',
-      '\\usepackage{xcolor}',
-      '\\hypersetup{colorlinks=true, urlcolor=blue, linkcolor=blue}',
-      '\\setlist{noitemsep}',
-      ''
-    ].join('\n');
+    if (!this.options.latexPreamble) {
+      return this.unicode.isUnicodeEngine ? UNICODE_LATEX_PREAMBLE : DEFAULT_LATEX_PREAMBLE;
+    }
+
+    let preamble = renderTemplate(
+      this.options.latexPreamble,
+      getTemplateValues(this.data.metadata),
+      value => this.escapeLatexText(value)
+    ).split('\\begin{document}')[0].replace(/\s*$/, '\n');
+
+    if (!/\\documentclass\b/.test(preamble)) {
+      preamble = '\\documentclass[11pt]{article}\n' + preamble;
+    }
+
+    const missing = REQUIRED_PACKAGES.filter(name => !this.preambleLoadsPackage(preamble, name));
+    if (missing.length > 0) {
+      preamble += '% Required by the exported content\n';
+      preamble += missing.map(name => `\\usepackage{${name}}\n`).join('');
+    }
+
+    return preamble;
+  }
+
+  preambleLoadsPackage(preamble, name) {
+    const pattern = /\\(?:usepackage|RequirePackage)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g;
+    for (const match of preamble.replace(/(^|[^\\])%.*$/gm, '$1').matchAll(pattern)) {
+      if (match[1].split(',').some(pkg => pkg.trim() === name)) {
+        return true;
+      }
+    }
+    return false;
   }
 
   generateHeader() {
@@ -130,6 +215,14 @@ export class LatexExporter {
     return parts.length ? parts : [{ type: 'text', text: '' }];
   }
 
+  hasUserTurns() {
+    return this.data.messages.some(message => message?.type === 'user');
+  }
+
+  getTurnLabel(message) {
+    return message?.type === 'user' ? 'You' : 'Gemini';
+  }
+
   processMessage(message) {
     if (!message || !message.structure) return '';
 
@@ -159,6 +252,10 @@ export class LatexExporter {
         return this.processTable(block) + '\n\n';
       case 'math-block':
         return this.processMathBlock(block) + '\n\n';
+      case 'image':
+        return this.processImage(block) + '\n\n';
+      case 'thinking':
+        return this.options.includeThinking ? this.processThinking(block) + '\n\n' : '';
       default:
         return block?.text ? this.escapeLatexText(block.text) + '\n\n' : '';
     }
@@ -169,7 +266,7 @@ export class LatexExporter {
   }
 
   processHeading(block) {
-    const content = this.processInlineContent(block.content);
+    const content = this.processInlineContent(block.content, { inHeading: true });
     const level = Number(block.level) || 1;
 
     // Map heading levels to LaTeX sectioning.
@@ -185,16 +282,50 @@ export class LatexExporter {
     return `\\begin{quote}\n${content}\n\\end{quote}`;
   }
 
+  processThinking(block) {
+    const body = this.processMessage(block).trimEnd();
+    return `\\begin{quote}\n\\small\n\\textbf{Reasoning}\\par\n${body}\n\\end{quote}`;
+  }
+
   processCodeBlock(block) {
-    const code = (block.code || '').replace(/\r\n/g, '\n');
-    return `\\begin{verbatim}\n${code}\n\\end{verbatim}`;
+    return this.codeListings.render(block);
   }
 
   processMathBlock(block) {
-    const latex = (block.latex || '').trim();
+    const latex = this.escapeLatexMath(block.latex, true);
     return `\\[\n${latex}\n\\]`;
   }
 
+  processImage(block) {
+    const alt = block.alt || 'Image';
+
+    if (!block.dataUrl) {
+      // Nothing to bundle; point at the original image instead.
+      const label = `[Image: ${alt}]`;
+      return block.src && !block.src.startsWith('blob:')
+        ? this.latexHref(block.src, label)
+        : this.escapeLatexText(label);
+    }
+
+    const path = this.addImageAsset(block);
+    // Assume ~96 dpi against a 6.5in text width so small images are not blown up.
+    const ratio = block.width ? Math.min(1, block.width / 624) : 1;
+    const width = ratio >= 1 ? '\\linewidth' : `${ratio.toFixed(2)}\\linewidth`;
+
+    return [
+      '\\begin{center}',
+      `\\includegraphics[width=${width},height=0.8\\textheight,keepaspectratio]{${path}}`,
+      '\\end{center}'
+    ].join('\n');
+  }
+
+  addImageAsset(block) {
+    const extension = block.mimeType === 'image/jpeg' ? 'jpg' : 'png';
+    const path = `images/image-${this.assets.length + 1}.${extension}`;
+    this.assets.push({ path, dataUrl: block.dataUrl, mimeType: block.mimeType });
+    return path;
+  }
+
   processList(block, indent = 0) {
     const isOrdered = block.type === 'ordered-list';
     const env = isOrdered ? 'enumerate' : 'itemize';
@@ -214,7 +345,7 @@ export class LatexExporter {
       }
 
       for (const latex of mathBlocks) {
-        parts.push(`\\[\n${latex}\n\\]`);
+        parts.push(`\\[\n${this.escapeLatexMath(latex, true)}\n\\]`);
       }
 
       if (item.nested && Array.isArray(item.nested) && item.nested.length > 0) {
@@ -272,7 +403,7 @@ export class LatexExporter {
     for (let i = 0; i < columnCount; i++) {
       const cell = cells[i];
       if (Array.isArray(cell)) {
-        rendered.push(this.processInlineContent(cell, { preferInlineMath: true }));
+        rendered.push(this.processInlineContent(cell, { preferInlineMath: true, inTable: true }));
       } else if (cell == null) {
         rendered.push('');
       } else {
@@ -280,7 +411,8 @@ export class LatexExporter {
       }
     }
 
-    return rendered.join(' & ');
+    // A bare \\ inside a cell would end the table row.
+    return rendered.map(cell => cell.replace(/\\\\\n/g, '\\newline ')).join(' & ');
   }
 
   processInlineContent(content, options = {}) {
@@ -297,26 +429,30 @@ export class LatexExporter {
           return `\\textit{${element.content ? this.processInlineContent(element.content, options) : this.escapeLatexText(element.text || '')}}`;
         case 'code':
           return `\\texttt{${this.escapeLatexText(element.text || '')}}`;
-        case 'link':
+        case 'link': {
+          const cite = this.options.bundle ? this.citeLink(element.href, element.text) : '';
           if (element.content) {
             return this.latexHref(
               element.href || '',
               this.processInlineContent(element.content, options),
               { displayIsLatex: true, displayRaw: element.text || '' }
-            );
+            ) + cite;
           }
           return this.latexHref(
             element.href || '',
             element.text || element.href || '',
             { displayIsLatex: false, displayRaw: element.text || '' }
-          );
+          ) + cite;
+        }
         case 'math-inline':
-          return `$${(element.latex || '').trim()}$`;
+          return `$${this.escapeLatexMath(element.latex)}$`;
+        case 'citation':
+          return this.processCitation(element, options);
         case 'math-block':
           if (preferInlineMath) {
-            return `$${(element.latex || '').trim()}$`;
+            return `$${this.escapeLatexMath(element.latex)}$`;
           }
-          return `\\[\n${(element.latex || '').trim()}\n\\]`;
+          return `\\[\n${this.escapeLatexMath(element.latex, true)}\n\\]`;
         default:
           return this.escapeLatexText(element.text || '');
       }
@@ -335,7 +471,7 @@ export class LatexExporter {
       if (element?.type === 'math-block' && element.latex) {
         mathBlocks.push(element.latex);
       } else if (element?.type === 'math-inline' && element.latex) {
-        textParts.push(`$${element.latex}$`);
+        textParts.push(`$${this.escapeLatexMath(element.latex)}$`);
       } else {
         textParts.push(this.processInlineContent([element]));
       }
@@ -346,13 +482,17 @@ export class LatexExporter {
 
   escapeLatexText(text) {
     if (text == null) return '';
-    return String(text)
+    const escaped = String(text)
       .replace(/\r\n/g, '\n')
-      .replace(/\\/g, '\\textbackslash{}')
-      .replace(/([{}#$%&_])/g, '\\$1')
-      .replace(/~/g, '\\textasciitilde{}')
-      .replace(/\^/g, '\\textasciicircum{}')
+      // Single pass, so the braces added for \textbackslash{} are not escaped again.
+      .replace(/[\\{}#$%&_~^]/g, ch => LATEX_SPECIALS[ch])
       .replace(/\n/g, '\\\\\n');
+    // The escapes above are ASCII, so only the characters of the text are converted
+    return this.unicode.text(escaped);
+  }
+
+  escapeLatexMath(latex, displayMode = false) {
+    return this.unicode.math(this.math.lint(latex, { displayMode }));
   }
 
   escapeLatexUrl(url) {
@@ -383,19 +523,193 @@ export class LatexExporter {
     return `\\href{${safeUrl}}{${displayLatex}}`;
   }
 
+  citeLink(url, title) {
+    const citation = this.addBibEntry(url, title);
+    return citation ? `~\\cite{${citation.key}}` : '';
+  }
+
+  addBibEntry(url, title) {
+    if (!url || !/^https?:/i.test(url)) return null;
+
+    let citation = this.citations.find(entry => entry.url === url);
+    if (!citation) {
+      citation = { key: `link${this.citations.length + 1}`, url, title: (title || '').trim() || url };
+      this.citations.push(citation);
+    }
+    return citation;
+  }
+
+  // Footnotes get lost in tabularx cells and move with section titles, so
+  // those get a superscript number pointing to the references section.
+  processCitation(citation, options = {}) {
+    const source = this.references.cite(citation);
+
+    if (this.options.bundle) {
+      const cite = this.citeLink(source.url, source.title);
+      if (cite) return cite;
+    }
+    if (options.inTable || options.inHeading) {
+      return `\\textsuperscript{[${source.number}]}`;
+    }
+    return `\\footnote{[${source.number}] ${this.formatSource(source)}}`;
+  }
+
+  formatSource(source) {
+    if (!source.url) return this.escapeLatexText(source.title);
+    return this.latexHref(source.url, source.title, { displayIsLatex: false, displayRaw: source.title });
+  }
+
+  generateReferences() {
+    this.references.addMessageSources(this.data.messages);
+    if (this.references.size === 0) return '';
+
+    // In bundle mode the BibTeX bibliography is the references section.
+    if (this.options.bundle) {
+      const keys = this.references.sources
+        .filter(source => !source.cited)
+        .map(source => this.addBibEntry(source.url, source.title))
+        .filter(Boolean)
+        .map(entry => entry.key);
+      return keys.length > 0 ? `\n\\nocite{${keys.join(',')}}\n` : '';
+    }
+
+    const items = this.references.sources.map(source => `\\item ${this.formatSource(source)}`);
+    return `\n\\section*{References}\n\\begin{enumerate}\n${items.join('\n')}\n\\end{enumerate}\n`;
+  }
+
+  generateBibliography() {
+    const accessed = new Date(this.data.metadata.timestamp || Date.now()).toISOString().split('T')[0];
+
+    return this.citations.map(({ key, url, title }) => [
+      `@misc{${key},`,
+      `  title = {${this.escapeLatexText(title.replace(/\s+/g, ' '))}},`,
+      `  howpublished = {\\url{${this.escapeLatexUrl(url)}}},`,
+      `  note = {Accessed ${accessed}}`,
+      '}'
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  /**
+   * latexmk settings for the bundle: the engine, and -shell-escape when minted is used
+   * @returns {string} .latexmkrc contents
+   */
+  generateLatexmkrc() {
+    const { engine } = this.unicode;
+    const lines = [`$pdf_mode = ${LATEXMK_PDF_MODES[engine]};`];
+    if (this.codeListings.needsShellEscape()) {
+      lines.push(`$${engine} = '${engine} -shell-escape %O %S';`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  generateBundleReadme() {
+    const lines = [
+      '# LaTeX export',
+      '',
+      'Generated by Gemini Chat Exporter.',
+      '',
+      '## Contents',
+      '',
+      '- `main.tex` - the document'
+    ];
+
+    if (this.assets.length > 0) {
+      lines.push('- `images/` - images referenced with `\\includegraphics`');
+    }
+    if (this.citations.length > 0) {
+      lines.push('- `references.bib` - bibliography generated from the links in the conversation');
+    }
+
+    if (this.math.warnings.length > 0) {
+      lines.push('- `math-warnings.txt` - formulas that were changed for LaTeX or could not be checked');
+    }
+
+    const shellEscape = this.codeListings.needsShellEscape();
+    const engine = shellEscape ? `${this.unicode.engine} -shell-escape` : this.unicode.engine;
+
+    lines.push(
+      `- \`.latexmkrc\` - tells latexmk to build a PDF with ${engine}`,
+      '',
+      '## Building',
+      '',
+      '```',
+      'latexmk main.tex',
+      '```',
+      ''
+    );
+
+    if (shellEscape) {
+      lines.push(
+        'The code listings use minted, which runs Pygments while compiling: the engine needs `-shell-escape` ' +
+        '(`.latexmkrc` passes it to latexmk) and Pygments must be installed.',
+        ''
+      );
+    }
+
+    if (this.citations.length > 0) {
+      lines.push(
+        `Without latexmk, run \`${engine} main\`, \`bibtex main\`, then \`${engine} main\` twice.`,
+        ''
+      );
+    } else if (shellEscape) {
+      lines.push(`Without latexmk, run \`${engine} main\`.`, '');
+    }
+
+    lines.push(
+      shellEscape
+        ? 'On Overleaf, upload the .zip via **New Project > Upload Project**; Overleaf enables shell escape, so minted works there.'
+        : 'On Overleaf, upload the .zip via **New Project > Upload Project**; it compiles as is.',
+      ''
+    );
+
+    return lines.join('\n');
+  }
+
   getFilename() {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const title = this.data.metadata.title || 'gemini-export';
-    const sanitized = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 50);
-    return `${sanitized}-${timestamp}.tex`;
+    return buildFilename(this.data.metadata, {
+      extension: 'tex',
+      format: 'latex',
+      pattern: this.options.filenamePattern,
+      index: this.options.index
+    });
   }
 
   static exportToLatex(data, options = {}) {
     const exporter = new LatexExporter(data, options);
+    const content = exporter.export();
     return {
-      content: exporter.export(),
+      content,
       filename: exporter.getFilename(),
-      mimeType: 'application/x-tex'
+      mimeType: 'application/x-tex',
+      assets: exporter.assets,
+      mathWarnings: exporter.math.warnings
+    };
+  }
+
+  static async exportToLatexBundle(data, options = {}) {
+    const exporter = new LatexExporter(data, { ...options, bundle: true });
+    const content = exporter.export();
+
+    const zip = new JSZip();
+    zip.file('main.tex', content);
+    for (const asset of exporter.assets) {
+      zip.file(asset.path, asset.dataUrl.slice(asset.dataUrl.indexOf(',') + 1), { base64: true });
+    }
+    if (exporter.citations.length > 0) {
+      zip.file('references.bib', exporter.generateBibliography());
+    }
+    zip.file('.latexmkrc', exporter.generateLatexmkrc());
+    zip.file('README.md', exporter.generateBundleReadme());
+    if (exporter.math.warnings.length > 0) {
+      zip.file('math-warnings.txt', exporter.math.report());
+    }
+
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+    return {
+      blob,
+      filename: exporter.getFilename().replace(/\.tex$/, '.zip'),
+      mimeType: 'application/zip',
+      mathWarnings: exporter.math.warnings
     };
   }
 }
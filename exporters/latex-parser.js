@@ -0,0 +1,606 @@
+/**
+ * LaTeX math parser for Gemini Chat Exporter
+ * Reads a formula into a small syntax tree, so formats with structured math
+ * (Word's OMML) can rebuild fractions, roots, scripts, big operators and
+ * matrices instead of showing the LaTeX source as text.
+ *
+ * Nodes:
+ * - {type: 'row', body}: a sequence; also what a {...} group becomes
+ * - {type: 'ident'|'number'|'operator'|'relation'|'punct'|'fence', text}: one symbol (Unicode)
+ * - {type: 'text', text, font}: upright words (\text, \mathrm letters)
+ * - {type: 'space', text}
+ * - {type: 'font', font, body}: \mathbf, \mathbb, ...
+ * - {type: 'frac', numerator, denominator, bar}: \frac, \binom (bar: false)
+ * - {type: 'sqrt', body, index}
+ * - {type: 'scripts', base, sub, sup}
+ * - {type: 'bigop', text, limits}: \sum, \int, ...; limits are set for under/over placement
+ * - {type: 'func', name, limits}: \sin, \lim, \operatorname{...}
+ * - {type: 'delimited', open, close, body}: \left( ... \right)
+ * - {type: 'accent', accent, body}: \hat, \vec, ...
+ * - {type: 'bar', position, body}: \overline, \underline
+ * - {type: 'brace', position, chr, body}: \overbrace, \underbrace
+ * - {type: 'stack', position, body, limit}: \overset, \underset, \stackrel
+ * - {type: 'matrix', rows, open, close, align}: matrix environments and cases
+ * - {type: 'lines', rows}: aligned, gathered, split, or \\ at the top level
+ */
+
+export class LatexParseError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'LatexParseError';
+    this.position = position;
+  }
+}
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ',
+  omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const IDENTIFIERS = {
+  ...GREEK,
+  infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', wp: '℘',
+  emptyset: '∅', varnothing: '∅', imath: 'ı', jmath: 'ȷ', top: '⊤', bot: '⊥', angle: '∠',
+  triangle: '△', square: '□', Box: '□', blacksquare: '■', qed: '∎', degree: '°', textdegree: '°',
+  prime: '′', dagger: '†', ddagger: '‡', checkmark: '✓', ldots: '…', dots: '…', cdots: '⋯',
+  vdots: '⋮', ddots: '⋱', forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬',
+  S: '§', P: '¶', flat: '♭', sharp: '♯', natural: '♮'
+};
+
+const OPERATORS = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', cdotp: '⋅', ast: '∗', star: '⋆', circ: '∘',
+  bullet: '∙', oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', oslash: '⊘', cup: '∪', cap: '∩',
+  setminus: '∖', smallsetminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨', uplus: '⊎',
+  sqcup: '⊔', sqcap: '⊓', amalg: '⨿', diamond: '⋄', wr: '≀', backslash: '\\', ldotp: '.'
+};
+
+const RELATIONS = {
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', equiv: '≡', approx: '≈', cong: '≅',
+  sim: '∼', simeq: '≃', propto: '∝', ll: '≪', gg: '≫', leqslant: '⩽', geqslant: '⩾', lesssim: '≲',
+  gtrsim: '≳', nleq: '≰', ngeq: '≱', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+  subsetneq: '⊊', supsetneq: '⊋', in: '∈', notin: '∉', ni: '∋', perp: '⊥', parallel: '∥',
+  nparallel: '∦', mid: '∣', nmid: '∤', to: '→', rightarrow: '→', leftarrow: '←', gets: '←',
+  Rightarrow: '⇒', Leftarrow: '⇐', leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⟺',
+  implies: '⟹', impliedby: '⟸', mapsto: '↦', longrightarrow: '⟶', longleftarrow: '⟵',
+  Longrightarrow: '⟹', Longleftarrow: '⟸', longleftrightarrow: '⟷', Longleftrightarrow: '⟺',
+  longmapsto: '⟼', uparrow: '↑', downarrow: '↓', updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓',
+  nearrow: '↗', searrow: '↘', swarrow: '↙', nwarrow: '↖', hookrightarrow: '↪', hookleftarrow: '↩',
+  rightleftharpoons: '⇌', leftrightarrows: '⇆', models: '⊨', vdash: '⊢', dashv: '⊣', prec: '≺',
+  succ: '≻', preceq: '⪯', succeq: '⪰', asymp: '≍', doteq: '≐', triangleq: '≜', coloneqq: '≔',
+  eqqcolon: '≕', circeq: '≗', bowtie: '⋈', therefore: '∴', because: '∵'
+};
+
+// Characters usable after \left, \right, \big and friends
+const DELIMITERS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '.': '', '<': '⟨', '>': '⟩',
+  '\\{': '{', '\\}': '}', '\\|': '‖', '\\lbrace': '{', '\\rbrace': '}', '\\lbrack': '[', '\\rbrack': ']',
+  '\\langle': '⟨', '\\rangle': '⟩', '\\lvert': '|', '\\rvert': '|', '\\vert': '|', '\\lVert': '‖',
+  '\\rVert': '‖', '\\Vert': '‖', '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉',
+  '\\uparrow': '↑', '\\downarrow': '↓', '\\backslash': '\\'
+};
+
+const FENCES = {
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', lbrace: '{', rbrace: '}',
+  lbrack: '[', rbrack: ']', lvert: '|', rvert: '|', vert: '|', lVert: '‖', rVert: '‖', Vert: '‖'
+};
+
+// Big operators; integrals keep their limits beside the sign
+const BIG_OPERATORS = {
+  sum: ['∑', true], prod: ['∏', true], coprod: ['∐', true], bigcup: ['⋃', true], bigcap: ['⋂', true],
+  bigoplus: ['⨁', true], bigotimes: ['⨂', true], bigodot: ['⨀', true], biguplus: ['⨄', true],
+  bigvee: ['⋁', true], bigwedge: ['⋀', true], bigsqcup: ['⨆', true],
+  int: ['∫', false], iint: ['∬', false], iiint: ['∭', false], oint: ['∮', false], oiint: ['∯', false]
+};
+
+// Named functions; the ones marked true put their subscript underneath (\lim_{x \to 0})
+const FUNCTIONS = {
+  sin: false, cos: false, tan: false, cot: false, sec: false, csc: false, arcsin: false,
+  arccos: false, arctan: false, sinh: false, cosh: false, tanh: false, coth: false, log: false,
+  ln: false, lg: false, exp: false, dim: false, ker: false, deg: false, hom: false, arg: false,
+  lim: true, limsup: true, liminf: true, max: true, min: true, sup: true, inf: true, det: true,
+  gcd: true, Pr: true, argmax: true, argmin: true
+};
+
+const FUNCTION_NAMES = { limsup: 'lim sup', liminf: 'lim inf', argmax: 'arg max', argmin: 'arg min' };
+
+// Combining characters for accents
+const ACCENTS = {
+  hat: '̂', widehat: '̂', check: '̌', widecheck: '̌', tilde: '̃',
+  widetilde: '̃', acute: '́', grave: '̀', dot: '̇', ddot: '̈',
+  dddot: '⃛', breve: '̆', bar: '̅', vec: '⃗', mathring: '̊',
+  overrightarrow: '⃗', overleftarrow: '⃖'
+};
+
+const FONTS = {
+  mathrm: 'roman', mathup: 'roman', mathit: 'italic', mathbf: 'bold', mathsf: 'sans-serif',
+  mathtt: 'monospace', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+  mathfrak: 'fraktur', boldsymbol: 'bold-italic', bm: 'bold-italic', pmb: 'bold-italic'
+};
+
+const TEXT_COMMANDS = {
+  text: 'text', textrm: 'text', textnormal: 'text', mbox: 'text', hbox: 'text', textup: 'text',
+  textit: 'italic', textbf: 'bold', textsf: 'sans-serif', texttt: 'monospace'
+};
+
+const SPACES = {
+  ',': ' ', thinspace: ' ', ':': ' ', '>': ' ', medspace: ' ',
+  ';': ' ', thickspace: ' ', ' ': ' ', enspace: ' ', quad: ' ',
+  qquad: '  ', '!': '', negthinspace: ''
+};
+
+// Commands that only affect layout or numbering; their arguments are skipped
+const IGNORED = {
+  displaystyle: 0, textstyle: 0, scriptstyle: 0, scriptscriptstyle: 0, nonumber: 0, notag: 0,
+  nolimits: 0, label: 1, tag: 1, color: 1, hline: 0, middle: 0, allowbreak: 0, strut: 0
+};
+
+const SIZED_DELIMITERS = new Set([
+  'big', 'Big', 'bigg', 'Bigg', 'bigl', 'Bigl', 'biggl', 'Biggl', 'bigr', 'Bigr', 'biggr', 'Biggr', 'bigm', 'Bigm'
+]);
+
+// Environments laid out as a grid: [open, close, column alignment]
+const MATRIX_ENVIRONMENTS = {
+  matrix: ['', '', 'center'], smallmatrix: ['', '', 'center'], pmatrix: ['(', ')', 'center'],
+  bmatrix: ['[', ']', 'center'], Bmatrix: ['{', '}', 'center'], vmatrix: ['|', '|', 'center'],
+  Vmatrix: ['‖', '‖', 'center'], array: ['', '', 'center'], cases: ['{', '', 'left'],
+  dcases: ['{', '', 'left'], rcases: ['', '}', 'left']
+};
+
+// Environments laid out as a stack of equations
+const LINE_ENVIRONMENTS = new Set([
+  'aligned', 'align', 'align*', 'alignat', 'alignat*', 'alignedat', 'gathered', 'gather', 'gather*',
+  'split', 'eqnarray', 'eqnarray*', 'multline', 'multline*', 'equation', 'equation*'
+]);
+
+/**
+ * Parse the LaTeX of a formula
+ * @param {string} latex - LaTeX source without $ delimiters
+ * @returns {Object} Syntax tree: a row, or lines when the formula has several lines
+ * @throws {LatexParseError} On unbalanced braces, unknown environments and similar errors
+ */
+export function parseLatex(latex) {
+  return new LatexParser(String(latex || '')).parse();
+}
+
+class LatexParser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  parse() {
+    const rows = this.parseCells();
+    if (this.pos < this.source.length) {
+      throw new LatexParseError(`Unexpected "${this.peekCommand() || this.source[this.pos]}"`, this.pos);
+    }
+
+    if (rows.length === 1 && rows[0].length === 1) {
+      return rows[0][0];
+    }
+    return { type: 'lines', rows: rows.map(cells => row(cells.flatMap(cell => cell.body))) };
+  }
+
+  // Rows split at \\ and cells split at &, as in matrix environments
+  parseCells() {
+    const rows = [];
+
+    for (;;) {
+      const cells = [this.parseRow({ cell: true })];
+      while (this.source[this.pos] === '&') {
+        this.pos++;
+        cells.push(this.parseRow({ cell: true }));
+      }
+      rows.push(cells);
+
+      if (!this.source.startsWith('\\\\', this.pos)) break;
+      this.pos += 2;
+      this.skipWhitespace();
+      if (this.source[this.pos] === '[') {
+        this.readRawGroup('[', ']');
+      }
+    }
+
+    // A trailing \\ leaves an empty last row
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && last[0].body.length === 0) {
+      rows.pop();
+    }
+    return rows;
+  }
+
+  /**
+   * Parse atoms until the end of the group
+   * @param {Object} stops - Which terminators end this row: brace, bracket, right, cell
+   * @returns {Object} Row node
+   */
+  parseRow(stops = {}) {
+    const body = [];
+
+    for (;;) {
+      this.skipWhitespace();
+      if (this.pos >= this.source.length) break;
+
+      const ch = this.source[this.pos];
+      const command = this.peekCommand();
+
+      if (ch === '}') {
+        if (stops.brace) break;
+        throw new LatexParseError('Unexpected "}"', this.pos);
+      }
+      if (ch === ']' && stops.bracket) break;
+      if (ch === '&' || command === '\\\\' || command === '\\end') {
+        if (stops.cell) break;
+        if (command === '\\end') throw new LatexParseError('Unexpected \\end', this.pos);
+        // Alignment marks and line breaks inside a group (e.g. \substack) only affect layout
+        this.pos += command === '\\\\' ? 2 : 1;
+        continue;
+      }
+      if (command === '\\right') {
+        if (stops.right) break;
+        throw new LatexParseError('\\right without \\left', this.pos);
+      }
+
+      const atom = this.parseAtom();
+      if (atom) {
+        body.push(this.parseScripts(atom));
+      }
+    }
+
+    return row(body);
+  }
+
+  /**
+   * Attach ^, _ and primes that follow an atom
+   * @param {Object} base
+   * @returns {Object} The base, or a scripts node
+   */
+  parseScripts(base) {
+    let sub = null;
+    let sup = null;
+
+    for (;;) {
+      this.skipWhitespace();
+      const ch = this.source[this.pos];
+
+      if (ch === "'") {
+        let primes = '';
+        while (this.source[this.pos] === "'") {
+          primes += '′';
+          this.pos++;
+        }
+        sup = row([...(sup ? sup.body : []), { type: 'ident', text: primes }]);
+      } else if (ch === '^' || ch === '_') {
+        this.pos++;
+        const argument = this.parseArgument();
+        if (ch === '^') {
+          if (sup && sup.body.some(node => node.text !== '′' && node.text !== '″')) {
+            throw new LatexParseError('Double superscript', this.pos);
+          }
+          sup = row([...(sup ? sup.body : []), ...asRow(argument).body]);
+        } else {
+          if (sub) throw new LatexParseError('Double subscript', this.pos);
+          sub = asRow(argument);
+        }
+      } else if (['\\limits', '\\nolimits'].includes(this.peekCommand()) && (base.type === 'bigop' || base.type === 'func')) {
+        const command = this.readCommand();
+        base = { ...base, limits: command === '\\limits' };
+      } else {
+        break;
+      }
+    }
+
+    return sub || sup ? { type: 'scripts', base, sub, sup } : base;
+  }
+
+  /**
+   * Parse one atom: a symbol, a group or a command with its arguments
+   * @returns {Object|null} Node, or null for input that produces nothing
+   */
+  parseAtom() {
+    const ch = this.source[this.pos];
+
+    if (ch === '{') {
+      return this.parseGroup();
+    }
+    if (ch === '^' || ch === '_' || ch === "'") {
+      // Scripts without a base, e.g. ^\circ on its own
+      return row([]);
+    }
+    if (ch === '\\') {
+      return this.parseCommand();
+    }
+
+    this.pos++;
+    if (/[0-9]/.test(ch)) {
+      let text = ch;
+      while (/[0-9]/.test(this.source[this.pos] || '') ||
+        (this.source[this.pos] === '.' && /[0-9]/.test(this.source[this.pos + 1] || ''))) {
+        text += this.source[this.pos++];
+      }
+      return { type: 'number', text };
+    }
+    if (/[A-Za-z]/.test(ch)) return { type: 'ident', text: ch };
+    if (ch === '~') return { type: 'space', text: ' ' };
+    return symbolNode(ch);
+  }
+
+  parseGroup() {
+    const start = this.pos;
+    this.pos++;
+    const group = this.parseRow({ brace: true });
+    if (this.source[this.pos] !== '}') {
+      throw new LatexParseError('Missing "}"', start);
+    }
+    this.pos++;
+    return group;
+  }
+
+  /**
+   * Parse a command argument: a group, a command or a single character
+   * @returns {Object} Node
+   */
+  parseArgument() {
+    this.skipWhitespace();
+    const ch = this.source[this.pos];
+    if (ch === undefined) {
+      throw new LatexParseError('Missing argument', this.pos);
+    }
+    if (ch === '{') return this.parseGroup();
+    if (ch === '\\') return this.parseCommand() || row([]);
+    if (ch === '}' || ch === '&') {
+      throw new LatexParseError('Missing argument', this.pos);
+    }
+
+    this.pos++;
+    if (/[0-9]/.test(ch)) return { type: 'number', text: ch };
+    if (/[A-Za-z]/.test(ch)) return { type: 'ident', text: ch };
+    return symbolNode(ch);
+  }
+
+  parseCommand() {
+    const start = this.pos;
+    const command = this.readCommand();
+    const name = command.slice(1);
+
+    if (name in SPACES) return { type: 'space', text: SPACES[name] };
+    if (name in IDENTIFIERS) return { type: 'ident', text: IDENTIFIERS[name] };
+    if (name in OPERATORS) return { type: 'operator', text: OPERATORS[name] };
+    if (name in RELATIONS) return { type: 'relation', text: RELATIONS[name] };
+    if (name in FENCES) return { type: 'fence', text: FENCES[name] };
+    if (name in BIG_OPERATORS) {
+      const [text, limits] = BIG_OPERATORS[name];
+      return { type: 'bigop', text, limits };
+    }
+    if (name in FUNCTIONS) {
+      return { type: 'func', name: FUNCTION_NAMES[name] || name, limits: FUNCTIONS[name] };
+    }
+    if (name in FONTS) return { type: 'font', font: FONTS[name], body: this.parseArgument() };
+    if (name in TEXT_COMMANDS) return { type: 'text', text: this.readTextArgument(), font: TEXT_COMMANDS[name] };
+    if (name in ACCENTS) return { type: 'accent', accent: ACCENTS[name], body: this.parseArgument() };
+    if (name in IGNORED) {
+      for (let i = 0; i < IGNORED[name]; i++) this.readTextArgument();
+      return null;
+    }
+    if (SIZED_DELIMITERS.has(name)) {
+      return { type: 'fence', text: this.readDelimiter() };
+    }
+
+    switch (name) {
+      case '{': return { type: 'fence', text: '{' };
+      case '}': return { type: 'fence', text: '}' };
+      case '|': return { type: 'fence', text: '‖' };
+      case '\\': return null;
+      case '$': case '%': case '&': case '#': case '_':
+        return { type: 'ident', text: name };
+      case 'frac': case 'dfrac': case 'tfrac': case 'cfrac':
+        return { type: 'frac', numerator: this.parseArgument(), denominator: this.parseArgument(), bar: true };
+      case 'binom': case 'dbinom': case 'tbinom':
+        return {
+          type: 'delimited',
+          open: '(',
+          close: ')',
+          body: row([{ type: 'frac', numerator: this.parseArgument(), denominator: this.parseArgument(), bar: false }])
+        };
+      case 'sqrt': {
+        this.skipWhitespace();
+        let index = null;
+        if (this.source[this.pos] === '[') {
+          this.pos++;
+          index = this.parseRow({ bracket: true });
+          if (this.source[this.pos] !== ']') throw new LatexParseError('Missing "]"', this.pos);
+          this.pos++;
+        }
+        return { type: 'sqrt', body: this.parseArgument(), index };
+      }
+      case 'left': {
+        const open = this.readDelimiter();
+        const body = this.parseRow({ right: true });
+        if (this.peekCommand() !== '\\right') {
+          throw new LatexParseError('\\left without \\right', start);
+        }
+        this.readCommand();
+        return { type: 'delimited', open, close: this.readDelimiter(), body };
+      }
+      case 'overline': return { type: 'bar', position: 'top', body: this.parseArgument() };
+      case 'underline': return { type: 'bar', position: 'bottom', body: this.parseArgument() };
+      case 'overbrace': return { type: 'brace', position: 'top', chr: '⏞', body: this.parseArgument() };
+      case 'underbrace': return { type: 'brace', position: 'bottom', chr: '⏟', body: this.parseArgument() };
+      case 'overset': case 'stackrel': {
+        const limit = this.parseArgument();
+        return { type: 'stack', position: 'top', limit, body: this.parseArgument() };
+      }
+      case 'underset': {
+        const limit = this.parseArgument();
+        return { type: 'stack', position: 'bottom', limit, body: this.parseArgument() };
+      }
+      case 'operatorname': {
+        const limits = this.source[this.pos] === '*';
+        if (limits) this.pos++;
+        return { type: 'func', name: this.readTextArgument(), limits };
+      }
+      case 'not': {
+        const negated = this.parseArgument();
+        const text = { '=': '≠', '∈': '∉', '⊂': '⊄', '⊆': '⊈', '≡': '≢', '∼': '≁', '<': '≮', '>': '≯' }[negated.text];
+        return { type: 'relation', text: text || `${negated.text || ''}̸` };
+      }
+      case 'pmod':
+        return row([
+          { type: 'space', text: SPACES.quad },
+          { type: 'fence', text: '(' },
+          { type: 'text', text: 'mod ', font: 'text' },
+          this.parseArgument(),
+          { type: 'fence', text: ')' }
+        ]);
+      case 'bmod': case 'mod':
+        return { type: 'text', text: ' mod ', font: 'text' };
+      case 'textcolor':
+        this.readTextArgument();
+        return this.parseArgument();
+      case 'boxed': case 'fbox':
+        return this.parseArgument();
+      case 'phantom': case 'hphantom': case 'vphantom':
+        this.parseArgument();
+        return null;
+      case 'begin':
+        return this.parseEnvironment(start);
+      default:
+        // Unknown command: keep it visible as source rather than dropping it
+        return { type: 'text', text: command, font: 'text' };
+    }
+  }
+
+  parseEnvironment(start) {
+    const name = this.readTextArgument();
+    if (!(name in MATRIX_ENVIRONMENTS) && !LINE_ENVIRONMENTS.has(name)) {
+      throw new LatexParseError(`Unknown environment "${name}"`, start);
+    }
+
+    let align = MATRIX_ENVIRONMENTS[name]?.[2];
+    if (name === 'array') {
+      const spec = this.readTextArgument().replace(/[^lcr]/g, '');
+      align = spec && /^l+$/.test(spec) ? 'left' : spec && /^r+$/.test(spec) ? 'right' : 'center';
+    } else if (name.startsWith('alignat') || name === 'alignedat') {
+      this.readTextArgument();
+    }
+
+    const rows = this.parseCells();
+    const end = this.pos;
+    if (this.readCommand() !== '\\end' || this.readTextArgument() !== name) {
+      throw new LatexParseError(`Missing \\end{${name}}`, end);
+    }
+
+    if (LINE_ENVIRONMENTS.has(name)) {
+      return { type: 'lines', rows: rows.map(cells => row(cells.flatMap(cell => cell.body))) };
+    }
+    const [open, close] = MATRIX_ENVIRONMENTS[name];
+    return { type: 'matrix', rows, open, close, align };
+  }
+
+  /**
+   * Read the delimiter after \left, \right or \big
+   * @returns {string} Delimiter character ('' for '.')
+   */
+  readDelimiter() {
+    this.skipWhitespace();
+    const key = this.source[this.pos] === '\\' ? this.readCommand() : this.source[this.pos++];
+    if (key === undefined || !(key in DELIMITERS)) {
+      throw new LatexParseError(`Invalid delimiter "${key || ''}"`, this.pos);
+    }
+    return DELIMITERS[key];
+  }
+
+  /**
+   * Read a braced argument as text (for \text, \operatorname, environment names)
+   * @returns {string} Text with text-mode escapes and spacing commands resolved
+   */
+  readTextArgument() {
+    this.skipWhitespace();
+    if (this.source[this.pos] !== '{') {
+      if (this.pos >= this.source.length) throw new LatexParseError('Missing argument', this.pos);
+      return this.source[this.pos++];
+    }
+
+    return this.readRawGroup('{', '}')
+      .replace(/\\[,:;>]|\\q?quad(?![A-Za-z]) ?/g, ' ')
+      .replace(/\\!/g, '')
+      .replace(/\\([{}$%&#_ ])/g, '$1')
+      .replace(/\$/g, '')
+      .replace(/~/g, ' ');
+  }
+
+  /**
+   * Read a balanced group verbatim
+   * @param {string} open
+   * @param {string} close
+   * @returns {string} Contents without the outer brackets
+   */
+  readRawGroup(open, close) {
+    const start = this.pos;
+    let depth = 0;
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (ch === open) depth++;
+      if (ch === close && --depth === 0) {
+        this.pos++;
+        return this.source.slice(start + 1, this.pos - 1);
+      }
+      this.pos++;
+    }
+
+    throw new LatexParseError(`Missing "${close}"`, start);
+  }
+
+  /**
+   * Read a command: a backslash and its letters, or a backslash and one other character
+   * @returns {string} The command including the backslash
+   */
+  readCommand() {
+    const command = this.peekCommand();
+    this.pos += command.length;
+    return command;
+  }
+
+  peekCommand() {
+    if (this.source[this.pos] !== '\\') return '';
+    const match = this.source.slice(this.pos).match(/^\\(?:[A-Za-z]+|[\s\S])/);
+    return match ? match[0] : '\\';
+  }
+
+  skipWhitespace() {
+    while (/\s/.test(this.source[this.pos] || '')) {
+      this.pos++;
+    }
+  }
+}
+
+function row(body) {
+  return { type: 'row', body };
+}
+
+function asRow(node) {
+  return node.type === 'row' ? node : row([node]);
+}
+
+/**
+ * Classify a plain character
+ * @param {string} ch
+ * @returns {Object} Symbol node
+ */
+function symbolNode(ch) {
+  if ('=<>'.includes(ch)) return { type: 'relation', text: ch };
+  if (ch === '-') return { type: 'operator', text: '−' };
+  if (ch === '*') return { type: 'operator', text: '∗' };
+  if ('+/'.includes(ch)) return { type: 'operator', text: ch };
+  if ('()[]|'.includes(ch)) return { type: 'fence', text: ch };
+  if (',;:.!?'.includes(ch)) return { type: 'punct', text: ch };
+  return { type: 'ident', text: ch };
+}
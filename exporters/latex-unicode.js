@@ -0,0 +1,234 @@
+/**
+ * Unicode handling for the LaTeX exporter
+ * pdfLaTeX only reads the characters its font encodings declare, so symbols,
+ * Greek letters and accented letters are mapped to LaTeX commands. XeLaTeX and
+ * LuaLaTeX typeset UTF-8 directly and get CJK and emoji fonts as fallbacks.
+ */
+
+export const LATEX_ENGINES = ['pdflatex', 'xelatex', 'lualatex'];
+
+const ENGINE_NAMES = { pdflatex: 'pdfLaTeX', xelatex: 'XeLaTeX', lualatex: 'LuaLaTeX' };
+
+// Math symbols; in text they are wrapped in \ensuremath, as text fonts rarely have them
+const MATH_SYMBOLS = {
+  '←': '\\leftarrow', '→': '\\rightarrow', '↑': '\\uparrow', '↓': '\\downarrow',
+  '↔': '\\leftrightarrow', '↕': '\\updownarrow', '↦': '\\mapsto', '↪': '\\hookrightarrow', '↩': '\\hookleftarrow',
+  '↗': '\\nearrow', '↘': '\\searrow', '↙': '\\swarrow', '↖': '\\nwarrow',
+  '⇐': '\\Leftarrow', '⇒': '\\Rightarrow', '⇔': '\\Leftrightarrow', '⇑': '\\Uparrow', '⇓': '\\Downarrow',
+  '⇌': '\\rightleftharpoons', '⟵': '\\longleftarrow', '⟶': '\\longrightarrow', '⟷': '\\longleftrightarrow',
+  '⟸': '\\Longleftarrow', '⟹': '\\Longrightarrow', '⟺': '\\Longleftrightarrow',
+  '≤': '\\leq', '≥': '\\geq', '⩽': '\\leqslant', '⩾': '\\geqslant', '≠': '\\neq', '≈': '\\approx',
+  '≡': '\\equiv', '≅': '\\cong', '∼': '\\sim', '≃': '\\simeq', '∝': '\\propto', '≪': '\\ll', '≫': '\\gg',
+  '≺': '\\prec', '≻': '\\succ', '⊂': '\\subset', '⊃': '\\supset', '⊆': '\\subseteq', '⊇': '\\supseteq',
+  '∈': '\\in', '∉': '\\notin', '∋': '\\ni', '⊥': '\\perp', '∥': '\\parallel', '∣': '\\mid',
+  '⊢': '\\vdash', '⊨': '\\models',
+  '∓': '\\mp', '−': '-', '∗': '\\ast', '∘': '\\circ', '∙': '\\bullet', '⋅': '\\cdot', '⋆': '\\star',
+  '⊕': '\\oplus', '⊗': '\\otimes', '⊙': '\\odot', '∧': '\\wedge', '∨': '\\vee',
+  '∩': '\\cap', '∪': '\\cup', '∖': '\\setminus',
+  '∑': '\\sum', '∏': '\\prod', '∐': '\\coprod', '∫': '\\int', '∬': '\\iint', '∭': '\\iiint', '∮': '\\oint',
+  '√': '\\surd', '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '∀': '\\forall', '∃': '\\exists',
+  '∄': '\\nexists', '∅': '\\emptyset', '∠': '\\angle', '∴': '\\therefore', '∵': '\\because',
+  'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℝ': '\\mathbb{R}', 'ℂ': '\\mathbb{C}',
+  'ℓ': '\\ell', 'ℏ': '\\hbar', 'ℵ': '\\aleph',
+  '⟨': '\\langle', '⟩': '\\rangle', '⌈': '\\lceil', '⌉': '\\rceil', '⌊': '\\lfloor', '⌋': '\\rfloor',
+  '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots',
+  '△': '\\triangle', '□': '\\square', '■': '\\blacksquare', '◇': '\\Diamond', '★': '\\bigstar',
+  '♠': '\\spadesuit', '♥': '\\heartsuit', '♦': '\\diamondsuit', '♣': '\\clubsuit',
+  '✗': '\\times', '✘': '\\times',
+  // Greek letters are symbols in chat answers (π, α-helix), and Latin Modern has no Greek
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\varepsilon', 'ϵ': '\\epsilon',
+  'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ϑ': '\\vartheta', 'ι': '\\iota', 'κ': '\\kappa',
+  'λ': '\\lambda', 'μ': '\\mu', 'µ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi', 'ο': '{o}', 'π': '\\pi', 'ϖ': '\\varpi',
+  'ρ': '\\rho', 'ϱ': '\\varrho', 'σ': '\\sigma', 'ς': '\\varsigma', 'τ': '\\tau', 'υ': '\\upsilon',
+  'φ': '\\varphi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+  'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+  'Σ': '\\Sigma', 'Υ': '\\Upsilon', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+  'Α': '\\mathrm{A}', 'Β': '\\mathrm{B}', 'Ε': '\\mathrm{E}', 'Ζ': '\\mathrm{Z}', 'Η': '\\mathrm{H}',
+  'Ι': '\\mathrm{I}', 'Κ': '\\mathrm{K}', 'Μ': '\\mathrm{M}', 'Ν': '\\mathrm{N}', 'Ο': '\\mathrm{O}',
+  'Ρ': '\\mathrm{P}', 'Τ': '\\mathrm{T}', 'Χ': '\\mathrm{X}'
+};
+
+// Math spellings of characters that text has its own commands for
+const MATH_ONLY = {
+  '±': '\\pm', '×': '\\times', '÷': '\\div', '·': '\\cdot', '¬': '\\neg', '°': '^{\\circ}',
+  '′': "'", '″': "''", '…': '\\ldots', '†': '\\dagger', '‡': '\\ddagger', '✓': '\\checkmark'
+};
+
+// Text-mode commands for pdfLaTeX
+const TEXT_SYMBOLS = {
+  '\u00A0': '~', '\u00AD': '\\-',
+  '–': '\\textendash{}', '—': '\\textemdash{}', '‐': '-', '‑': '\\mbox{-}',
+  '‘': '`', '’': "'", '‚': '\\quotesinglbase{}', '“': '``', '”': "''", '„': '\\quotedblbase{}',
+  '‹': '\\guilsinglleft{}', '›': '\\guilsinglright{}',
+  '…': '\\dots{}', '•': '\\textbullet{}', '†': '\\dag{}', '‡': '\\ddag{}', '‰': '\\textperthousand{}',
+  '′': "'", '″': "''", '€': '\\texteuro{}', '™': '\\texttrademark{}', '№': '\\textnumero{}', '℃': '\\textcelsius{}',
+  '✓': '\\checkmark{}', '✔': '\\checkmark{}', '✅': '\\checkmark{}', '❌': '\\ensuremath{\\times}',
+  '\u2002': '\\enspace{}', '\u2003': '\\quad{}', '\u2009': '\\,', '\u202F': '\\,', '\u200B': '\\hspace{0pt}',
+  // Invisible joiners and emoji variation selectors
+  '\u200C': '', '\u200D': '', '\u2060': '', '\uFE0E': '', '\uFE0F': '', '\uFEFF': '',
+  'ł': '\\l{}', 'Ł': '\\L{}', 'đ': '\\dj{}', 'Đ': '\\DJ{}', 'œ': '\\oe{}', 'Œ': '\\OE{}',
+  'ı': '\\i{}', 'ȷ': '\\j{}', 'ŋ': '\\ng{}', 'Ŋ': '\\NG{}',
+  '⁰': '\\textsuperscript{0}', '⁴': '\\textsuperscript{4}', '⁵': '\\textsuperscript{5}', '⁶': '\\textsuperscript{6}',
+  '⁷': '\\textsuperscript{7}', '⁸': '\\textsuperscript{8}', '⁹': '\\textsuperscript{9}', 'ⁿ': '\\textsuperscript{n}',
+  ...Object.fromEntries([...'₀₁₂₃₄₅₆₇₈₉'].map((ch, digit) => [ch, `\\textsubscript{${digit}}`]))
+};
+
+// Combining marks that pdfLaTeX spells as accent commands
+const ACCENTS = {
+  '\u0300': '\\`', '\u0301': "\\'", '\u0302': '\\^', '\u0303': '\\~', '\u0304': '\\=', '\u0306': '\\u',
+  '\u0307': '\\.', '\u0308': '\\"', '\u030A': '\\r', '\u030B': '\\H', '\u030C': '\\v',
+  '\u0323': '\\d', '\u0327': '\\c', '\u0328': '\\k', '\u0331': '\\b'
+};
+
+// Latin-1 letters and symbols, declared by inputenc for T1 fonts
+const LATIN1 = /^[¡-ÿ]$/;
+
+// A flag, or an emoji with its modifiers, or a sequence of them joined by zero-width joiners
+const EMOJI = '\\p{Regional_Indicator}{2}|(?:\\p{Emoji_Presentation}|\\p{Extended_Pictographic}\\uFE0F)(?:\\p{Emoji_Modifier}|\\uFE0F|\\u200D\\p{Extended_Pictographic}\\uFE0F?)*';
+const UNICODE_TEXT = new RegExp(`(${EMOJI})|[^\\x00-\\x7F]`, 'gu');
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303F\uFF00-\uFFEF]/u;
+
+const CJK_FONTS = { main: 'Noto Serif CJK SC', sans: 'Noto Sans CJK SC', mono: 'Noto Sans Mono CJK SC' };
+
+/**
+ * Converts the non-ASCII characters of one export for the chosen engine
+ * and remembers which fonts the preamble needs
+ */
+export class LatexUnicode {
+  /**
+   * @param {string} [engine='pdflatex'] - One of LATEX_ENGINES
+   */
+  constructor(engine = 'pdflatex') {
+    this.engine = LATEX_ENGINES.includes(engine) ? engine : 'pdflatex';
+    this.usesCjk = false;
+    this.usesEmoji = false;
+    // Code points pdfLaTeX cannot typeset, shown as [U+XXXX]
+    this.unsupported = new Set();
+  }
+
+  get isUnicodeEngine() {
+    return this.engine !== 'pdflatex';
+  }
+
+  get engineName() {
+    return ENGINE_NAMES[this.engine];
+  }
+
+  /**
+   * Convert text that is already escaped for LaTeX (only non-ASCII characters change)
+   * @param {string} text
+   * @returns {string} LaTeX
+   */
+  text(text) {
+    if (!/[^\x00-\x7F]/.test(text)) return text;
+
+    if (!this.isUnicodeEngine) {
+      // A letter with its combining marks is one character to pdfLaTeX
+      return text.replace(/[A-Za-z]\p{M}+|[^\x00-\x7F]\p{M}*/gu, ch => this.pdfTextCharacter(ch.normalize('NFC')));
+    }
+
+    if (CJK.test(text)) this.usesCjk = true;
+    return text.replace(UNICODE_TEXT, (ch, emoji) => {
+      if (emoji) {
+        this.usesEmoji = true;
+        return `{\\emojifont ${emoji}}`;
+      }
+      return MATH_SYMBOLS[ch] ? `\\ensuremath{${MATH_SYMBOLS[ch]}}` : ch;
+    });
+  }
+
+  /**
+   * Convert the source of a formula: symbols become math commands, anything else goes into \text
+   * @param {string} latex
+   * @returns {string} LaTeX
+   */
+  math(latex) {
+    if (!/[^\x00-\x7F]/.test(latex)) return latex;
+
+    return latex.replace(/[^\x00-\x7F]+/gu, (run, offset) => {
+      const parts = [];
+      let text = '';
+      const flushText = () => {
+        if (text) parts.push(`\\text{${this.text(text)}}`);
+        text = '';
+      };
+
+      for (const ch of run) {
+        const command = MATH_SYMBOLS[ch] || MATH_ONLY[ch];
+        if (command) {
+          flushText();
+          parts.push(command);
+        } else {
+          text += ch;
+        }
+      }
+      flushText();
+
+      // Keep a command such as \alpha apart from a letter that follows it
+      const converted = parts.join('');
+      const next = latex[offset + run.length] || '';
+      return /\\[a-zA-Z]+$/.test(converted) && /[a-zA-Z]/.test(next) ? `${converted} ` : converted;
+    });
+  }
+
+  pdfTextCharacter(ch) {
+    if (Object.hasOwn(TEXT_SYMBOLS, ch)) return TEXT_SYMBOLS[ch];
+    if (MATH_SYMBOLS[ch]) return `\\ensuremath{${MATH_SYMBOLS[ch]}}`;
+    if (LATIN1.test(ch)) return ch;
+
+    // Accented letters outside Latin-1: the base letter under accent commands
+    const [base, ...marks] = ch.normalize('NFD');
+    if (/^[A-Za-z]$/.test(base) && marks.length > 0 && marks.every(mark => ACCENTS[mark])) {
+      return marks.reduce((letter, mark) => `${ACCENTS[mark]}{${letter}}`, base);
+    }
+
+    const codePoint = `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+    this.unsupported.add(codePoint);
+    return `[${codePoint}]`;
+  }
+
+  /**
+   * Preamble lines for the text converted so far
+   * @param {Function} loadsPackage - Whether the preamble already loads a package (name => boolean)
+   * @returns {string} LaTeX, empty if nothing is needed
+   */
+  preamble(loadsPackage) {
+    if (!this.isUnicodeEngine) {
+      if (this.unsupported.size === 0) return '';
+      return `% pdfLaTeX cannot typeset ${[...this.unsupported].join(', ')}, shown as [U+XXXX].\n` +
+        '% Export with the XeLaTeX or LuaLaTeX engine to keep them.\n';
+    }
+
+    const lines = [];
+    if (!loadsPackage('fontspec')) lines.push('\\usepackage{fontspec}');
+
+    if (this.usesCjk) {
+      if (this.engine === 'xelatex') {
+        lines.push('\\usepackage{xeCJK}',
+          `\\setCJKmainfont{${CJK_FONTS.main}}`, `\\setCJKsansfont{${CJK_FONTS.sans}}`, `\\setCJKmonofont{${CJK_FONTS.mono}}`);
+      } else {
+        lines.push('\\usepackage{luatexja-fontspec}',
+          `\\setmainjfont{${CJK_FONTS.main}}`, `\\setsansjfont{${CJK_FONTS.sans}}`);
+      }
+    }
+
+    if (this.usesEmoji) {
+      // xdvipdfmx cannot draw colour glyphs, so XeLaTeX gets the black-and-white emoji font
+      lines.push(this.engine === 'xelatex'
+        ? '\\newfontfamily\\emojifont{Noto Emoji}'
+        : '\\newfontfamily\\emojifont{Noto Color Emoji}[Renderer=HarfBuzz]');
+    }
+
+    return lines.length ? `% Fonts for CJK text and emoji\n${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Comment for the top of the document naming the engine, unless it is pdfLaTeX
+   * @returns {string} LaTeX comment line, or ''
+   */
+  compileNote() {
+    return this.isUnicodeEngine
+      ? `% Compile with ${this.engineName} (e.g. ${this.engine} main.tex); pdfLaTeX cannot load these fonts\n`
+      : '';
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Markdown escaping for Gemini Chat Exporter
+ * Makes text, code and URLs come out literally when the exported Markdown is
+ * rendered again. What needs escaping depends on where the text ends up:
+ *
+ * - 'paragraph': running text; block syntax (#, >, -, 1.) matters at line starts
+ * - 'table-cell': a pipe table cell; | ends the cell, even inside code spans
+ * - 'link-text': the [text] of a link; brackets must stay balanced
+ * - 'heading': an ATX heading; a line break or trailing # would end it early
+ */
+
+export const ESCAPE_CONTEXTS = ['paragraph', 'table-cell', 'link-text', 'heading'];
+
+// Characters with inline meaning in every CommonMark-based dialect
+const CORE_ESCAPES = '\\`*_[]<';
+
+// Block markers that only count at the start of a line
+const LINE_START_MARKER = /(^|\n)([ \t]*)([#>+=-]|\d+[.)])/g;
+
+/**
+ * Escape text so that it renders literally
+ * @param {string} text - Plain text
+ * @param {Object} [options]
+ * @param {string} [options.context='paragraph'] - One of ESCAPE_CONTEXTS
+ * @param {string} [options.extra=''] - Characters the dialect also gives meaning (e.g. '$~')
+ * @param {boolean} [options.atLineStart=true] - Whether the text begins a line
+ * @returns {string} Escaped text
+ */
+export function escapeMarkdown(text, { context = 'paragraph', extra = '', atLineStart = true } = {}) {
+  const special = new Set(CORE_ESCAPES + extra + (context === 'table-cell' ? '|' : ''));
+  let escaped = Array.from(String(text), ch => (special.has(ch) ? '\\' + ch : ch)).join('');
+
+  // &amp; and &#42; would render as the character they name
+  escaped = escaped.replace(/&(?=#?\w+;)/g, '\\&');
+
+  if (context === 'heading') {
+    // A heading is one line, and a closing run of # is not part of its text
+    return escaped.replace(/\s*\n\s*/g, ' ').replace(/#+$/, match => '\\#'.repeat(match.length));
+  }
+
+  if (context === 'paragraph') {
+    escaped = escaped.replace(LINE_START_MARKER, (match, newline, indent, marker, offset) => {
+      if (!atLineStart && offset === 0 && !newline) return match;
+      const escapedMarker = /^\d/.test(marker) ? marker.slice(0, -1) + '\\' + marker.slice(-1) : '\\' + marker;
+      return newline + indent + escapedMarker;
+    });
+  }
+
+  return escaped;
+}
+
+/**
+ * Protect the pipes of an already formatted piece (code span, math, URL) inside a pipe table cell
+ * GFM splits cells before parsing inline content, so | needs a backslash even inside code spans.
+ * @param {string} markdown - Formatted Markdown without escaped pipes
+ * @returns {string} Markdown safe inside a table cell
+ */
+export function escapeTablePipes(markdown) {
+  return String(markdown).replace(/\|/g, '\\|');
+}
+
+/**
+ * Wrap text in a code span, using a longer backtick run if the text contains backticks
+ * @param {string} text - Code text
+ * @returns {string} Code span
+ */
+export function formatCodeSpan(text) {
+  const value = String(text).replace(/\n/g, ' ');
+  const fence = '`'.repeat(longestRun(value, '`') + 1);
+  // Padding keeps backticks at the edges apart from the fence; one space on each side is stripped again
+  const padding = /^`|`$/.test(value) || (/^ .* $/.test(value) && /\S/.test(value)) ? ' ' : '';
+  return `${fence}${padding}${value}${padding}${fence}`;
+}
+
+/**
+ * Wrap code in a fenced code block
+ * The fence is longer than any backtick run in the code, so ``` inside the code does not close it.
+ * @param {string} code - Code text
+ * @param {string} [info=''] - Info string (language)
+ * @param {string} [indent=''] - Indent for every line
+ * @returns {string} Fenced code block
+ */
+export function formatCodeFence(code, info = '', indent = '') {
+  const fence = '`'.repeat(Math.max(3, longestRun(code, '`') + 1));
+  // Renderers read the first word as the language; backticks are not allowed after a backtick fence
+  const language = String(info || '').trim().split(/\s+/)[0].replace(/`/g, '');
+  const body = String(code).split('\n').map(line => indent + line).join('\n');
+  return `${indent}${fence}${language}\n${body}\n${indent}${fence}`;
+}
+
+/**
+ * Format a link destination
+ * Spaces, angle brackets and parentheses could end the destination early.
+ * @param {string} href - URL
+ * @returns {string} Destination for [text](destination)
+ */
+export function formatLinkDestination(href) {
+  return String(href || '')
+    .replace(/[\s<>]/g, ch => encodeURIComponent(ch))
+    .replace(/[()]/g, ch => '\\' + ch);
+}
+
+/**
+ * @param {string} text
+ * @param {string} ch - Character to look for
+ * @returns {number} Length of the longest run of ch in text
+ */
+function longestRun(text, ch) {
+  let longest = 0;
+  let current = 0;
+  for (const c of String(text)) {
+    current = c === ch ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+}
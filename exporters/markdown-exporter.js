@@ -3,14 +3,117 @@
  * Converts extracted Gemini content to clean Markdown format
  */
 
+import { getTemplateValues, renderTemplate } from './template.js';
+import { buildFilename } from './filename.js';
+import {
+  escapeMarkdown,
+  escapeTablePipes,
+  formatCodeSpan,
+  formatCodeFence,
+  formatLinkDestination
+} from './markdown-escape.js';
+import { CitationList } from './citations.js';
+
+/**
+ * What each Markdown dialect supports
+ * - inlineMath / displayMath: 'dollars', 'brackets', 'fence' (```math) or 'code'
+ * - pipeTables: pipe tables are available (otherwise tables are HTML)
+ * - cellBreaks: <br> line breaks work inside pipe table cells
+ * - lineBreak: hard line break inside a paragraph
+ * - footnotes: [^1] footnotes are available (otherwise citations link to the source)
+ * - listIndent: nested content indent, 'marker' (marker width) or a number of spaces
+ * - escape: characters escaped anywhere in text, besides the CommonMark core set
+ *   (see markdown-escape.js)
+ */
+export const MARKDOWN_DIALECTS = {
+  gfm: {
+    label: 'GitHub Flavored Markdown',
+    inlineMath: 'dollars',
+    displayMath: 'fence',
+    pipeTables: true,
+    cellBreaks: true,
+    lineBreak: '\\\n',
+    footnotes: true,
+    listIndent: 'marker',
+    escape: '$~'
+  },
+  commonmark: {
+    label: 'CommonMark',
+    inlineMath: 'brackets',
+    displayMath: 'brackets',
+    pipeTables: false,
+    cellBreaks: false,
+    lineBreak: '\\\n',
+    footnotes: false,
+    listIndent: 'marker',
+    escape: ''
+  },
+  pandoc: {
+    label: 'Pandoc Markdown',
+    inlineMath: 'dollars',
+    displayMath: 'dollars',
+    pipeTables: true,
+    cellBreaks: false,
+    lineBreak: '\\\n',
+    footnotes: true,
+    listIndent: 4,
+    escape: '$~^'
+  },
+  plain: {
+    label: 'Plain Markdown (no math or table extensions)',
+    inlineMath: 'code',
+    displayMath: 'code',
+    pipeTables: false,
+    cellBreaks: false,
+    lineBreak: '  \n',
+    footnotes: false,
+    listIndent: 4,
+    escape: ''
+  },
+  // Used by ObsidianExporter; not offered as a choice of its own
+  obsidian: {
+    label: 'Obsidian',
+    inlineMath: 'dollars',
+    displayMath: 'dollars',
+    pipeTables: true,
+    cellBreaks: true,
+    lineBreak: '\n',
+    footnotes: true,
+    listIndent: 'marker',
+    escape: '$~'
+  }
+};
+
+// Math delimiters chosen apart from the dialect (mathDelimiters option)
+export const MATH_DELIMITERS = {
+  dollars: { inlineMath: 'dollars', displayMath: 'dollars' },
+  brackets: { inlineMath: 'brackets', displayMath: 'brackets' }
+};
+
 export class MarkdownExporter {
   constructor(data, options = {}) {
     this.data = data;
     this.options = {
       includeTimestamp: true,
       includeMeta: true,
+      // 'embed' (data URI), 'relative' (images/ folder, returned as assets) or 'link' (original URL)
+      imageMode: 'embed',
+      // Custom header with {{placeholders}}; empty uses the built-in header
+      markdownTemplate: '',
+      // Key of MARKDOWN_DIALECTS
+      markdownDialect: 'gfm',
+      // Key of MATH_DELIMITERS, or 'dialect' for the dialect's own (```math for GFM, code for plain)
+      mathDelimiters: 'dollars',
+      // Keep Gemini's "Show thinking" reasoning as a collapsible section
+      includeThinking: false,
       ...options
     };
+    this.dialect = withMathDelimiters(
+      MARKDOWN_DIALECTS[this.options.markdownDialect] || MARKDOWN_DIALECTS.gfm,
+      this.options.mathDelimiters
+    );
+    this.assets = [];
+    this.citations = new CitationList();
   }
 
   /**
@@ -25,22 +128,83 @@ export class MarkdownExporter {
       markdown += this.generateHeader();
     }
 
+    // Label turns only when the export contains user prompts
+    const labelTurns = this.hasUserTurns();
+
     // Process each message
     this.data.messages.forEach((message, index) => {
       if (index > 0) {
         markdown += '\n---\n\n';
       }
+      if (labelTurns) {
+        markdown += `## ${this.getTurnLabel(message)}\n\n`;
+      }
       markdown += this.processMessage(message);
     });
 
+    markdown += this.generateReferences(this.data.messages);
+
     return markdown;
   }
 
+  /**
+   * Generate the references section for the cited sources
+   * With footnotes, cited sources become footnote definitions, which renderers
+   * list as numbered notes at the end; sources that are never cited follow
+   * under "Sources". Without footnotes, all sources form a numbered list.
+   * @param {Array} messages - Messages whose Sources lists are included
+   * @returns {string} References markdown (empty without sources)
+   */
+  generateReferences(messages) {
+    this.citations.addMessageSources(messages);
+    if (this.citations.size === 0) {
+      return '';
+    }
+
+    const link = (source) => source.url
+      ? `[${this.escapeText(source.title, { context: 'link-text' })}](${formatLinkDestination(source.url)})`
+      : this.escapeText(source.title);
+    const { sources } = this.citations;
+    const sections = [];
+
+    if (this.dialect.footnotes) {
+      const cited = sources.filter(source => source.cited);
+      const uncited = sources.filter(source => !source.cited);
+      if (cited.length > 0) {
+        sections.push(cited.map(source => `[^${source.number}]: ${link(source)}`).join('\n'));
+      }
+      if (uncited.length > 0) {
+        sections.push('## Sources\n\n' + uncited.map(source => `- ${link(source)}`).join('\n'));
+      }
+    } else {
+      sections.push('## References\n\n' + sources.map(source => `${source.number}. ${link(source)}`).join('\n'));
+    }
+
+    return '---\n\n' + sections.join('\n\n') + '\n';
+  }
+
+  /**
+   * Format a citation marker
+   * @param {Object} citation - Citation node ({index, url, title})
+   * @returns {string} Footnote reference, or the source number linking to the source
+   */
+  formatCitation(citation) {
+    const { number, url } = this.citations.cite(citation);
+    if (this.dialect.footnotes) {
+      return `[^${number}]`;
+    }
+    return url ? `[\\[${number}\\]](${formatLinkDestination(url)})` : `\\[${number}\\]`;
+  }
+
   /**
    * Generate header with metadata
    * @returns {string} Header markdown
    */
   generateHeader() {
+    if (this.options.markdownTemplate) {
+      return this.generateTemplateHeader();
+    }
+
     const { metadata } = this.data;
     let header = '# Gemini Conversation Export\n\n';
     
@@ -59,6 +223,32 @@ export class MarkdownExporter {
     return header;
   }
 
+  /**
+   * Generate header from the user's Markdown template
+   * @returns {string} Header markdown
+   */
+  generateTemplateHeader() {
+    const header = renderTemplate(this.options.markdownTemplate, getTemplateValues(this.data.metadata));
+    return header.replace(/\s*$/, '\n\n');
+  }
+
+  /**
+   * Check whether the export contains user prompts alongside responses
+   * @returns {boolean} True if any message is a user turn
+   */
+  hasUserTurns() {
+    return this.data.messages.some(message => message && message.type === 'user');
+  }
+
+  /**
+   * Get the speaker label for a message
+   * @param {Object} message - Message data
+   * @returns {string} "You" for user prompts, "Gemini" for responses
+   */
+  getTurnLabel(message) {
+    return message && message.type === 'user' ? 'You' : 'Gemini';
+  }
+
   /**
    * Process a single message
    * @param {Object} message - Message data
@@ -109,12 +299,28 @@ export class MarkdownExporter {
       
       case 'math-block':
         return this.processMathBlock(block) + '\n\n';
+
+      case 'image':
+        return this.processImage(block) + '\n\n';
+
+      case 'thinking':
+        return this.options.includeThinking ? this.processThinking(block) + '\n\n' : '';
       
       default:
         return block.text ? block.text + '\n\n' : '';
     }
   }
 
+  /**
+   * Process the reasoning of a thinking model as a collapsed <details> section
+   * @param {Object} block - Thinking block with its own structure
+   * @returns {string} HTML details element around the Markdown of the reasoning
+   */
+  processThinking(block) {
+    const body = this.processMessage(block).trimEnd();
+    return `<details>\n<summary>Reasoning</summary>\n\n${body}\n\n</details>`;
+  }
+
   /**
    * Process paragraph with inline content
    * @param {Object} block - Paragraph block
@@ -131,7 +337,7 @@ export class MarkdownExporter {
    */
   processHeading(block) {
     const hashes = '#'.repeat(block.level);
-    const content = this.processInlineContent(block.content);
+    const content = this.processInlineContent(block.content, { context: 'heading' }).trim();
     return `${hashes} ${content}`;
   }
 
@@ -140,29 +346,28 @@ export class MarkdownExporter {
    * @param {Object} block - List block
    * @returns {string} Markdown list
    */
-  processList(block, indent = 0) {
-    const prefix = block.type === 'ordered-list' ? '1. ' : '- ';
-    const indentStr = '  '.repeat(indent);
-    
+  processList(block, indentStr = '') {
     return block.items.map((item, index) => {
+      const prefix = block.type === 'ordered-list' ? `${index + 1}. ` : '- ';
       const { text, mathBlocks } = this.splitInlineContent(item.content);
-      let itemStr = indentStr + prefix + text.trim();
-      
-      if (mathBlocks.length > 0) {
-        const continuationIndent = indentStr + '  ';
-        mathBlocks.forEach(latex => {
-          itemStr += `\n${continuationIndent}$$\n${continuationIndent}${latex}\n${continuationIndent}$$`;
-        });
-      }
-      
+      // Continuation lines must line up with the item content to stay inside the item
+      const continuationIndent = indentStr + ' '.repeat(
+        this.dialect.listIndent === 'marker' ? prefix.length : this.dialect.listIndent
+      );
+      let itemStr = indentStr + prefix + text.trim().replace(/\n/g, '\n' + continuationIndent);
+
+      mathBlocks.forEach(latex => {
+        itemStr += '\n' + this.formatDisplayMath(latex, continuationIndent);
+      });
+
       if (item.nested) {
         const nestedBlock = {
           type: item.nestedType === 'ordered' ? 'ordered-list' : 'unordered-list',
           items: item.nested
         };
-        itemStr += '\n' + this.processList(nestedBlock, indent + 1);
+        itemStr += '\n' + this.processList(nestedBlock, continuationIndent);
       }
-      
+
       return itemStr;
     }).join('\n');
   }
@@ -183,8 +388,7 @@ export class MarkdownExporter {
    * @returns {string} Markdown code block
    */
   processCodeBlock(block) {
-    const language = block.language || '';
-    return '```' + language + '\n' + block.code + '\n```';
+    return formatCodeFence(block.code, block.language);
   }
 
   /**
@@ -194,13 +398,16 @@ export class MarkdownExporter {
    */
   processTable(block) {
     const { data } = block;
+
+    if (!this.dialect.pipeTables || this.tableNeedsHtml(data)) {
+      return this.processHtmlTable(data);
+    }
+
     let table = '';
 
     const renderCell = (cell) => {
-      if (Array.isArray(cell)) {
-        return this.processInlineContent(cell).replace(/\n/g, '<br>');
-      }
-      return (cell || '').toString().replace(/\n/g, '<br>');
+      const content = Array.isArray(cell) ? cell : [{ type: 'text', text: String(cell || '') }];
+      return this.processInlineContent(content, { context: 'table-cell', lineBreak: '<br>' });
     };
 
     // Headers
@@ -217,52 +424,218 @@ export class MarkdownExporter {
     return table;
   }
 
+  /**
+   * Check whether a table has cells a pipe table cannot hold
+   * Pipe table cells are single lines: display math always needs HTML, line
+   * breaks only where the dialect has no <br> in cells.
+   * @param {Object} data - Table data ({headers, rows})
+   * @returns {boolean} True if the table must be written as HTML
+   */
+  tableNeedsHtml(data) {
+    const cells = [...(data.headers || []), ...data.rows.flat()];
+    const hasBlock = (content) => Array.isArray(content) && content.some(element =>
+      element.type === 'math-block'
+      || (!this.dialect.cellBreaks && element.type === 'text' && element.text.includes('\n'))
+      || hasBlock(element.content)
+    );
+    return cells.some(cell => Array.isArray(cell)
+      ? hasBlock(cell)
+      : !this.dialect.cellBreaks && String(cell || '').includes('\n'));
+  }
+
+  /**
+   * Render a table as HTML
+   * Cell content stays Markdown, set off by blank lines so that CommonMark
+   * parsers render it (math, emphasis, display formulas) inside the cell.
+   * @param {Object} data - Table data ({headers, rows})
+   * @returns {string} HTML table
+   */
+  processHtmlTable(data) {
+    const renderCell = (tag, cell) => {
+      const content = Array.isArray(cell) ? cell : [{ type: 'text', text: String(cell || '') }];
+      const markdown = this.processInlineContent(content).trim();
+      return markdown ? `<${tag}>\n\n${markdown}\n\n</${tag}>` : `<${tag}></${tag}>`;
+    };
+    const renderRow = (tag, row) => ['<tr>', ...row.map(cell => renderCell(tag, cell)), '</tr>'].join('\n');
+
+    const lines = ['<table>'];
+    if (data.headers && data.headers.length > 0) {
+      lines.push('<thead>', renderRow('th', data.headers), '</thead>');
+    }
+    lines.push('<tbody>', ...data.rows.map(row => renderRow('td', row)), '</tbody>', '</table>');
+
+    return lines.join('\n');
+  }
+
   /**
    * Process math block
    * @param {Object} block - Math block
    * @returns {string} Markdown math block
    */
   processMathBlock(block) {
-    return '$$\n' + block.latex + '\n$$';
+    return this.formatDisplayMath(block.latex);
+  }
+
+  /**
+   * Wrap inline math in the configured delimiters
+   * @param {string} latex - LaTeX source
+   * @returns {string} Delimited math
+   */
+  formatInlineMath(latex) {
+    switch (this.dialect.inlineMath) {
+      case 'brackets':
+        return `\\(${latex}\\)`;
+      case 'code':
+        return formatCodeSpan(latex);
+      default:
+        // Pandoc only reads $...$ without spaces next to the dollars
+        return `$${latex.trim()}$`;
+    }
+  }
+
+  /**
+   * Wrap display math in the configured delimiters
+   * @param {string} latex - LaTeX source
+   * @param {string} indent - Indentation for every line (list continuation)
+   * @returns {string} Delimited math block
+   */
+  formatDisplayMath(latex, indent = '') {
+    switch (this.dialect.displayMath) {
+      case 'fence':
+        return formatCodeFence(latex, 'math', indent);
+      case 'code':
+        return formatCodeFence(latex, 'latex', indent);
+    }
+    const [open, close] = this.dialect.displayMath === 'brackets' ? ['\\[', '\\]'] : ['$$', '$$'];
+    const body = String(latex).split('\n').map(line => indent + line).join('\n');
+    return `${indent}${open}\n${body}\n${indent}${close}`;
+  }
+
+  /**
+   * Escape Markdown syntax in a text node
+   * @param {string} text - Plain text
+   * @param {Object} [options] - Context and line position, see escapeMarkdown
+   * @returns {string} Text that renders literally
+   */
+  escapeText(text, options = {}) {
+    return escapeMarkdown(text, { ...options, extra: this.dialect.escape });
+  }
+
+  /**
+   * Process image
+   * @param {Object} block - Image block
+   * @returns {string} Markdown image
+   */
+  processImage(block) {
+    const alt = (block.alt || 'image').replace(/[\[\]\n]/g, ' ').trim();
+    let target = '';
+
+    if (block.dataUrl && this.options.imageMode === 'relative') {
+      target = this.addImageAsset(block);
+    } else if (block.dataUrl && this.options.imageMode === 'embed') {
+      target = block.dataUrl;
+    } else if (block.src && !block.src.startsWith('blob:')) {
+      target = block.src;
+    }
+
+    if (!target) {
+      return `*[Image: ${alt}]*`;
+    }
+    return `![${alt}](${target.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+  }
+
+  /**
+   * Register an image to be saved next to the Markdown file
+   * @param {Object} block - Image block with dataUrl
+   * @returns {string} Relative path of the image
+   */
+  addImageAsset(block) {
+    const extension = block.mimeType === 'image/jpeg' ? 'jpg' : 'png';
+    const path = `images/image-${this.assets.length + 1}.${extension}`;
+    this.assets.push({ path, dataUrl: block.dataUrl, mimeType: block.mimeType });
+    return path;
   }
 
   /**
    * Process inline content (bold, italic, code, links, inline math)
    * @param {Array} content - Array of inline elements
+   * @param {Object} [options]
+   * @param {string} [options.context='paragraph'] - Escaping context, see ESCAPE_CONTEXTS
+   * @param {string} [options.lineBreak] - Markdown for a line break (defaults to the dialect's)
+   * @param {boolean} [options.atLineStart=true] - Whether the content begins a line
    * @returns {string} Markdown inline content
    */
-  processInlineContent(content) {
+  processInlineContent(content, options = {}) {
     if (!content || !Array.isArray(content)) {
       return '';
     }
 
-    return content.map(element => {
+    const context = options.context || 'paragraph';
+    const lineBreak = options.lineBreak || this.dialect.lineBreak;
+    // Code, math and URLs are not escaped; in pipe tables their | still is
+    const literal = (markdown) => (context === 'table-cell' ? escapeTablePipes(markdown) : markdown);
+    const inner = (element, innerContext = context) => element.content
+      ? this.processInlineContent(element.content, { ...options, context: innerContext, atLineStart: false })
+      : this.escapeText(element.text || '', { context: innerContext, atLineStart: false });
+
+    let markdown = '';
+
+    content.forEach((element, index) => {
+      const atLineStart = index === 0 ? options.atLineStart !== false : markdown.endsWith('\n');
+
       switch (element.type) {
         case 'text':
-          return element.text;
+          markdown += this.escapeText(element.text, { context, atLineStart })
+            .replace(/\n/g, context === 'heading' ? ' ' : lineBreak);
+          break;
 
         case 'bold':
-          return `**${element.content ? this.processInlineContent(element.content) : element.text}**`;
+          markdown += this.wrapEmphasis(inner(element), '**');
+          break;
 
         case 'italic':
-          return `*${element.content ? this.processInlineContent(element.content) : element.text}*`;
+          markdown += this.wrapEmphasis(inner(element), '*');
+          break;
 
         case 'code':
-          return `\`${element.text}\``;
+          markdown += literal(formatCodeSpan(element.text));
+          break;
 
         case 'link':
-          return `[${element.content ? this.processInlineContent(element.content) : element.text}](${element.href})`;
+          markdown += `[${inner(element, context === 'table-cell' ? 'table-cell' : 'link-text')}](${literal(formatLinkDestination(element.href))})`;
+          break;
 
         case 'math-inline':
-          return `$${element.latex}$`;
+          markdown += literal(this.formatInlineMath(element.latex));
+          break;
+
+        case 'citation':
+          markdown += literal(this.formatCitation(element));
+          break;
 
         case 'math-block':
-          return `\n\n$$\n${element.latex}\n$$\n\n`;
+          markdown += `\n\n${this.formatDisplayMath(element.latex)}\n\n`;
+          break;
 
         default:
-          return element.text || '';
+          markdown += this.escapeText(element.text || '', { context, atLineStart });
       }
-    }).join('');
+    });
+
+    return markdown;
+  }
+
+  /**
+   * Wrap emphasis delimiters around content
+   * Delimiters next to whitespace do not open or close emphasis, so the
+   * content's outer whitespace goes outside them.
+   * @param {string} markdown - Inner Markdown
+   * @param {string} delimiter - '*' or '**'
+   * @returns {string} Emphasized Markdown
+   */
+  wrapEmphasis(markdown, delimiter) {
+    const [, leading, body, trailing] = markdown.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return body ? `${leading}${delimiter}${body}${delimiter}${trailing}` : markdown;
   }
 
   /**
@@ -282,9 +655,9 @@ export class MarkdownExporter {
       if (element.type === 'math-block' && element.latex) {
         mathBlocks.push(element.latex);
       } else if (element.type === 'math-inline' && element.latex) {
-        textParts.push(`$${element.latex}$`);
+        textParts.push(this.formatInlineMath(element.latex));
       } else {
-        textParts.push(this.processInlineContent([element]));
+        textParts.push(this.processInlineContent([element], { atLineStart: textParts.length === 0 }));
       }
     });
 
@@ -296,10 +669,12 @@ export class MarkdownExporter {
    * @returns {string} Suggested filename
    */
   getFilename() {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const title = this.data.metadata.title || 'gemini-export';
-    const sanitized = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 50);
-    return `${sanitized}-${timestamp}.md`;
+    return buildFilename(this.data.metadata, {
+      extension: 'md',
+      format: 'markdown',
+      pattern: this.options.filenamePattern,
+      index: this.options.index
+    });
   }
 
   /**
@@ -310,10 +685,29 @@ export class MarkdownExporter {
    */
   static exportToMarkdown(data, options = {}) {
     const exporter = new MarkdownExporter(data, options);
+    const content = exporter.export();
     return {
-      content: exporter.export(),
+      content,
       filename: exporter.getFilename(),
-      mimeType: 'text/markdown'
+      mimeType: 'text/markdown',
+      assets: exporter.assets
     };
   }
 }
+
+/**
+ * Apply the chosen math delimiters to a dialect
+ * Plain Markdown has no math syntax, so its math stays code whatever the choice.
+ * @param {Object} dialect - Entry of MARKDOWN_DIALECTS
+ * @param {string} delimiters - Key of MATH_DELIMITERS, or 'dialect'
+ * @returns {Object} Dialect with the delimiters (and $ escaping if dollars mean math)
+ */
+function withMathDelimiters(dialect, delimiters) {
+  const override = MATH_DELIMITERS[delimiters];
+  if (!override || dialect.inlineMath === 'code') return dialect;
+
+  const escape = override.inlineMath === 'dollars' && !dialect.escape.includes('$')
+    ? `$${dialect.escape}`
+    : dialect.escape;
+  return { ...dialect, ...override, escape };
+}
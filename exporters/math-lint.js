@@ -0,0 +1,508 @@
+/**
+ * Math checks for Gemini Chat Exporter
+ * Gemini writes formulas for KaTeX, which accepts macros and placements real
+ * LaTeX rejects. Before the LaTeX and Word exporters use a formula, this pass
+ * repairs what it can, parses the result with the bundled KaTeX, finds the
+ * packages LaTeX needs and records every change in a warnings report.
+ * Note: Parsing requires the KaTeX library (libs/katex.min.js); without it
+ * the repairs still run but unparsable formulas are not flagged.
+ */
+
+// Packages a formula needs, by command or environment name
+const PACKAGE_COMMANDS = {
+  bm: ['bm'],
+  mathtools: [
+    'coloneqq', 'Coloneqq', 'coloneq', 'Coloneq', 'eqqcolon', 'Eqqcolon', 'eqcolon', 'Eqcolon',
+    'vcentcolon', 'dblcolon', 'mathclap', 'mathllap', 'mathrlap', 'prescript', 'splitfrac',
+    'xleftrightarrow', 'xLeftarrow', 'xRightarrow', 'xLeftrightarrow', 'xhookleftarrow',
+    'xhookrightarrow', 'xmapsto', 'xrightharpoonup', 'xrightharpoondown', 'xleftharpoonup',
+    'xleftharpoondown', 'xrightleftharpoons', 'xleftrightharpoons'
+  ],
+  cancel: ['cancel', 'bcancel', 'xcancel', 'cancelto'],
+  physics: [
+    'bra', 'ket', 'braket', 'ketbra', 'expval', 'mel', 'dv', 'pdv', 'fdv', 'abs', 'norm', 'qty',
+    'comm', 'acomm', 'order', 'grad', 'curl', 'vb', 'va', 'vu', 'dd', 'eval', 'Tr', 'tr', 'rank'
+  ],
+  mathrsfs: ['mathscr']
+};
+
+const PACKAGE_ENVIRONMENTS = {
+  mathtools: ['dcases', 'dcases*', 'rcases', 'rcases*', 'multlined', 'pmatrix*', 'bmatrix*', 'vmatrix*', 'Bmatrix*', 'psmallmatrix', 'bsmallmatrix']
+};
+
+// Macros KaTeX defines for convenience that LaTeX does not have
+const KATEX_MACROS = {
+  R: '\\mathbb{R}', Reals: '\\mathbb{R}', reals: '\\mathbb{R}', N: '\\mathbb{N}', natnums: '\\mathbb{N}',
+  Z: '\\mathbb{Z}', Complex: '\\mathbb{C}', cnums: '\\mathbb{C}',
+  Alpha: '\\mathrm{A}', Beta: '\\mathrm{B}', Epsilon: '\\mathrm{E}', Zeta: '\\mathrm{Z}', Eta: '\\mathrm{H}',
+  Iota: '\\mathrm{I}', Kappa: '\\mathrm{K}', Mu: '\\mathrm{M}', Nu: '\\mathrm{N}', Omicron: '\\mathrm{O}',
+  Rho: '\\mathrm{P}', Tau: '\\mathrm{T}', Chi: '\\mathrm{X}', omicron: 'o',
+  lt: '<', gt: '>', bold: '\\mathbf', Bbb: '\\mathbb', empty: '\\emptyset', infin: '\\infty',
+  isin: '\\in', sub: '\\subset', sube: '\\subseteq', sdot: '\\cdot', plusmn: '\\pm', weierp: '\\wp',
+  image: '\\Im', real: '\\Re', alef: '\\aleph', alefsym: '\\aleph', ang: '\\angle', exist: '\\exists',
+  and: '\\land', Dagger: '\\ddagger', clubs: '\\clubsuit', hearts: '\\heartsuit', spades: '\\spadesuit',
+  diamonds: '\\diamondsuit',
+  larr: '\\leftarrow', rarr: '\\rightarrow', uarr: '\\uparrow', darr: '\\downarrow', harr: '\\leftrightarrow',
+  lrarr: '\\leftrightarrow', Larr: '\\Leftarrow', lArr: '\\Leftarrow', Rarr: '\\Rightarrow', rArr: '\\Rightarrow',
+  Uarr: '\\Uparrow', uArr: '\\Uparrow', Darr: '\\Downarrow', dArr: '\\Downarrow', Harr: '\\Leftrightarrow',
+  hArr: '\\Leftrightarrow', Lrarr: '\\Leftrightarrow', lrArr: '\\Leftrightarrow'
+};
+
+// Text-mode commands whose argument LaTeX typesets as text
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'textnormal', 'textup', 'textit', 'textbf', 'textsf', 'texttt', 'mbox']);
+
+// Arguments taken by math commands that may be moved out of \text
+const ARGUMENT_COUNTS = {
+  frac: 2, dfrac: 2, tfrac: 2, cfrac: 2, binom: 2, dbinom: 2, tbinom: 2,
+  overset: 2, underset: 2, stackrel: 2, sqrt: 1, boxed: 1, bm: 1, boldsymbol: 1,
+  mathbb: 1, mathbf: 1, mathrm: 1, mathcal: 1, mathscr: 1, mathfrak: 1, vec: 1, hat: 1, bar: 1, overline: 1,
+  operatorname: 1
+};
+
+// Commands KaTeX reports under the name of their expansion
+const EXPANDED_FROM = { operatornamewithlimits: 'operatorname' };
+
+/**
+ * Checks and repairs the formulas of one export
+ */
+export class MathLinter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.target='latex'] - 'latex' (also collects packages) or 'word'
+   */
+  constructor({ target = 'latex' } = {}) {
+    this.target = target;
+    // Packages the checked formulas need (LaTeX target)
+    this.packages = new Set();
+    // {latex, displayMode, message} for each change or problem
+    this.warnings = [];
+  }
+
+  /**
+   * Check a formula and return the version to export
+   * @param {string} latex - LaTeX source without delimiters
+   * @param {Object} [options]
+   * @param {boolean} [options.displayMode=false] - The formula is exported as display math
+   * @returns {string} Repaired LaTeX
+   */
+  lint(latex, { displayMode = false } = {}) {
+    const source = String(latex || '').trim();
+    if (!source) return source;
+
+    const warn = (message) => this.warnings.push({ latex: source, displayMode, message });
+    let result = source;
+
+    // A bare % would comment out the rest of the line, including the closing delimiter
+    const escaped = result.replace(/(?<!\\)((?:\\\\)*)%/g, '$1\\%');
+    if (escaped !== result) {
+      warn('Escaped "%" (it starts a comment in LaTeX)');
+      result = escaped;
+    }
+
+    const replaced = [];
+    result = result.replace(/\\([A-Za-z]+)/g, (match, name, offset, text) => {
+      // \\N is a line break followed by N, not the macro \N
+      if (!Object.hasOwn(KATEX_MACROS, name) || isEscaped(text, offset)) return match;
+      replaced.push(`${match} → ${KATEX_MACROS[name]}`);
+      return KATEX_MACROS[name];
+    });
+    if (replaced.length > 0) {
+      warn(`Replaced KaTeX-only macros: ${[...new Set(replaced)].join(', ')}`);
+    }
+
+    const tags = findCommands(result, 'tag');
+    if (tags.length > 0 && !displayMode) {
+      result = removeRanges(result, tags).trim();
+      warn(`Removed ${tags.map(tag => tag.text).join(', ')}: equation numbers need display math`);
+    }
+
+    result = this.moveMathOutOfText(result, displayMode, warn);
+
+    // Line breaks outside an environment are not valid LaTeX
+    if (hasTopLevel(result, /^\\\\/)) {
+      const environment = hasTopLevel(result, /^&/) ? 'aligned' : 'gathered';
+      const [body, tag] = splitTrailingTag(result);
+      result = `\\begin{${environment}}\n${body}\n\\end{${environment}}${tag}`;
+      warn(`Wrapped the lines in ${environment} (line breaks need an environment)`);
+    }
+
+    const parseError = parseWithKatex(result, displayMode);
+    if (parseError) {
+      warn(`KaTeX cannot parse this formula, so it may not compile: ${parseError.replace(/^KaTeX parse error: /, '')}`);
+    }
+
+    return this.target === 'word'
+      ? this.repairForWord(result, displayMode, warn)
+      : this.repairForLatex(result, displayMode, warn);
+  }
+
+  /**
+   * Preamble lines for the packages the checked formulas need
+   * @param {Function} loadsPackage - Whether the preamble already loads a package (name => boolean)
+   * @returns {string} LaTeX, empty if nothing is needed
+   */
+  preamble(loadsPackage) {
+    const lines = [...this.packages]
+      .filter(name => !loadsPackage(name))
+      .map(name => `\\usepackage{${name}}`);
+    return lines.length ? `% Packages used by the formulas\n${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * The warnings report as plain text, one numbered entry per change or problem
+   * @returns {string} Report, empty if there are no warnings
+   */
+  report() {
+    if (this.warnings.length === 0) return '';
+
+    const entries = this.warnings.map((warning, i) => {
+      const kind = warning.displayMode ? 'Display formula' : 'Inline formula';
+      return `${i + 1}. ${kind}: ${warning.latex.replace(/\s+/g, ' ')}\n   ${warning.message}\n`;
+    });
+    return `Formulas changed or flagged during export (${this.warnings.length})\n\n${entries.join('\n')}`;
+  }
+
+  /**
+   * The warnings report as a LaTeX comment block
+   * @returns {string} LaTeX comments, empty if there are no warnings
+   */
+  reportComment() {
+    const report = this.report();
+    if (!report) return '';
+    return report.trimEnd().split('\n').map(line => (line ? `% ${line}` : '%')).join('\n') + '\n';
+  }
+
+  /**
+   * Close \text around math-only commands KaTeX reports, e.g. \text{a \dfrac12 b} becomes \text{a }\dfrac12\text{ b}
+   * @returns {string} LaTeX
+   */
+  moveMathOutOfText(latex, displayMode, warn) {
+    let result = latex;
+    const moved = new Set();
+
+    // Each pass fixes the first offending command; the limit guards against loops
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const error = parseWithKatex(result, displayMode, { details: true });
+      // Symbols such as \alpha are reported as undefined in text mode
+      const match = /Can't use function '\\([A-Za-z]+)' in text mode/.exec(error?.message || '') ||
+        /Undefined control sequence: \\([A-Za-z]+)/.exec(error?.message || '');
+      if (!match || typeof error.position !== 'number') break;
+      if (!match[0].startsWith("Can't") && parseWithKatex(`\\${match[1]}`, false)) break;
+
+      // Errors inside a macro's expansion point into the expansion, not the source
+      const name = EXPANDED_FROM[match[1]] || match[1];
+      const position = result.startsWith(`\\${name}`, error.position)
+        ? error.position
+        : findInText(result, name);
+      const group = position >= 0 ? enclosingTextGroup(result, position) : null;
+      if (!group) break;
+
+      const end = commandEnd(result, position, name);
+      const before = result.slice(group.open + 1, position);
+      const after = result.slice(end, group.close);
+      const reopen = (text) => (text ? `\\${group.command}{${text}}` : '');
+      result = result.slice(0, group.start) +
+        reopen(before) + result.slice(position, end) + reopen(after) +
+        result.slice(group.close + 1);
+      moved.add(`\\${name}`);
+    }
+
+    if (moved.size > 0) {
+      warn(`Moved ${[...moved].join(', ')} out of \\text (LaTeX only allows it in math)`);
+    }
+    return result;
+  }
+
+  repairForLatex(latex, displayMode, warn) {
+    let result = latex;
+
+    // \tag is only allowed at the top level of the display
+    const tags = findCommands(result, 'tag');
+    if (tags.length > 0 && (tags.length > 1 || tags[0].depth > 0)) {
+      result = `${removeRanges(result, tags).trim()} ${tags[0].text}`;
+      warn(tags.length > 1
+        ? `Kept only ${tags[0].text}: LaTeX allows one \\tag per display`
+        : `Moved ${tags[0].text} out of the environment: LaTeX only allows it at the top level`);
+    }
+
+    // KaTeX's \braket{a|b} is physics' \braket{a}{b}
+    result = result.replace(/\\braket\s*(\{(?:[^{}]|\{[^{}]*\})*\})/g, (match, group) => {
+      const parts = splitTopLevel(group.slice(1, -1), '|');
+      if (parts.length === 2) {
+        warn('Rewrote \\braket{a|b} as \\braket{a}{b} for the physics package');
+        return `\\braket{${parts[0]}}{${parts[1]}}`;
+      }
+      if (parts.length === 3) {
+        warn('Rewrote \\braket{a|b|c} as \\mel{a}{b}{c} for the physics package');
+        return `\\mel{${parts[0]}}{${parts[1]}}{${parts[2]}}`;
+      }
+      return match;
+    }).replace(/\\(Bra|Ket)\b/g, (match, name) => {
+      warn(`Rewrote ${match} as \\${name.toLowerCase()} for the physics package`);
+      return `\\${name.toLowerCase()}`;
+    });
+
+    for (const [name, commands] of Object.entries(PACKAGE_COMMANDS)) {
+      if (commands.some(command => new RegExp(`\\\\${command}(?![A-Za-z])`).test(result))) this.packages.add(name);
+    }
+    for (const [name, environments] of Object.entries(PACKAGE_ENVIRONMENTS)) {
+      if (environments.some(environment => result.includes(`\\begin{${environment}}`))) this.packages.add(name);
+    }
+
+    return result;
+  }
+
+  repairForWord(latex, displayMode, warn) {
+    let result = latex;
+
+    // Word equations have no numbering; keep the number as text at the end
+    const tags = findCommands(result, 'tag');
+    if (tags.length > 0) {
+      const labels = tags.map(tag => tag.argument).join(', ');
+      result = `${removeRanges(result, tags).trim()} \\qquad \\text{(${labels})}`;
+      warn('Set the equation number as text (Word equations are not numbered)');
+    }
+
+    // Bra-ket notation with the angle brackets it stands for
+    const brakets = [];
+    // \rangle needs a space only before a letter
+    const rangle = (string, end) => (/[A-Za-z]/.test(string[end] || '') ? '\\rangle ' : '\\rangle');
+    result = result
+      .replace(/\\(?:braket|Braket)\s*\{((?:[^{}]|\{[^{}]*\})*)\}/g, (match, body, offset, string) => {
+        brakets.push(match);
+        return `\\langle ${body}${rangle(string, offset + match.length)}`;
+      })
+      .replace(/\\(?:bra|Bra)\s*\{((?:[^{}]|\{[^{}]*\})*)\}/g, (match, body) => {
+        brakets.push(match);
+        return `\\langle ${body}|`;
+      })
+      .replace(/\\(?:ket|Ket)\s*\{((?:[^{}]|\{[^{}]*\})*)\}/g, (match, body, offset, string) => {
+        brakets.push(match);
+        return `|${body}${rangle(string, offset + match.length)}`;
+      });
+    if (brakets.length > 0) {
+      warn(`Wrote bra-ket notation with angle brackets: ${brakets.join(', ')}`);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Parse a formula with KaTeX
+ * @param {string} latex
+ * @param {boolean} displayMode
+ * @param {Object} [options]
+ * @param {boolean} [options.details=false] - Return the error object instead of its message
+ * @returns {string|Error|null} The parse error, or null if it parses (or KaTeX is not loaded)
+ */
+function parseWithKatex(latex, displayMode, { details = false } = {}) {
+  if (typeof katex === 'undefined' || !katex?.renderToString) return null;
+
+  try {
+    katex.renderToString(latex, { displayMode, throwOnError: true, strict: 'ignore', output: 'mathml' });
+    return null;
+  } catch (error) {
+    return details ? error : error.message;
+  }
+}
+
+/**
+ * Find the occurrences of a command with one braced argument
+ * @param {string} latex
+ * @param {string} name - Command name without backslash
+ * @returns {Array<Object>} {start, end, text, argument, depth} where depth counts enclosing environments
+ */
+function findCommands(latex, name) {
+  const found = [];
+  const pattern = new RegExp(`\\\\${name}\\*?\\s*\\{`, 'g');
+  let match;
+  while ((match = pattern.exec(latex)) !== null) {
+    if (isEscaped(latex, match.index)) continue;
+    const close = matchingBrace(latex, match.index + match[0].length - 1);
+    if (close < 0) break;
+    const before = latex.slice(0, match.index);
+    const depth = (before.match(/\\begin\{/g) || []).length - (before.match(/\\end\{/g) || []).length;
+    found.push({
+      start: match.index,
+      end: close + 1,
+      text: latex.slice(match.index, close + 1),
+      argument: latex.slice(match.index + match[0].length, close),
+      depth
+    });
+    pattern.lastIndex = close + 1;
+  }
+  return found;
+}
+
+function removeRanges(latex, ranges) {
+  let result = latex;
+  for (const { start, end } of [...ranges].reverse()) {
+    result = result.slice(0, start).replace(/[ \t]+$/, '') + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Split a trailing \tag off a formula, so wrapping keeps it at the top level
+ * @returns {[string, string]} [body, ' \tag{...}' or '']
+ */
+function splitTrailingTag(latex) {
+  const tags = findCommands(latex, 'tag');
+  const last = tags[tags.length - 1];
+  if (!last || last.depth > 0 || latex.slice(last.end).trim()) return [latex, ''];
+  return [latex.slice(0, last.start).trim(), ` ${last.text}`];
+}
+
+/**
+ * Whether a pattern occurs outside all braces and environments
+ * @param {string} latex
+ * @param {RegExp} pattern - Anchored pattern tested at each position
+ * @returns {boolean}
+ */
+function hasTopLevel(latex, pattern) {
+  let braces = 0;
+  let environments = 0;
+  for (let i = 0; i < latex.length; i++) {
+    const rest = latex.slice(i);
+    if (rest.startsWith('\\begin{')) environments++;
+    else if (rest.startsWith('\\end{')) environments--;
+
+    if (braces === 0 && environments === 0 && pattern.test(rest)) return true;
+    if (latex[i] === '\\') {
+      i++;
+    } else if (latex[i] === '{') {
+      braces++;
+    } else if (latex[i] === '}') {
+      braces--;
+    }
+  }
+  return false;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * The innermost text command whose argument contains a position
+ * @param {string} latex
+ * @param {number} position
+ * @returns {Object|null} {command, start, open, close}: indexes of the backslash and both braces
+ */
+function enclosingTextGroup(latex, position) {
+  let best = null;
+  const pattern = /\\([A-Za-z]+)\s*\{/g;
+  let match;
+  while ((match = pattern.exec(latex)) !== null) {
+    if (match.index >= position) break;
+    if (!TEXT_COMMANDS.has(match[1]) || isEscaped(latex, match.index)) continue;
+    const open = match.index + match[0].length - 1;
+    const close = matchingBrace(latex, open);
+    if (close > position) {
+      best = { command: match[1], start: match.index, open, close };
+    }
+  }
+  return best;
+}
+
+/**
+ * First occurrence of a command inside a text command's argument
+ * @param {string} latex
+ * @param {string} name - Command name without backslash
+ * @returns {number} Index of the backslash, or -1
+ */
+function findInText(latex, name) {
+  const pattern = new RegExp(`\\\\${name}(?![A-Za-z])`, 'g');
+  let match;
+  while ((match = pattern.exec(latex)) !== null) {
+    if (!isEscaped(latex, match.index) && enclosingTextGroup(latex, match.index)) return match.index;
+  }
+  return -1;
+}
+
+/**
+ * End of a command with its arguments and any scripts that follow
+ * @param {string} latex
+ * @param {number} start - Index of the backslash
+ * @param {string} name - Command name
+ * @returns {number} Index after the command
+ */
+function commandEnd(latex, start, name) {
+  let pos = start + 1 + name.length;
+  if (latex[pos] === '*') pos++;
+  const skipSpace = () => {
+    while (/\s/.test(latex[pos] || '')) pos++;
+  };
+  const readArgument = () => {
+    skipSpace();
+    if (latex[pos] === '{') {
+      const close = matchingBrace(latex, pos);
+      pos = close < 0 ? latex.length : close + 1;
+    } else if (latex[pos] === '\\') {
+      const command = /^\\(?:[A-Za-z]+|.)/.exec(latex.slice(pos));
+      pos += command[0].length;
+    } else if (pos < latex.length && latex[pos] !== '}') {
+      pos++;
+    }
+  };
+
+  if (name === 'sqrt') {
+    skipSpace();
+    if (latex[pos] === '[') {
+      const close = latex.indexOf(']', pos);
+      pos = close < 0 ? latex.length : close + 1;
+    }
+  }
+  for (let i = 0; i < (ARGUMENT_COUNTS[name] || 0); i++) readArgument();
+
+  for (;;) {
+    const save = pos;
+    skipSpace();
+    if (latex[pos] !== '^' && latex[pos] !== '_') {
+      pos = save;
+      return pos;
+    }
+    pos++;
+    readArgument();
+  }
+}
+
+function matchingBrace(latex, open) {
+  let depth = 0;
+  for (let i = open; i < latex.length; i++) {
+    const ch = latex[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function isEscaped(latex, index) {
+  let backslashes = 0;
+  for (let i = index - 1; i >= 0 && latex[i] === '\\'; i--) backslashes++;
+  return backslashes % 2 === 1;
+}
@@ -0,0 +1,93 @@
+/**
+ * MathML output for Gemini Chat Exporter
+ * Converts LaTeX to presentation MathML with the bundled KaTeX, so HTML,
+ * rich clipboard and other XML-based formats carry math that screen readers
+ * and Office understand. Each MathML element keeps its LaTeX source as an
+ * annotation.
+ * Note: This requires the KaTeX library (libs/katex.min.js) to be loaded
+ */
+
+/**
+ * Convert LaTeX to MathML
+ * @param {string} latex - LaTeX source without delimiters
+ * @param {Object} [options]
+ * @param {boolean} [options.displayMode=false] - Display (block) rather than inline math
+ * @returns {string} <math> element
+ * @throws {Error} If KaTeX is missing or cannot parse the formula
+ */
+export function latexToMathml(latex, { displayMode = false } = {}) {
+  if (typeof katex === 'undefined' || !katex?.renderToString) {
+    throw new Error('KaTeX is not loaded');
+  }
+
+  const rendered = katex.renderToString(String(latex || '').trim(), {
+    displayMode,
+    throwOnError: true,
+    strict: 'ignore',
+    output: 'mathml'
+  });
+
+  // KaTeX wraps the <math> element in <span class="katex">
+  const start = rendered.indexOf('<math');
+  const end = rendered.lastIndexOf('</math>');
+  return start >= 0 && end > start ? rendered.slice(start, end + '</math>'.length) : rendered;
+}
+
+/**
+ * MathML that shows a formula's LaTeX source as an error
+ * @param {string} latex - LaTeX source
+ * @param {boolean} [displayMode=false]
+ * @returns {string} <math> element holding an <merror>
+ */
+export function mathmlError(latex, displayMode = false) {
+  const display = displayMode ? ' display="block"' : '';
+  return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display}><merror><mtext>${escapeXml(String(latex || '').trim())}</mtext></merror></math>`;
+}
+
+/**
+ * Converts the formulas of one export and remembers the ones that failed
+ */
+export class MathmlConverter {
+  constructor() {
+    // {latex, displayMode, message} for each formula that could not be converted
+    this.errors = [];
+  }
+
+  /**
+   * Convert a formula, falling back to an <merror> with its source
+   * @param {string} latex - LaTeX source
+   * @param {Object} [options]
+   * @param {boolean} [options.displayMode=false]
+   * @returns {string} <math> element
+   */
+  convert(latex, { displayMode = false } = {}) {
+    try {
+      return latexToMathml(latex, { displayMode });
+    } catch (error) {
+      this.recordError(latex, displayMode, error);
+      return mathmlError(latex, displayMode);
+    }
+  }
+
+  /**
+   * Remember a formula that could not be converted
+   * @param {string} latex - LaTeX source
+   * @param {boolean} displayMode
+   * @param {Error} error
+   */
+  recordError(latex, displayMode, error) {
+    this.errors.push({
+      latex: String(latex || '').trim(),
+      displayMode,
+      message: error.message.replace(/^KaTeX parse error: /, '')
+    });
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Text safe inside XML elements
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,357 @@
+/**
+ * Obsidian Exporter for Gemini Chat Exporter
+ * Markdown for note vaults: YAML front matter, callouts for the turns of the
+ * conversation, headings that work as [[#links]], and optionally one note
+ * per response linked together with wikilinks.
+ */
+
+import { MarkdownExporter } from './markdown-exporter.js';
+import { getTemplateValues } from './template.js';
+import { splitPath } from './filename.js';
+import { CitationList } from './citations.js';
+
+// Characters Obsidian cannot resolve in [[Note#Heading]] links
+const UNLINKABLE_HEADING_CHARS = /[#|^:%[\]\\]+/g;
+
+export class ObsidianExporter extends MarkdownExporter {
+  constructor(data, options = {}) {
+    super(data, {
+      // Tags for the front matter, as an array or a comma-separated string
+      obsidianTags: ['gemini'],
+      // Save one note per response plus an index note linking them
+      obsidianSplitNotes: false,
+      ...options,
+      // Obsidian only reads $ math
+      markdownDialect: 'obsidian',
+      mathDelimiters: 'dialect'
+    });
+    this.notes = [];
+    this.headingNames = new Map();
+  }
+
+  /**
+   * Generate the conversation note
+   * In split mode this is the index note; the response notes are in this.notes.
+   * @returns {string} Markdown content
+   */
+  export() {
+    if (this.options.obsidianSplitNotes && this.getResponseCount() > 0) {
+      return this.exportSplitNotes();
+    }
+
+    let markdown = '';
+
+    if (this.options.includeMeta) {
+      markdown += this.generateHeader();
+    }
+
+    const labelTurns = this.hasUserTurns();
+
+    this.data.messages.forEach(message => {
+      const body = this.processMessage(message);
+      markdown += labelTurns ? this.wrapInCallout(message, body) : body;
+    });
+
+    markdown += this.generateReferences(this.data.messages);
+
+    return markdown;
+  }
+
+  /**
+   * Generate YAML front matter
+   * A custom Markdown template, if set, replaces it.
+   * @param {Object} [extra] - Additional front matter fields
+   * @returns {string} Front matter block
+   */
+  generateHeader(extra = {}) {
+    if (this.options.markdownTemplate) {
+      return this.generateTemplateHeader();
+    }
+
+    const { metadata } = this.data;
+    const values = getTemplateValues(metadata);
+    const fields = {
+      title: values.title,
+      source: values.url || undefined,
+      date: values.date,
+      tags: this.getTags(),
+      messages: metadata.messageCount,
+      ...extra
+    };
+
+    return this.generateFrontMatter(fields);
+  }
+
+  /**
+   * Serialize fields as YAML front matter
+   * @param {Object} fields - Field values (strings, numbers or string arrays)
+   * @returns {string} Front matter block
+   */
+  generateFrontMatter(fields) {
+    const lines = ['---'];
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null || value === '') continue;
+
+      if (Array.isArray(value)) {
+        if (value.length === 0) continue;
+        lines.push(`${key}:`);
+        value.forEach(item => lines.push(`  - ${this.yamlValue(item)}`));
+      } else {
+        lines.push(`${key}: ${this.yamlValue(value)}`);
+      }
+    }
+
+    lines.push('---', '', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a scalar YAML value
+   * Anything but a plain word is double-quoted (JSON strings are valid YAML),
+   * so titles with colons, quotes or leading symbols parse as text.
+   * @param {string|number} value
+   * @returns {string} YAML value
+   */
+  yamlValue(value) {
+    if (typeof value === 'number') return String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    if (/^[\p{L}_][\p{L}\p{N}_\-/]*$/u.test(value) && !/^(true|false|yes|no|on|off|null)$/i.test(value)) {
+      return value;
+    }
+    return JSON.stringify(String(value));
+  }
+
+  /**
+   * Get the front matter tags
+   * @returns {string[]} Tags without '#', using '-' instead of spaces
+   */
+  getTags() {
+    const raw = Array.isArray(this.options.obsidianTags)
+      ? this.options.obsidianTags
+      : String(this.options.obsidianTags || '').split(',');
+
+    const tags = raw
+      .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_\-/]/gu, ''))
+      .filter(tag => tag && !/^\d+$/.test(tag));
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Put a turn into a callout: [!question] for prompts, [!note] for responses
+   * @param {Object} message - Message data
+   * @param {string} body - Markdown of the message
+   * @returns {string} Callout markdown
+   */
+  wrapInCallout(message, body) {
+    const type = message && message.type === 'user' ? 'question' : 'note';
+    const lines = body.replace(/\s+$/, '').split('\n').map(line => (line ? `> ${line}` : '>'));
+    return `> [!${type}] ${this.getTurnLabel(message)}\n${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Put the reasoning of a thinking model into a collapsed callout
+   * @param {Object} block - Thinking block
+   * @returns {string} Foldable callout markdown
+   */
+  processThinking(block) {
+    const lines = this.processMessage(block).trimEnd().split('\n').map(line => (line ? `> ${line}` : '>'));
+    return `> [!abstract]- Reasoning\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Process heading so it can be linked with [[#Heading]]
+   * Drops characters Obsidian cannot link to and numbers repeated headings.
+   * @param {Object} block - Heading block
+   * @returns {string} Markdown heading
+   */
+  processHeading(block) {
+    const hashes = '#'.repeat(block.level);
+    let content = this.processInlineContent(this.cleanHeadingContent(block.content), { context: 'heading' }).trim();
+
+    const count = (this.headingNames.get(content) || 0) + 1;
+    this.headingNames.set(content, count);
+    if (count > 1) {
+      content += ` (${count})`;
+    }
+
+    return `${hashes} ${content}`;
+  }
+
+  /**
+   * Remove unlinkable characters from the text of heading content (math is kept)
+   * @param {Array} content - Inline elements
+   * @returns {Array} Cleaned inline elements
+   */
+  cleanHeadingContent(content) {
+    if (!Array.isArray(content)) return content;
+
+    return content.map(element => {
+      if (element.type === 'text' || element.type === 'code') {
+        return { ...element, text: this.cleanHeadingText(element.text) };
+      }
+      if (element.content) {
+        return { ...element, content: this.cleanHeadingContent(element.content) };
+      }
+      return element;
+    });
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} Text without characters that break heading links
+   */
+  cleanHeadingText(text) {
+    return String(text || '').replace(UNLINKABLE_HEADING_CHARS, ' ').replace(/ {2,}/g, ' ');
+  }
+
+  /**
+   * Count the response turns
+   * @returns {number} Number of Gemini responses
+   */
+  getResponseCount() {
+    return this.data.messages.filter(message => message && message.type !== 'user').length;
+  }
+
+  /**
+   * Build one note per response and return the index note
+   * Each response note holds the prompt that led to it and links back to the
+   * index and to its neighbours.
+   * @returns {string} Index note markdown
+   */
+  exportSplitNotes() {
+    const indexName = this.getNoteName();
+    const turns = this.groupTurns();
+    const names = turns.map((turn, i) => `${indexName}-${String(i + 1).padStart(2, '0')}`);
+
+    turns.forEach((turn, i) => {
+      this.headingNames = new Map();
+      this.citations = new CitationList();
+
+      let markdown = '';
+      if (this.options.includeMeta) {
+        markdown += this.generateHeader({
+          title: `${getTemplateValues(this.data.metadata).title} (${i + 1}/${turns.length})`,
+          messages: undefined,
+          conversation: `[[${indexName}]]`
+        });
+      }
+
+      const navigation = [`[[${indexName}|Conversation]]`];
+      if (i > 0) navigation.unshift(`[[${names[i - 1]}|← Previous]]`);
+      if (i < turns.length - 1) navigation.push(`[[${names[i + 1]}|Next →]]`);
+      markdown += navigation.join(' · ') + '\n\n';
+
+      if (turn.prompt) {
+        markdown += this.wrapInCallout(turn.prompt, this.processMessage(turn.prompt));
+      }
+      markdown += this.processMessage(turn.response);
+      markdown += this.generateReferences([turn.prompt, turn.response].filter(Boolean));
+
+      this.notes.push({ name: names[i], content: markdown });
+    });
+
+    let index = this.options.includeMeta ? this.generateHeader() : '';
+    index += `# ${this.cleanHeadingText(getTemplateValues(this.data.metadata).title).trim()}\n\n`;
+    turns.forEach((turn, i) => {
+      index += `${i + 1}. [[${names[i]}|${this.getPreview(turn)}]]\n`;
+    });
+
+    return index;
+  }
+
+  /**
+   * Pair each response with the user prompt before it
+   * @returns {Array<{prompt: Object|null, response: Object}>}
+   */
+  groupTurns() {
+    const turns = [];
+    let prompt = null;
+
+    for (const message of this.data.messages) {
+      if (message && message.type === 'user') {
+        prompt = message;
+      } else if (message) {
+        turns.push({ prompt, response: message });
+        prompt = null;
+      }
+    }
+
+    return turns;
+  }
+
+  /**
+   * Get a one-line preview of a turn for the index note
+   * @param {Object} turn - Prompt/response pair
+   * @returns {string} Preview safe to use as wikilink alias
+   */
+  getPreview(turn) {
+    const source = turn.prompt || turn.response;
+    const text = source.text || (source.structure || [])
+      .filter(block => block.type !== 'thinking')
+      .map(block => this.getPlainText(block.content || block.text))
+      .join('\n');
+    const line = String(text).split('\n').map(part => part.trim()).find(Boolean) || 'Response';
+    const preview = line.replace(/[[\]|]+/g, ' ').replace(/\s+/g, ' ').trim();
+    return preview.length > 80 ? preview.slice(0, 79).trimEnd() + '…' : preview;
+  }
+
+  /**
+   * Flatten inline content to plain text
+   * @param {Array|string} content - Inline elements or text
+   * @returns {string} Plain text
+   */
+  getPlainText(content) {
+    if (!Array.isArray(content)) return String(content || '');
+    return content.map(element => {
+      if (element.content) return this.getPlainText(element.content);
+      return element.latex || element.text || '';
+    }).join('');
+  }
+
+  /**
+   * Get the note name (filename without folder and extension)
+   * @returns {string} Note name
+   */
+  getNoteName() {
+    return splitPath(this.getFilename()).name;
+  }
+
+  /**
+   * Encode the response notes as assets saved next to the index note
+   * @returns {Array} Assets ({path, dataUrl, mimeType})
+   */
+  getNoteAssets() {
+    return this.notes.map(note => {
+      const bytes = new TextEncoder().encode(note.content);
+      let binary = '';
+      const chunkSize = 0x8000;
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+      }
+      return {
+        path: `${note.name}.md`,
+        dataUrl: `data:text/markdown;base64,${btoa(binary)}`,
+        mimeType: 'text/markdown'
+      };
+    });
+  }
+
+  /**
+   * Static method to export data
+   * @param {Object} data - Extracted data
+   * @param {Object} options - Export options
+   * @returns {Object} Export result with content, filename and assets (images, response notes)
+   */
+  static exportToObsidian(data, options = {}) {
+    const exporter = new ObsidianExporter(data, options);
+    const content = exporter.export();
+    return {
+      content,
+      filename: exporter.getFilename(),
+      mimeType: 'text/markdown',
+      assets: [...exporter.assets, ...exporter.getNoteAssets()]
+    };
+  }
+}
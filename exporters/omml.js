@@ -0,0 +1,415 @@
+/**
+ * OMML equations for Gemini Chat Exporter
+ * Builds Word's native equation markup (Office Math) from the syntax tree of
+ * latex-parser.js, so fractions, roots, sums, limits and matrices open in
+ * Word as editable equations rather than LaTeX source in a math run.
+ * Note: This requires the docx library to be loaded
+ */
+
+import { parseLatex } from './latex-parser.js';
+
+// Run properties for \mathbf, \mathbb, ... (m:sty: p plain, b bold, i italic, bi bold italic)
+const FONT_STYLES = {
+  roman: { sty: 'p' },
+  italic: { sty: 'i' },
+  bold: { sty: 'b' },
+  'bold-italic': { sty: 'bi' },
+  'sans-serif': { scr: 'sans-serif', sty: 'p' },
+  monospace: { scr: 'monospace', sty: 'p' },
+  'double-struck': { scr: 'double-struck', sty: 'p' },
+  script: { scr: 'script', sty: 'p' },
+  fraktur: { scr: 'fraktur', sty: 'p' }
+};
+
+// Leaf nodes that become text in a run; neighbours with the same style share one run
+const LEAVES = new Set(['ident', 'number', 'operator', 'relation', 'punct', 'fence', 'space', 'text']);
+
+/**
+ * Convert LaTeX to a Word equation
+ * @param {string} latex - LaTeX source without delimiters
+ * @param {Object} [options]
+ * @param {boolean} [options.displayMode=false] - Wrap the equation in m:oMathPara so Word shows it as a display equation
+ * @returns {XmlComponent} m:oMath, or m:oMathPara in display mode
+ * @throws {LatexParseError} If the formula cannot be parsed
+ */
+export function latexToOmml(latex, { displayMode = false } = {}) {
+  const math = new docx.Math({ children: buildNode(parseLatex(latex), null) });
+  return displayMode ? element('m:oMathPara', [math]) : math;
+}
+
+/**
+ * Build the OMML components of one node
+ * @param {Object} node - Syntax tree node
+ * @param {Object|null} style - Run style inherited from \mathbf and friends
+ * @returns {Array} Math components
+ */
+function buildNode(node, style) {
+  switch (node.type) {
+    case 'row':
+      return buildRow(node.body, style);
+    case 'font':
+      return buildNode(node.body, FONT_STYLES[node.font] || style);
+    case 'frac':
+      return [buildFraction(node, style)];
+    case 'sqrt':
+      return [new docx.MathRadical({
+        children: buildNode(node.body, style),
+        degree: node.index ? buildNode(node.index, style) : undefined
+      })];
+    case 'scripts':
+      return buildScripts(node, style);
+    case 'bigop':
+      return [buildNary(node, [], style)];
+    case 'func':
+      return [buildFunction(node, [], style)];
+    case 'delimited':
+      return [buildDelimiter(node.open, node.close, buildNode(node.body, style))];
+    case 'accent':
+      return [element('m:acc', [
+        element('m:accPr', [new docx.MathAccentCharacter(node.accent)]),
+        new docx.MathBase(buildNode(node.body, style))
+      ])];
+    case 'bar':
+      return [element('m:bar', [
+        element('m:barPr', [value('m:pos', node.position === 'top' ? 'top' : 'bot')]),
+        new docx.MathBase(buildNode(node.body, style))
+      ])];
+    case 'brace':
+      return [element('m:groupChr', [
+        element('m:groupChrPr', [
+          value('m:chr', node.chr),
+          value('m:pos', node.position === 'top' ? 'top' : 'bot'),
+          value('m:vertJc', node.position === 'top' ? 'bot' : 'top')
+        ]),
+        new docx.MathBase(buildNode(node.body, style))
+      ])];
+    case 'stack': {
+      const Limit = node.position === 'top' ? docx.MathLimitUpper : docx.MathLimitLower;
+      return [new Limit({ children: buildNode(node.body, style), limit: buildNode(node.limit, style) })];
+    }
+    case 'matrix':
+      return [buildMatrix(node, style)];
+    case 'lines':
+      return [element('m:eqArr', node.rows.map(line => new docx.MathBase(buildNode(line, style))))];
+    default:
+      return node.text ? [run(node.text, leafStyle(node, style))] : [];
+  }
+}
+
+/**
+ * Build a row, giving big operators and functions the atoms they apply to
+ * @param {Array} nodes - Row contents
+ * @param {Object|null} style
+ * @returns {Array} Math components
+ */
+function buildRow(nodes, style) {
+  const components = [];
+  let pending = null;
+  const flush = () => {
+    if (pending) {
+      components.push(run(pending.text, pending.style));
+      pending = null;
+    }
+  };
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const base = node.type === 'scripts' ? node.base : node;
+
+    if (base.type === 'bigop' || base.type === 'func') {
+      const end = base.type === 'bigop' ? operandEnd(nodes, i + 1) : argumentEnd(nodes, i + 1);
+      const operand = nodes.slice(i + 1, end);
+      flush();
+      components.push(base.type === 'bigop' ? buildNary(node, operand, style) : buildFunction(node, operand, style));
+      i = end - 1;
+    } else if (LEAVES.has(node.type)) {
+      const nodeStyle = leafStyle(node, style);
+      if (!node.text) continue;
+      if (pending && sameStyle(pending.style, nodeStyle)) {
+        pending.text += node.text;
+      } else {
+        flush();
+        pending = { text: node.text, style: nodeStyle };
+      }
+    } else {
+      flush();
+      components.push(...buildNode(node, style));
+    }
+  }
+
+  flush();
+  return components;
+}
+
+/**
+ * End of a big operator's operand: the rest of the row up to the next
+ * relation, + or − or comma (∑ a_i + ∑ b_i = c has two sums)
+ * @param {Array} nodes
+ * @param {number} start
+ * @returns {number} Index after the operand
+ */
+function operandEnd(nodes, start) {
+  let end = start;
+  while (end < nodes.length) {
+    const node = nodes[end];
+    if (node.type === 'relation') break;
+    if (end > start && node.type === 'operator' && '+−±∓'.includes(node.text)) break;
+    if (node.type === 'punct' && ',;'.includes(node.text)) break;
+    end++;
+  }
+  return end;
+}
+
+/**
+ * End of a function's argument: the next atom, or a whole (...) or [...]
+ * @param {Array} nodes
+ * @param {number} start
+ * @returns {number} Index after the argument
+ */
+function argumentEnd(nodes, start) {
+  const first = nodes[start];
+  if (!first) return start;
+
+  const close = { '(': ')', '[': ']' }[first.type === 'fence' ? first.text : ''];
+  if (!close) return start + 1;
+
+  let depth = 0;
+  for (let i = start; i < nodes.length; i++) {
+    if (nodes[i].type !== 'fence') continue;
+    if (nodes[i].text === first.text) depth++;
+    if (nodes[i].text === close && --depth === 0) return i + 1;
+  }
+  return start + 1;
+}
+
+function buildFraction(node, style) {
+  const numerator = buildNode(node.numerator, style);
+  const denominator = buildNode(node.denominator, style);
+  if (node.bar) {
+    return new docx.MathFraction({ numerator, denominator });
+  }
+  return element('m:f', [
+    element('m:fPr', [value('m:type', 'noBar')]),
+    new docx.MathNumerator(numerator),
+    new docx.MathDenominator(denominator)
+  ]);
+}
+
+function buildScripts(node, style) {
+  const { base, sub, sup } = node;
+
+  // ^\circ with nothing to raise it on, e.g. (^\circ), means a degree sign
+  if (!sub && sup.body.length === 1 && sup.body[0].text === '∘' && !hasScriptBase(base)) {
+    return [...buildNode(base, style), run('°', style)];
+  }
+
+  const children = buildNode(base, style);
+  const below = subScript(node, style);
+  const above = superScript(node, style);
+
+  // Labels of \underbrace and \overbrace go under or over the brace
+  if (base.type === 'brace' && (base.position === 'top' ? above : below)) {
+    const Limit = base.position === 'top' ? docx.MathLimitUpper : docx.MathLimitLower;
+    return [new Limit({ children, limit: base.position === 'top' ? above : below })];
+  }
+
+  return attachScripts(children, below, above);
+}
+
+/**
+ * Whether a node is something scripts can sit on, rather than an opening
+ * bracket, operator or nothing at all
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function hasScriptBase(node) {
+  if (node.type === 'row') return node.body.length > 0;
+  if (node.type === 'fence') return ')]}|‖'.includes(node.text);
+  return !['operator', 'relation', 'punct', 'space'].includes(node.type);
+}
+
+/**
+ * Put scripts on built components
+ * @param {Array} children - Base components
+ * @param {Array|undefined} subScript
+ * @param {Array|undefined} superScript
+ * @returns {Array} m:sSub, m:sSup or m:sSubSup
+ */
+function attachScripts(children, subScript, superScript) {
+  if (subScript && superScript) {
+    return [new docx.MathSubSuperScript({ children, subScript, superScript })];
+  }
+  return subScript
+    ? [new docx.MathSubScript({ children, subScript })]
+    : [new docx.MathSuperScript({ children, superScript })];
+}
+
+function subScript(node, style) {
+  return node.sub ? buildNode(node.sub, style) : undefined;
+}
+
+function superScript(node, style) {
+  return node.sup ? buildNode(node.sup, style) : undefined;
+}
+
+/**
+ * Build a big operator (m:nary) over its operand
+ * @param {Object} node - bigop node, or scripts node around one
+ * @param {Array} operand - Nodes the operator applies to
+ * @param {Object|null} style
+ * @returns {XmlComponent} m:nary
+ */
+function buildNary(node, operand, style) {
+  const operator = node.type === 'scripts' ? node.base : node;
+  const below = subScript(node, style);
+  const above = superScript(node, style);
+  const children = buildRow(operand, style);
+
+  if (operator.text === '∑' && operator.limits) {
+    return new docx.MathSum({ children, subScript: below, superScript: above });
+  }
+  if (operator.text === '∫' && !operator.limits) {
+    return new docx.MathIntegral({ children, subScript: below, superScript: above });
+  }
+
+  return element('m:nary', [
+    new docx.MathNAryProperties(operator.text, !!above, !!below, operator.limits ? 'undOvr' : 'subSup'),
+    ...(below ? [new docx.MathSubScriptElement(below)] : []),
+    ...(above ? [new docx.MathSuperScriptElement(above)] : []),
+    new docx.MathBase(children)
+  ]);
+}
+
+/**
+ * Build a function application (m:func), with limits under \lim, \max, ...
+ * @param {Object} node - func node, or scripts node around one
+ * @param {Array} argument - Nodes the function applies to
+ * @param {Object|null} style
+ * @returns {XmlComponent} m:func
+ */
+function buildFunction(node, argument, style) {
+  const func = node.type === 'scripts' ? node.base : node;
+  let name = [run(func.name, FONT_STYLES.roman)];
+
+  if (node.type === 'scripts') {
+    if (func.limits && node.sub) {
+      name = [new docx.MathLimitLower({ children: name, limit: subScript(node, style) })];
+      if (node.sup) {
+        name = attachScripts(name, undefined, superScript(node, style));
+      }
+    } else {
+      name = attachScripts(name, subScript(node, style), superScript(node, style));
+    }
+  }
+
+  return new docx.MathFunction({ name, children: buildRow(argument, style) });
+}
+
+/**
+ * Build a stretching delimiter pair (m:d)
+ * @param {string} open - Opening character, '' for none
+ * @param {string} close - Closing character, '' for none
+ * @param {Array} children
+ * @returns {XmlComponent} m:d
+ */
+function buildDelimiter(open, close, children) {
+  if (open === '(' && close === ')') return new docx.MathRoundBrackets({ children });
+  if (open === '[' && close === ']') return new docx.MathSquareBrackets({ children });
+  if (open === '{' && close === '}') return new docx.MathCurlyBrackets({ children });
+
+  return element('m:d', [
+    element('m:dPr', [value('m:begChr', open), value('m:endChr', close)]),
+    new docx.MathBase(children)
+  ]);
+}
+
+/**
+ * Build a matrix (m:m), inside its delimiters for pmatrix, cases, ...
+ * @param {Object} node - matrix node
+ * @param {Object|null} style
+ * @returns {XmlComponent} m:m or m:d
+ */
+function buildMatrix(node, style) {
+  const columns = Math.max(1, ...node.rows.map(cells => cells.length));
+  const properties = element('m:mPr', [
+    element('m:mcs', [element('m:mc', [element('m:mcPr', [
+      value('m:count', String(columns)),
+      value('m:mcJc', node.align || 'center')
+    ])])])
+  ]);
+  const rows = node.rows.map(cells => element('m:mr', Array.from({ length: columns }, (_, i) =>
+    new docx.MathBase(cells[i] ? buildNode(cells[i], style) : [])
+  )));
+
+  const matrix = element('m:m', [properties, ...rows]);
+  return node.open || node.close ? buildDelimiter(node.open, node.close, [matrix]) : matrix;
+}
+
+/**
+ * @param {Object} node - Leaf node
+ * @param {Object|null} style - Inherited style
+ * @returns {Object|null} Style of the leaf's run
+ */
+function leafStyle(node, style) {
+  if (node.type !== 'text') return style;
+  // \text and friends are ordinary text, with Word's spacing and fonts
+  return { normal: true, sty: { italic: 'i', bold: 'b' }[node.font] };
+}
+
+function sameStyle(a, b) {
+  return (a?.normal || false) === (b?.normal || false) && a?.sty === b?.sty && a?.scr === b?.scr;
+}
+
+/**
+ * Create a math run
+ * @param {string} text
+ * @param {Object|null} style - {normal, scr, sty}
+ * @returns {XmlComponent} m:r
+ */
+function run(text, style) {
+  const keepsSpaces = /^\s|\s$/.test(text);
+  if (!style && !keepsSpaces) {
+    return new docx.MathRun(text);
+  }
+
+  const properties = [];
+  if (style?.normal) properties.push(element('m:nor'));
+  if (style?.scr) properties.push(value('m:scr', style.scr));
+  if (style?.sty) properties.push(value('m:sty', style.sty));
+
+  return element('m:r', [
+    ...(properties.length ? [element('m:rPr', properties)] : []),
+    element('m:t', [text], keepsSpaces ? { 'xml:space': 'preserve' } : null)
+  ]);
+}
+
+let OmmlElement = null;
+
+/**
+ * Create an OMML element the docx library has no class for (m:m, m:acc, ...)
+ * @param {string} name - Element name
+ * @param {Array} [children] - Child components or text
+ * @param {Object|null} [attributes]
+ * @returns {XmlComponent}
+ */
+function element(name, children = [], attributes = null) {
+  // Defined on first use: the docx library may load after this module
+  if (!OmmlElement) {
+    OmmlElement = class extends docx.XmlComponent {
+      constructor(elementName, elementChildren, elementAttributes) {
+        super(elementName);
+        if (elementAttributes) {
+          this.root.push(new docx.XmlAttributeComponent(elementAttributes));
+        }
+        for (const child of elementChildren) {
+          this.root.push(child);
+        }
+      }
+    };
+  }
+  return new OmmlElement(name, children, attributes);
+}
+
+function value(name, val) {
+  return element(name, [], { 'm:val': val });
+}
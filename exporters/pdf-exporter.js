@@ -1 +1,116 @@
-// PDF exporter removed.
+/**
+ * PDF Exporter for Gemini Chat Exporter
+ * Builds a print-ready HTML document (KaTeX-rendered math, paginated layout)
+ * that the print view (print.html) hands to the browser's "Save as PDF".
+ * Note: This requires the KaTeX library (libs/katex.min.js) to be loaded
+ */
+
+import { HtmlExporter } from './html-exporter.js';
+import { buildFilename } from './filename.js';
+
+const PAGE_SIZES = ['A4', 'Letter', 'Legal'];
+
+export class PdfExporter {
+  constructor(data, options = {}) {
+    this.data = data;
+    this.options = {
+      includeTimestamp: true,
+      includeMeta: true,
+      pageSize: 'A4',
+      ...options
+    };
+    this.mathErrors = [];
+  }
+
+  /**
+   * Generate the print-ready HTML document
+   * @returns {Promise<string>} HTML document styled for paginated output
+   */
+  async export() {
+    const htmlExporter = new HtmlExporter(this.data, {
+      ...this.options,
+      expandThinking: true,
+      extraStyles: this.generatePrintStyles()
+    });
+    const html = await htmlExporter.export();
+    this.mathErrors = htmlExporter.math.errors;
+    return html;
+  }
+
+  /**
+   * Generate print stylesheet (page size, margins and page-break rules)
+   * @returns {string} CSS text
+   */
+  generatePrintStyles() {
+    const pageSize = PAGE_SIZES.includes(this.options.pageSize) ? this.options.pageSize : 'A4';
+
+    return `
+  @page {
+    size: ${pageSize};
+    margin: 18mm 16mm;
+  }
+  @media print {
+    body {
+      font-size: 11pt;
+    }
+    .gemini-export {
+      max-width: none;
+      padding: 0;
+    }
+    h1, h2, h3, h4, h5, h6, .turn-label, figure.code-block figcaption {
+      break-after: avoid;
+    }
+    blockquote, .math-block, tr, figure.image {
+      break-inside: avoid;
+    }
+    thead {
+      display: table-header-group;
+    }
+    pre {
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+      overflow: visible;
+    }
+    .math-block {
+      overflow: visible;
+    }
+    .turn-user {
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+    a {
+      color: inherit;
+    }
+  }
+`;
+  }
+
+  /**
+   * Generate filename for export
+   * @returns {string} Suggested filename
+   */
+  getFilename() {
+    return buildFilename(this.data.metadata, {
+      extension: 'pdf',
+      format: 'pdf',
+      pattern: this.options.filenamePattern,
+      index: this.options.index
+    });
+  }
+
+  /**
+   * Static method to export data
+   * @param {Object} data - Extracted data
+   * @param {Object} options - Export options
+   * @returns {Promise<Object>} Export result with the print-ready HTML, PDF filename and formulas that failed to render
+   */
+  static async exportToPdf(data, options = {}) {
+    const exporter = new PdfExporter(data, options);
+    return {
+      content: await exporter.export(),
+      filename: exporter.getFilename(),
+      mimeType: 'text/html',
+      mathErrors: exporter.mathErrors
+    };
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Syntax highlighting for Gemini Chat Exporter
+ * A small tokenizer for the languages Gemini answers in most: Python,
+ * JavaScript/TypeScript, C/C++, Java, SQL, bash and JSON. Word and HTML
+ * (and so PDF) exports colour code blocks from the same tokens and palette.
+ */
+
+// Colour per token type (GitHub light theme), hex without '#'
+export const TOKEN_COLORS = {
+  keyword: 'CF222E',
+  type: '953800',
+  literal: '0550AE',
+  number: '0550AE',
+  string: '0A3069',
+  comment: '6E7781',
+  function: '8250DF',
+  builtin: '953800',
+  variable: '953800',
+  property: '0550AE',
+  meta: '8250DF'
+};
+
+const words = (text) => new Set(text.split(/\s+/).filter(Boolean));
+
+const NUMBER = ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/y];
+const LINE_COMMENT = ['comment', /\/\/.*/y];
+const BLOCK_COMMENT = ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y];
+const DOUBLE_QUOTED = ['string', /"(?:\\.|[^"\\\n])*"?/y];
+const SINGLE_QUOTED = ['string', /'(?:\\.|[^'\\\n])*'?/y];
+
+const JAVASCRIPT_KEYWORDS = 'as async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+const JAVASCRIPT_BUILTINS = 'console Math JSON Object Array String Number Boolean Promise Map Set WeakMap Date Error RegExp Symbol BigInt window document globalThis require module exports process';
+const C_KEYWORDS = 'break case const continue default do else enum extern for goto if inline register restrict return sizeof static struct switch typedef union volatile while';
+const C_TYPES = 'void char short int long float double signed unsigned bool size_t ssize_t int8_t int16_t int32_t int64_t uint8_t uint16_t uint32_t uint64_t FILE';
+
+/**
+ * Language definitions
+ * - rules: [type, sticky regex] tried in order before words
+ * - keywords, types, literals, builtins: word classes
+ * - caseInsensitive: compare words in lower case (SQL)
+ */
+const LANGUAGES = {
+  python: {
+    name: 'Python',
+    rules: [
+      ['comment', /#.*/y],
+      ['string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y],
+      ['string', /[rRbBuUfF]{0,2}(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/y],
+      ['meta', /@[\w.]+/y],
+      NUMBER
+    ],
+    keywords: words('and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield'),
+    literals: words('True False None'),
+    builtins: words('print len range int str float list dict set tuple bool bytes type isinstance enumerate zip map filter sorted reversed sum min max abs open super self cls input round any all iter next hasattr getattr setattr repr format object Exception')
+  },
+  javascript: {
+    name: 'JavaScript',
+    rules: [LINE_COMMENT, BLOCK_COMMENT, DOUBLE_QUOTED, SINGLE_QUOTED, ['string', /`(?:\\[\s\S]|[^`\\])*`?/y], NUMBER],
+    keywords: words(JAVASCRIPT_KEYWORDS),
+    literals: words('true false null undefined NaN Infinity'),
+    builtins: words(JAVASCRIPT_BUILTINS)
+  },
+  typescript: {
+    name: 'TypeScript',
+    rules: [LINE_COMMENT, BLOCK_COMMENT, DOUBLE_QUOTED, SINGLE_QUOTED, ['string', /`(?:\\[\s\S]|[^`\\])*`?/y], ['meta', /@[\w.]+/y], NUMBER],
+    keywords: words(`${JAVASCRIPT_KEYWORDS} abstract declare enum implements interface is keyof infer namespace private protected public readonly satisfies type`),
+    types: words('string number boolean any unknown never object bigint symbol'),
+    literals: words('true false null undefined NaN Infinity'),
+    builtins: words(`${JAVASCRIPT_BUILTINS} Record Partial Readonly Pick Omit`)
+  },
+  c: {
+    name: 'C',
+    rules: [LINE_COMMENT, BLOCK_COMMENT, ['meta', /#\s*[a-z]+(?:[^\n\\]|\\[\s\S])*/y], DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER],
+    keywords: words(C_KEYWORDS),
+    types: words(C_TYPES),
+    literals: words('NULL true false'),
+    builtins: words('printf scanf fprintf sprintf snprintf malloc calloc realloc free memcpy memset strlen strcmp strcpy fopen fclose exit')
+  },
+  cpp: {
+    name: 'C++',
+    rules: [LINE_COMMENT, BLOCK_COMMENT, ['meta', /#\s*[a-z]+(?:[^\n\\]|\\[\s\S])*/y], DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER],
+    keywords: words(`${C_KEYWORDS} auto catch class const_cast constexpr decltype delete dynamic_cast explicit final friend mutable namespace new noexcept operator override private protected public reinterpret_cast static_assert static_cast template this throw try typename using virtual`),
+    types: words(`${C_TYPES} string vector map unordered_map set pair array unique_ptr shared_ptr`),
+    literals: words('NULL nullptr true false'),
+    builtins: words('std cout cin cerr endl printf malloc free move')
+  },
+  java: {
+    name: 'Java',
+    rules: [LINE_COMMENT, BLOCK_COMMENT, ['meta', /@\w+/y], DOUBLE_QUOTED, SINGLE_QUOTED, NUMBER],
+    keywords: words('abstract assert break case catch class continue default do else enum extends final finally for if implements import instanceof interface native new package permits private protected public record return sealed static super switch synchronized this throw throws transient try var volatile while yield'),
+    types: words('boolean byte char double float int long short void String Integer Long Double Boolean Object List ArrayList Map HashMap Set'),
+    literals: words('true false null'),
+    builtins: words('System Math Arrays Collections')
+  },
+  sql: {
+    name: 'SQL',
+    caseInsensitive: true,
+    rules: [['comment', /--.*/y], BLOCK_COMMENT, ['string', /'(?:''|[^'])*'?/y], ['property', /"(?:""|[^"\n])*"?|`[^`\n]*`?/y], NUMBER],
+    keywords: words('add all alter and as asc begin between by case check commit constraint create cross default delete desc distinct drop else end exists foreign from full group having if in index inner insert intersect into is join key left like limit not offset on or order outer primary references replace returning right rollback select set table then transaction truncate union unique update using values view when where with'),
+    types: words('int integer bigint smallint varchar char text date time timestamp boolean decimal numeric float real double serial'),
+    literals: words('null true false'),
+    builtins: words('count sum avg min max coalesce now cast upper lower length substring round')
+  },
+  bash: {
+    name: 'Bash',
+    rules: [
+      ['comment', /(?<![^\s;])#.*/y],
+      ['string', /"(?:\\[\s\S]|[^"\\])*"?/y],
+      ['string', /'[^']*'?/y],
+      ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[0-9@#?$!*-])/y],
+      NUMBER
+    ],
+    keywords: words('if then else elif fi for while until do done case esac in function return select break continue local export readonly declare'),
+    builtins: words('echo cd ls pwd cat grep sed awk source printf read exit set unset test mkdir rm cp mv chmod chown sudo apt pip npm npx git curl wget python python3 node docker make')
+  },
+  json: {
+    name: 'JSON',
+    rules: [['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y], DOUBLE_QUOTED, NUMBER],
+    literals: words('true false null')
+  }
+};
+
+const ALIASES = {
+  py: 'python', python3: 'python', py3: 'python',
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  h: 'c', 'c++': 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+  mysql: 'sql', postgresql: 'sql', postgres: 'sql', sqlite: 'sql', plsql: 'sql',
+  jsonc: 'json', json5: 'json'
+};
+
+const WORD = /[A-Za-z_$][\w$]*/y;
+const CALL = /\s*\(/y;
+
+/**
+ * Find the highlighter for a code block's language
+ * @param {string} language - Language recorded by the extractor (e.g. 'py', 'TypeScript')
+ * @returns {string|null} Language key, or null if it is not supported
+ */
+export function resolveLanguage(language) {
+  const key = String(language || '').trim().toLowerCase();
+  const resolved = ALIASES[key] || key;
+  return Object.hasOwn(LANGUAGES, resolved) ? resolved : null;
+}
+
+/**
+ * Display name of a code block's language, for captions
+ * @param {string} language
+ * @returns {string} Name such as 'Python', the language as given if unknown, or '' for none
+ */
+export function languageName(language) {
+  const key = resolveLanguage(language);
+  if (key) return LANGUAGES[key].name;
+  const given = String(language || '').trim();
+  return given.toLowerCase() === 'text' ? '' : given;
+}
+
+/**
+ * Word lists of a language, for highlighters outside this module (LaTeX listings)
+ * @param {string} language
+ * @returns {Object|null} {keywords, types, literals, builtins} as arrays, or null if unsupported
+ */
+export function languageWords(language) {
+  const key = resolveLanguage(language);
+  if (!key) return null;
+  const { keywords, types, literals, builtins } = LANGUAGES[key];
+  const list = (set) => [...(set || [])];
+  return { keywords: list(keywords), types: list(types), literals: list(literals), builtins: list(builtins) };
+}
+
+/**
+ * Split code into highlighted lines
+ * Unsupported languages come back as plain text, one token per line.
+ * @param {string} code
+ * @param {string} language
+ * @returns {Array<Array<{type: string|null, text: string}>>} Tokens per line; type is a TOKEN_COLORS key or null for plain text
+ */
+export function highlightCode(code, language) {
+  const source = String(code || '');
+  const key = resolveLanguage(language);
+  const tokens = key ? tokenize(source, LANGUAGES[key]) : [{ type: null, text: source }];
+
+  const lines = [[]];
+  for (const token of tokens) {
+    token.text.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type: token.type, text: part });
+    });
+  }
+  return lines;
+}
+
+/**
+ * @param {string} source
+ * @param {Object} definition - Entry of LANGUAGES
+ * @returns {Array<{type: string|null, text: string}>} Tokens, adjacent ones of the same type merged
+ */
+function tokenize(source, definition) {
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let pos = 0;
+  while (pos < source.length) {
+    const rule = definition.rules.find(([, pattern]) => {
+      pattern.lastIndex = pos;
+      return pattern.test(source) && pattern.lastIndex > pos;
+    });
+    if (rule) {
+      push(rule[0], source.slice(pos, rule[1].lastIndex));
+      pos = rule[1].lastIndex;
+      continue;
+    }
+
+    WORD.lastIndex = pos;
+    const word = WORD.exec(source);
+    if (word) {
+      push(classifyWord(word[0], source, WORD.lastIndex, definition), word[0]);
+      pos = WORD.lastIndex;
+      continue;
+    }
+
+    push(null, source[pos]);
+    pos++;
+  }
+
+  return tokens;
+}
+
+function classifyWord(word, source, end, definition) {
+  const lookup = definition.caseInsensitive ? word.toLowerCase() : word;
+  if (definition.keywords?.has(lookup)) return 'keyword';
+  if (definition.types?.has(lookup)) return 'type';
+  if (definition.literals?.has(lookup)) return 'literal';
+  if (definition.builtins?.has(lookup)) return 'builtin';
+
+  CALL.lastIndex = end;
+  return CALL.test(source) ? 'function' : null;
+}
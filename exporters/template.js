@@ -0,0 +1,92 @@
+/**
+ * Template helpers for Gemini Chat Exporter
+ * Fills {{placeholder}} values in user templates (Markdown header, LaTeX preamble)
+ */
+
+/**
+ * Placeholders available in every template
+ */
+export const TEMPLATE_PLACEHOLDERS = {
+  title: 'Conversation title',
+  url: 'Conversation URL',
+  date: 'Export date (YYYY-MM-DD)',
+  datetime: 'Export date and time in your locale',
+  messageCount: 'Number of exported messages'
+};
+
+const latexPreamble = (fontPackages) => [
+  '% Generated by Gemini Chat Exporter',
+  '\\documentclass[11pt]{article}',
+  '\\usepackage[margin=1in]{geometry}',
+  ...fontPackages,
+  '\\usepackage{hyperref}',
+  '\\usepackage{amsmath,amssymb}',
+  '\\usepackage{enumitem}',
+  '\\usepackage{tabularx}',
+  '\\usepackage{longtable}',
+  '\\usepackage{xcolor}',
+  '\\usepackage{graphicx}',
+  '\\hypersetup{colorlinks=true, urlcolor=blue, linkcolor=blue}',
+  '\\setlist{noitemsep}',
+  ''
+].join('\n');
+
+/**
+ * Built-in LaTeX preamble, used when no custom preamble is set
+ */
+export const DEFAULT_LATEX_PREAMBLE = latexPreamble([
+  '\\usepackage[T1]{fontenc}',
+  '\\usepackage[utf8]{inputenc}'
+]);
+
+/**
+ * Built-in preamble for XeLaTeX and LuaLaTeX, which read UTF-8 natively and load fonts with fontspec
+ */
+export const UNICODE_LATEX_PREAMBLE = latexPreamble(['\\usepackage{fontspec}']);
+
+/**
+ * Example Markdown header shown in the options page
+ */
+export const EXAMPLE_MARKDOWN_HEADER = [
+  '---',
+  'title: "{{title}}"',
+  'source: {{url}}',
+  'date: {{date}}',
+  'messages: {{messageCount}}',
+  '---',
+  '',
+  '# {{title}}',
+  ''
+].join('\n');
+
+/**
+ * Build placeholder values from conversation metadata
+ * @param {Object} metadata - Conversation metadata ({title, url, timestamp, messageCount})
+ * @returns {Object} Values keyed by placeholder name
+ */
+export function getTemplateValues(metadata = {}) {
+  const date = metadata.timestamp ? new Date(metadata.timestamp) : new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    title: metadata.title || 'Gemini Conversation',
+    url: metadata.url || '',
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    datetime: date.toLocaleString(),
+    messageCount: metadata.messageCount != null ? String(metadata.messageCount) : ''
+  };
+}
+
+/**
+ * Replace {{placeholder}} occurrences in a template
+ * Unknown placeholders are left untouched so typos stay visible in the output.
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @param {Function} [escape] - Escapes each value for the target format
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, values, escape = value => value) {
+  return String(template).replace(/\{\{\s*([A-Za-z]+)\s*\}\}/g, (match, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? escape(values[name]) : match;
+  });
+}
@@ -4,14 +4,53 @@
  * Note: This requires docx library to be loaded
  */
 
+import { buildFilename } from './filename.js';
+import { CitationList } from './citations.js';
+import { latexToOmml } from './omml.js';
+import { LatexParseError } from './latex-parser.js';
+import { MathLinter } from './math-lint.js';
+import { highlightCode, languageName, TOKEN_COLORS } from './syntax-highlight.js';
+
+// Paragraph style shared by all code blocks; a reference document may define its own "Code" style
+const CODE_STYLE = {
+  id: 'Code',
+  name: 'Code',
+  basedOn: 'Normal',
+  quickFormat: true,
+  run: { font: 'Courier New', size: 20 },
+  paragraph: { shading: { fill: 'F5F5F5' }, spacing: { after: 200 } }
+};
+
+// The same style as styles.xml markup, added to reference documents that lack it
+const CODE_STYLE_XML = '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+  '<w:pPr><w:shd w:fill="F5F5F5"/><w:spacing w:after="200"/></w:pPr>' +
+  '<w:rPr><w:rFonts w:ascii="Courier New" w:cs="Courier New" w:eastAsia="Courier New" w:hAnsi="Courier New"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>';
+
+const LINE_NUMBER_COLOR = '8C959F';
+
 export class WordExporter {
   constructor(data, options = {}) {
     this.data = data;
     this.options = {
       includeTimestamp: true,
       includeMeta: true,
+      // word/styles.xml from a reference .docx; empty uses the docx defaults
+      wordStyles: '',
+      // Keep Gemini's "Show thinking" reasoning as a shaded section
+      includeThinking: false,
+      // Number the lines of code blocks
+      codeLineNumbers: false,
+      // Name the language above code blocks
+      codeLanguageCaption: true,
       ...options
     };
+    this.citations = new CitationList();
+    // Footnote contents by id, filled while citations are processed
+    this.footnotes = {};
+    // Formulas that could not be built as Word equations
+    this.mathErrors = [];
+    // Repairs KaTeX-only notation before formulas are converted
+    this.math = new MathLinter({ target: 'word' });
   }
 
   /**
@@ -59,19 +98,31 @@ export class WordExporter {
       children.push(...await this.generateHeader());
     }
 
+    // Label turns only when the export contains user prompts
+    const labelTurns = this.hasUserTurns();
+
     // Process each message
     for (let index = 0; index < this.data.messages.length; index++) {
       const message = this.data.messages[index];
       if (index > 0) {
         children.push(this.createSeparator());
       }
+      if (labelTurns) {
+        children.push(this.createTurnLabel(message));
+      }
       const messageElements = await this.processMessage(message);
       children.push(...messageElements);
     }
 
+    children.push(...this.createReferences());
+
     // Create document
     const doc = new Document({
+      // The formula report shows as the Comments document property (File > Info in Word)
+      description: this.math.report(),
       numbering,
+      footnotes: this.footnotes,
+      ...this.getStyles(),
       sections: [{
         properties: {},
         children: children
@@ -83,6 +134,22 @@ export class WordExporter {
     return blob;
   }
 
+  /**
+   * Document styles: the reference document's, or the defaults plus the Code style
+   * @returns {Object} styles or externalStyles option for docx.Document
+   */
+  getStyles() {
+    const { wordStyles } = this.options;
+    if (!wordStyles) {
+      return { styles: { paragraphStyles: [CODE_STYLE] } };
+    }
+    return {
+      externalStyles: /w:styleId="Code"/.test(wordStyles)
+        ? wordStyles
+        : wordStyles.replace(/<\/w:styles>\s*$/, `${CODE_STYLE_XML}</w:styles>`)
+    };
+  }
+
   /**
    * Generate header with metadata
    * @returns {Array} Array of paragraphs
@@ -209,6 +276,27 @@ export class WordExporter {
     });
   }
 
+  /**
+   * Check whether the export contains user prompts alongside responses
+   * @returns {boolean} True if any message is a user turn
+   */
+  hasUserTurns() {
+    return this.data.messages.some(message => message && message.type === 'user');
+  }
+
+  /**
+   * Create the speaker label shown above each turn
+   * @param {Object} message - Message data
+   * @returns {Paragraph} Heading paragraph reading "You" or "Gemini"
+   */
+  createTurnLabel(message) {
+    return new docx.Paragraph({
+      text: message && message.type === 'user' ? 'You' : 'Gemini',
+      heading: docx.HeadingLevel.HEADING_2,
+      spacing: { before: 120, after: 120 }
+    });
+  }
+
   /**
    * Process a single message
    * @param {Object} message - Message data
@@ -266,6 +354,12 @@ export class WordExporter {
       
       case 'math-block':
         return await this.createMathBlock(block);
+
+      case 'image':
+        return this.createImage(block);
+
+      case 'thinking':
+        return this.options.includeThinking ? await this.createThinking(block) : null;
       
       default:
         return null;
@@ -371,31 +465,44 @@ export class WordExporter {
 
   /**
    * Create code block
+   * Tokens are coloured by type; the paragraph uses the Code style.
    * @param {Object} block - Code block
-   * @returns {Paragraph} Word paragraph styled as code
+   * @returns {Paragraph|Array} Code paragraph, after a language caption when enabled
    */
   createCodeBlock(block) {
-    const lines = block.code.split('\n');
+    const lines = highlightCode(block.code || '', block.language);
+    const width = String(lines.length).length;
     const children = [];
-    
-    lines.forEach((line, index) => {
-      children.push(new docx.TextRun({
-        text: line,
-        font: 'Courier New',
-        size: 20
-      }));
-      if (index < lines.length - 1) {
+
+    lines.forEach((tokens, index) => {
+      if (index > 0) {
         children.push(new docx.TextRun({ text: '', break: 1 }));
       }
+      if (this.options.codeLineNumbers) {
+        children.push(new docx.TextRun({ text: `${String(index + 1).padStart(width)}  `, color: LINE_NUMBER_COLOR }));
+      }
+      tokens.forEach(token => {
+        children.push(new docx.TextRun({
+          text: token.text,
+          ...(token.type ? { color: TOKEN_COLORS[token.type] } : {})
+        }));
+      });
     });
-    
-    return new docx.Paragraph({
-      children: children,
-      shading: {
-        fill: 'F5F5F5'
-      },
-      spacing: { after: 200 }
-    });
+
+    const code = new docx.Paragraph({ style: CODE_STYLE.id, children });
+    const language = languageName(block.language);
+    if (!this.options.codeLanguageCaption || !language) {
+      return code;
+    }
+
+    return [
+      new docx.Paragraph({
+        children: [new docx.TextRun({ text: language, bold: true, size: 18, color: '57606A' })],
+        keepNext: true,
+        spacing: { after: 60 }
+      }),
+      code
+    ];
   }
 
   /**
@@ -445,13 +552,99 @@ export class WordExporter {
     });
   }
 
+  /**
+   * Create the reasoning section of a thinking model
+   * A borderless one-cell table shades the section as a whole, including lists and tables inside it.
+   * @param {Object} block - Thinking block with its own structure
+   * @returns {Array} Shaded table holding a "Reasoning" label and the reasoning blocks, and a spacer
+   */
+  async createThinking(block) {
+    const label = new docx.Paragraph({
+      children: [new docx.TextRun({ text: 'Reasoning', bold: true, color: '555555' })],
+      spacing: { after: 120 }
+    });
+    const none = { style: docx.BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+
+    const table = new docx.Table({
+      width: { size: 100, type: docx.WidthType.PERCENTAGE },
+      borders: { top: none, bottom: none, left: none, right: none, insideHorizontal: none, insideVertical: none },
+      rows: [
+        new docx.TableRow({
+          children: [
+            new docx.TableCell({
+              children: [label, ...await this.processMessage(block)],
+              shading: { fill: 'F3F4F6' },
+              margins: { top: 120, bottom: 120, left: 200, right: 200 }
+            })
+          ]
+        })
+      ]
+    });
+
+    // Without a paragraph in between, Word joins the section to a table that follows it
+    return [table, new docx.Paragraph({ spacing: { after: 120 } })];
+  }
+
+  /**
+   * Create a footnote for a citation marker
+   * @param {Object} citation - Citation node ({index, url, title})
+   * @returns {FootnoteReferenceRun} Footnote reference
+   */
+  createCitationRun(citation) {
+    const source = this.citations.cite(citation);
+    const id = Object.keys(this.footnotes).length + 1;
+    this.footnotes[id] = {
+      children: [new docx.Paragraph({
+        children: [new docx.TextRun({ text: `[${source.number}] ` }), ...this.createSourceRuns(source)]
+      })]
+    };
+    return new docx.FootnoteReferenceRun(id);
+  }
+
+  /**
+   * Create the numbered references section for the cited and listed sources
+   * @returns {Array} Heading and one paragraph per source (empty without sources)
+   */
+  createReferences() {
+    this.citations.addMessageSources(this.data.messages);
+    if (this.citations.size === 0) {
+      return [];
+    }
+
+    return [
+      this.createSeparator(),
+      new docx.Paragraph({
+        text: 'References',
+        heading: docx.HeadingLevel.HEADING_2,
+        spacing: { before: 120, after: 120 }
+      }),
+      ...this.citations.sources.map(source => new docx.Paragraph({
+        children: [new docx.TextRun({ text: `[${source.number}] ` }), ...this.createSourceRuns(source)],
+        indent: { left: 440, hanging: 440 },
+        spacing: { after: 100 }
+      }))
+    ];
+  }
+
+  /**
+   * @param {Object} source - Numbered source ({title, url})
+   * @returns {Array} Runs with the title and URL of a source
+   */
+  createSourceRuns(source) {
+    const runs = [new docx.TextRun({ text: source.title })];
+    if (source.url && source.url !== source.title) {
+      runs.push(new docx.TextRun({ text: ` (${source.url})` }));
+    }
+    return runs;
+  }
+
   /**
    * Create math block
    * @param {Object} block - Math block with LaTeX
    * @returns {Paragraph} Word paragraph with formula
    */
   async createMathBlock(block) {
-    const mathRun = this.createMathRun(block.latex);
+    const mathRun = this.createMathRun(block.latex, true);
     return new docx.Paragraph({
       children: mathRun ? [mathRun] : [new docx.TextRun({ text: block.latex || '' })],
       shading: {
@@ -461,6 +654,69 @@ export class WordExporter {
     });
   }
 
+  /**
+   * Create image
+   * @param {Object} block - Image block
+   * @returns {Paragraph} Word paragraph containing the image (or a text placeholder)
+   */
+  createImage(block) {
+    const alt = block.alt || 'Image';
+    const bytes = this.decodeDataUrl(block.dataUrl);
+
+    if (!bytes || !docx?.ImageRun) {
+      const children = [new docx.TextRun({ text: `[Image: ${alt}]`, italics: true })];
+      if (block.src && !block.src.startsWith('blob:')) {
+        children.push(new docx.TextRun({ text: ` (${block.src})` }));
+      }
+      return new docx.Paragraph({ children, spacing: { after: 200 } });
+    }
+
+    // Scale down to fit a 6.5in text column (~624px at 96dpi), keeping the aspect ratio.
+    const maxWidth = 624;
+    const width = block.width || maxWidth;
+    const height = block.height || Math.round(width * 0.75);
+    const scale = Math.min(1, maxWidth / width);
+
+    return new docx.Paragraph({
+      children: [
+        new docx.ImageRun({
+          type: block.mimeType === 'image/jpeg' ? 'jpg' : 'png',
+          data: bytes,
+          transformation: {
+            width: Math.round(width * scale),
+            height: Math.round(height * scale)
+          },
+          altText: {
+            name: alt,
+            title: alt,
+            description: alt
+          }
+        })
+      ],
+      alignment: docx.AlignmentType.CENTER,
+      spacing: { after: 200 }
+    });
+  }
+
+  /**
+   * Decode a base64 data URL
+   * @param {string} dataUrl - Data URL
+   * @returns {Uint8Array|null} Decoded bytes
+   */
+  decodeDataUrl(dataUrl) {
+    if (!dataUrl || !dataUrl.startsWith('data:')) {
+      return null;
+    }
+
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
   /**
    * Process inline content
    * @param {Array} content - Array of inline elements
@@ -502,6 +758,11 @@ export class WordExporter {
           continue;
         }
 
+        if (element?.type === 'citation') {
+          runs.push(this.createCitationRun(element));
+          continue;
+        }
+
         if (element?.type === 'bold') {
           const inner = element.content && Array.isArray(element.content)
             ? element.content
@@ -565,345 +826,32 @@ export class WordExporter {
     return runs.length ? runs : [new docx.TextRun({ text: '' })];
   }
 
-  createMathRun(latex) {
-    const cleanedLatex = this.fixLatexForWord(latex);
-    if (!cleanedLatex || !docx?.Math || !docx?.MathRun) {
-      return cleanedLatex ? new docx.TextRun({ text: cleanedLatex }) : null;
-    }
-
-    return new docx.Math({
-      children: [new docx.MathRun(cleanedLatex)]
-    });
-  }
-
-  fixLatexForWord(latex) {
-    if (!latex) {
-      return '';
+  /**
+   * Create a Word equation from LaTeX
+   * Formulas the parser cannot read keep their source in a single math run,
+   * which Word shows in its linear format, and are listed in mathErrors.
+   * Formulas are checked with MathLinter first; its changes are listed in mathWarnings.
+   * @param {string} latex - LaTeX source
+   * @param {boolean} [displayMode=false] - Build a display equation
+   * @returns {Math|null} Equation (or null for empty LaTeX)
+   */
+  createMathRun(latex, displayMode = false) {
+    const source = (latex || '').trim();
+    if (!source || !docx?.Math || !docx?.MathRun) {
+      return source ? new docx.TextRun({ text: source }) : null;
     }
 
-    let clean = latex;
-
-    // DEGREE SYMBOL FIX
-    // Replace standalone ^\circ (not attached to a number/letter/group) with \degree for Word.
-    // Example: (^\circ) -> (\degree)
-    // Do not replace: 3^\circ, x^\circ, (x)^\circ, {x}^\circ
-    clean = clean.replace(/\^\s*\\circ\b/g, (match, offset, str) => {
-      let i = offset - 1;
-      while (i >= 0 && /\s/.test(str[i])) {
-        i--;
-      }
-
-      if (i < 0) {
-        return '\\degree';
-      }
-
-      const prev = str[i];
-      if (/[A-Za-z0-9}\])]/.test(prev)) {
-        return match;
+    try {
+      return latexToOmml(this.math.lint(source, { displayMode }), { displayMode });
+    } catch (error) {
+      if (!(error instanceof LatexParseError)) {
+        throw error;
       }
-
-      return '\\degree';
-    });
-
-    // BAR FIX
-    // Replace empty \bar{} with \bar{\phantom{a}} to ensure Word preserves an overbar placeholder when no base is present.
-    clean = clean.replace(/\\bar\{\s*\}/g, "\\\\bar{\\\\phantom{a}}");
-
-    // TRAILING GREEK COMMAND FIX
-    // If a LaTeX string ends with a Greek command (e.g., "\\theta"), Word's math parser can sometimes drop it.
-    // Wrapping the trailing command in braces helps: "...\\theta" -> "...{\\theta}".
-    // Only applies at the end of the string (allowing trailing whitespace).
-    const greekCommands = [
-      'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta',
-      'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'omicron', 'pi', 'rho',
-      'sigma', 'tau', 'upsilon', 'phi', 'chi', 'psi', 'omega',
-      'varpi', 'varrho', 'varsigma', 'varphi', 'varepsilon',
-      'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma',
-      'Upsilon', 'Phi', 'Psi', 'Omega'
-    ];
-    const trailingGreekPattern = new RegExp(`\\\\(?:${greekCommands.join('|')})(?:\\s*)$`);
-    clean = clean.replace(trailingGreekPattern, (match) => `{${match.trim()}}`);
-
-    // Fix \\tfrac -> \\frac
-    clean = clean.replace(/\\tfrac\\b/g, "\\frac");
-
-    // QED FIX
-    // Map \square (often used as end-of-proof marker) to \qed for better compatibility.
-    clean = clean.replace(/\\square\b/g, "\\qed");
-    
-    // 1. LIMIT/SUP/INF FIX
-    // Word can sometimes treat "\\lim a_n" as "lima_n" or fail to group the operator with its argument.
-    // Wrap the *immediate next LaTeX atom* in curly braces:
-    //   "\\lim a_n" or "\\lima_n" -> "\\lim{a_n}"
-    //   "\\lim \\frac{...}{...}" -> "\\lim{\\frac{...}{...}}"
-    // If the argument is already grouped ("{...}") or already parenthesized ("(... )" or "\\left(...\\right)"), leave it as-is.
-    clean = (() => {
-      const operatorNames = new Set(['limsup', 'liminf', 'lim', 'sup', 'inf', 'min', 'max']);
-
-      const isWhitespace = (ch) => /\s/.test(ch);
-      const isLetter = (ch) => /[A-Za-z]/.test(ch);
-
-      const parseCommandName = (s, i) => {
-        // s[i] must be '\\'
-        let j = i + 1;
-        while (j < s.length && isLetter(s[j])) {
-          j++;
-        }
-        return { name: s.slice(i + 1, j), end: j };
-      };
-
-      const parseBalanced = (s, i, openChar, closeChar) => {
-        // s[i] must be openChar
-        let depth = 0;
-        let j = i;
-        while (j < s.length) {
-          const ch = s[j];
-
-          // Skip escaped delimiters like \{ or \}
-          if (ch === '\\') {
-            const next = s[j + 1];
-            if (next === openChar || next === closeChar) {
-              j += 2;
-              continue;
-            }
-            // Skip command name so braces inside command names aren't misread.
-            const { end } = parseCommandName(s, j);
-            j = end;
-            continue;
-          }
-
-          if (ch === openChar) {
-            depth++;
-          } else if (ch === closeChar) {
-            depth--;
-            if (depth === 0) {
-              return { text: s.slice(i, j + 1), end: j + 1 };
-            }
-          }
-          j++;
-        }
-
-        // Unbalanced; return the rest as a best-effort atom.
-        return { text: s.slice(i), end: s.length };
-      };
-
-      const parseScriptItem = (s, i) => {
-        // Parse the thing after _ or ^.
-        if (i >= s.length) {
-          return { text: '', end: i };
-        }
-        if (s[i] === '{') {
-          return parseBalanced(s, i, '{', '}');
-        }
-        if (s[i] === '\\') {
-          const { end } = parseCommandName(s, i);
-          return { text: s.slice(i, end), end };
-        }
-        return { text: s[i], end: i + 1 };
-      };
-
-      const parseMathAtom = (s, i) => {
-        if (i >= s.length) {
-          return null;
-        }
-
-        const start = i;
-
-        // Groups
-        if (s[i] === '{') {
-          return parseBalanced(s, i, '{', '}');
-        }
-        if (s[i] === '(') {
-          return parseBalanced(s, i, '(', ')');
-        }
-        if (s[i] === '[') {
-          return parseBalanced(s, i, '[', ']');
-        }
-
-        // Commands (\frac, \sqrt, \alpha, ...)
-        if (s[i] === '\\') {
-          const { name, end } = parseCommandName(s, i);
-          let j = end;
-
-          const takeRequiredGroup = () => {
-            while (j < s.length && isWhitespace(s[j])) j++;
-            if (s[j] !== '{') return null;
-            const group = parseBalanced(s, j, '{', '}');
-            j = group.end;
-            return group;
-          };
-
-          if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
-            const g1 = takeRequiredGroup();
-            const g2 = takeRequiredGroup();
-            if (g1 && g2) {
-              return { text: s.slice(start, j), end: j };
-            }
-            return { text: s.slice(start, j), end: j };
-          }
-
-          if (name === 'sqrt') {
-            while (j < s.length && isWhitespace(s[j])) j++;
-            if (s[j] === '[') {
-              const opt = parseBalanced(s, j, '[', ']');
-              j = opt.end;
-            }
-            while (j < s.length && isWhitespace(s[j])) j++;
-            if (s[j] === '{') {
-              const rad = parseBalanced(s, j, '{', '}');
-              j = rad.end;
-            }
-            return { text: s.slice(start, j), end: j };
-          }
-
-          // Generic command: include an immediate braced group if present.
-          while (j < s.length && isWhitespace(s[j])) j++;
-          if (s[j] === '{') {
-            const arg = parseBalanced(s, j, '{', '}');
-            j = arg.end;
-          }
-
-          // Include any immediate scripts (_ / ^)
-          while (j < s.length && (s[j] === '_' || s[j] === '^')) {
-            const scriptStart = j;
-            j++;
-            const item = parseScriptItem(s, j);
-            j = item.end;
-            if (j === scriptStart + 1) break;
-          }
-
-          return { text: s.slice(start, j), end: j };
-        }
-
-        // Single variable/number token, plus immediate scripts
-        let j = i;
-        if (/[A-Za-z0-9]/.test(s[j])) {
-          j++;
-          while (j < s.length && /[A-Za-z0-9]/.test(s[j])) {
-            j++;
-          }
-        } else {
-          j++;
-        }
-
-        // Primes
-        while (j < s.length && s[j] === "'") {
-          j++;
-        }
-
-        while (j < s.length && (s[j] === '_' || s[j] === '^')) {
-          j++;
-          const item = parseScriptItem(s, j);
-          j = item.end;
-        }
-
-        return { text: s.slice(start, j), end: j };
-      };
-
-      const alreadyGroupedOrParenthesized = (s, i) => {
-        if (i >= s.length) return false;
-        if (s[i] === '{') return true;
-        if (s[i] === '(') return true;
-        if (s.startsWith('\\left(', i)) return true;
-        return false;
-      };
-
-      const wrapOperatorArgument = (s) => {
-        let i = 0;
-        let out = '';
-
-        while (i < s.length) {
-          if (s[i] !== '\\') {
-            out += s[i];
-            i++;
-            continue;
-          }
-
-          const { name, end } = parseCommandName(s, i);
-          if (!operatorNames.has(name)) {
-            out += s[i];
-            i++;
-            continue;
-          }
-
-          // Capture operator + optional subscript
-          let j = end;
-          if (s[j] === '_') {
-            const subStart = j;
-            j++;
-            const subItem = parseScriptItem(s, j);
-            j = subItem.end;
-            if (j === subStart + 1) {
-              j = subStart + 1;
-            }
-          }
-
-          let k = j;
-          while (k < s.length && isWhitespace(s[k])) k++;
-
-          // No argument to wrap
-          if (k >= s.length) {
-            out += s.slice(i, j);
-            i = j;
-            continue;
-          }
-
-          // Already grouped/parenthesized
-          if (alreadyGroupedOrParenthesized(s, k)) {
-            out += s.slice(i, k);
-            i = k;
-            continue;
-          }
-
-          const atom = parseMathAtom(s, k);
-          if (!atom || !atom.text) {
-            out += s.slice(i, j);
-            i = j;
-            continue;
-          }
-
-          let argText = atom.text;
-          // If atom is a single braced group, unwrap it to avoid \lim({x})
-          if (argText.startsWith('{') && argText.endsWith('}')) {
-            argText = argText.slice(1, -1);
-          }
-
-          out += `${s.slice(i, j)}{${argText}}`;
-          i = atom.end;
-        }
-
-        return out;
-      };
-
-      return wrapOperatorArgument(clean);
-    })();
-
-    // 2. MODULO FIXES
-    // Fix \pmod{n} -> (\text{mod } n)
-    clean = clean.replace(/\\pmod\{([^}]+)\}/g, "(\\text{mod } $1)");
-
-    // Fix \mod or \bmod -> \text{mod }
-    clean = clean.replace(/\\(mod|bmod)\b/g, "\\text{mod }");
-
-    // 3. MATRIX FIXES
-    // Convert \begin{bmatrix} -> [\begin{matrix}]
-    clean = clean.replace(/\\begin\{bmatrix\}([\s\S]*?)\\end\{bmatrix\}/g,
-      "\\left[\\begin{matrix}$1\\end{matrix}\\right]");
-
-    // Convert \begin{pmatrix} -> (\begin{matrix})
-    clean = clean.replace(/\\begin\{pmatrix\}([\s\S]*?)\\end\{pmatrix\}/g,
-      "\\left(\\begin{matrix}$1\\end{matrix}\\right)");
-
-    // Convert \begin{vmatrix} -> |\begin{matrix}| (Determinant)
-    clean = clean.replace(/\\begin\{vmatrix\}([\s\S]*?)\\end\{vmatrix\}/g,
-      "\\left|\\begin{matrix}$1\\end{matrix}\\right|");
-
-    // 4. CASES FIX
-    // Convert \begin{cases} -> \left\{\begin{matrix}...\end{matrix}\right.
-    clean = clean.replace(/\\begin\{cases\}([\s\S]*?)\\end\{cases\}/g,
-      "\\left\\{\\begin{matrix}$1\\end{matrix}\\right.");
-
-    return clean;
+      this.mathErrors.push({ latex: source, displayMode, message: error.message });
+      return new docx.Math({
+        children: [new docx.MathRun(source)]
+      });
+    }
   }
 
   /**
@@ -911,10 +859,12 @@ export class WordExporter {
    * @returns {string} Suggested filename
    */
   getFilename() {
-    const timestamp = new Date().toISOString().split('T')[0];
-    const title = this.data.metadata.title || 'gemini-export';
-    const sanitized = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 50);
-    return `${sanitized}-${timestamp}.docx`;
+    return buildFilename(this.data.metadata, {
+      extension: 'docx',
+      format: 'word',
+      pattern: this.options.filenamePattern,
+      index: this.options.index
+    });
   }
 
   /**
@@ -929,7 +879,9 @@ export class WordExporter {
     return {
       blob,
       filename: exporter.getFilename(),
-      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      mathErrors: exporter.mathErrors,
+      mathWarnings: exporter.math.warnings
     };
   }
 }
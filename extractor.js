@@ -0,0 +1,851 @@
+/**
+ * Extraction logic for Gemini Chat Exporter
+ * Converts Gemini's rendered conversation DOM into the structured blocks used by the exporters.
+ * Loaded as a content script ahead of content.js and exposed as globalThis.GeminiExtractor,
+ * so the same code can be evaluated in a jsdom window by the test suite.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Collapsible "Show thinking" panel of Gemini's thinking models
+  const THINKING_SELECTOR = 'model-thoughts, .model-thoughts, .thoughts-container';
+
+  // Citation markers and source chips in the text of grounded answers
+  const CITATION_SELECTOR = 'source-footnote, sup[data-turn-source-index], inline-source-chip, .citation-chip, .source-chip';
+
+  // "Sources" list shown under grounded answers
+  const SOURCES_SELECTOR = 'sources-list, .sources-list';
+
+  /**
+   * Rendered text of a node
+   * innerText follows CSS layout; DOMs without layout (jsdom) only offer textContent.
+   * @param {Node} node
+   * @returns {string}
+   */
+  function textOf(node) {
+    return typeof node.innerText === 'string' ? node.innerText : node.textContent;
+  }
+
+  /**
+   * Extracts a single response message from Gemini
+   * @param {Element} messageElement - The message container element
+   * @returns {Object} Extracted message data
+   */
+  function extractMessage(messageElement) {
+    if (isInsideThinking(messageElement)) return null;
+
+    // The reasoning panel can hold a .markdown of its own; the answer is the one outside it.
+    const contentDiv = Array.from(messageElement.querySelectorAll('.markdown'))
+      .find(candidate => !isInsideThinking(candidate));
+    if (!contentDiv) return null;
+
+    const data = {
+      type: 'response',
+      html: contentDiv.innerHTML,
+      text: textOf(contentDiv),
+      timestamp: new Date().toISOString(),
+      formattedElements: []
+    };
+
+    // Extract math formulas (KaTeX)
+    const mathBlocks = contentDiv.querySelectorAll('.math-block');
+    mathBlocks.forEach(block => {
+      const latex = block.getAttribute('data-math');
+      if (latex) {
+        data.formattedElements.push({
+          type: 'math-block',
+          latex: latex,
+          display: true
+        });
+      }
+    });
+
+    const mathInline = contentDiv.querySelectorAll('.math-inline');
+    mathInline.forEach(inline => {
+      const latex = inline.getAttribute('data-math');
+      if (latex) {
+        data.formattedElements.push({
+          type: 'math-inline',
+          latex: latex,
+          display: false
+        });
+      }
+    });
+
+    // Extract formatted text structure
+    data.structure = extractStructure(contentDiv);
+
+    // Generated images (e.g. Imagen) render next to, not inside, the markdown container
+    data.structure.push(...extractStandaloneImages(messageElement, contentDiv));
+
+    const thinking = extractThinking(findThinkingPanel(messageElement));
+    if (thinking) {
+      data.structure.unshift(thinking);
+    }
+
+    data.sources = extractSources(messageElement);
+    resolveCitations(data.structure, data.sources);
+
+    return data;
+  }
+
+  /**
+   * Extract a citation marker or source chip
+   * Numbered markers often carry only the source index; resolveCitations
+   * fills in the URL and title from the Sources list.
+   * @param {Element} node - Marker element
+   * @returns {Object} Citation node ({type: 'citation', index, url, title})
+   */
+  function extractCitation(node) {
+    const link = node.matches('a[href]') ? node : node.querySelector('a[href]');
+    const indexed = node.matches('[data-turn-source-index]') ? node : node.querySelector('[data-turn-source-index]');
+    const label = textOf(node).replace(/\s+/g, ' ').trim();
+    const index = Number(indexed ? indexed.getAttribute('data-turn-source-index') : label.replace(/^\[(\d+)\]$/, '$1'));
+
+    return {
+      type: 'citation',
+      index: Number.isInteger(index) && index > 0 ? index : null,
+      url: link ? link.href : '',
+      title: (link && (link.getAttribute('title') || link.getAttribute('aria-label'))) || (/^\[?\d+\]?$/.test(label) ? '' : label)
+    };
+  }
+
+  /**
+   * Extract the Sources list of a grounded answer
+   * @param {Element} messageElement - The message-content element
+   * @returns {Array} Sources ({index, url, title}) in list order
+   */
+  function extractSources(messageElement) {
+    const turn = messageElement.closest('model-response') || messageElement;
+    const list = Array.from(turn.querySelectorAll(SOURCES_SELECTOR)).find(candidate => !isInsideThinking(candidate));
+    if (!list) return [];
+
+    return Array.from(list.querySelectorAll('a[href]'))
+      .filter(link => /^https?:/i.test(link.href))
+      .map((link, position) => {
+        const indexed = link.closest('[data-turn-source-index]');
+        const titleElement = link.querySelector('.source-title, .title');
+        return {
+          index: Number(indexed ? indexed.getAttribute('data-turn-source-index') : position + 1),
+          url: link.href,
+          title: (titleElement ? textOf(titleElement) : link.getAttribute('aria-label') || textOf(link)).replace(/\s+/g, ' ').trim()
+        };
+      });
+  }
+
+  /**
+   * Fill in citation URLs and titles from the Sources list, by source index
+   * @param {Array} structure - Blocks (modified in place)
+   * @param {Array} sources - Sources ({index, url, title})
+   * @returns {Array} The sources that are cited, in list order
+   */
+  function resolveCitations(structure, sources) {
+    const byIndex = new Map(sources.map(source => [source.index, source]));
+    const cited = new Set();
+
+    const visit = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === 'object') {
+        if (value.type === 'citation') {
+          const source = byIndex.get(value.index);
+          if (source) {
+            value.url = value.url || source.url;
+            value.title = value.title || source.title;
+            cited.add(source);
+          }
+          return;
+        }
+        Object.values(value).forEach(visit);
+      }
+    };
+
+    visit(structure);
+    return sources.filter(source => cited.has(source));
+  }
+
+  /**
+   * Check whether an element belongs to a reasoning panel
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  function isInsideThinking(element) {
+    return Boolean(element && element.closest && element.closest(THINKING_SELECTOR));
+  }
+
+  /**
+   * Find the reasoning panel of a response
+   * Depending on the Gemini layout it sits inside message-content or next to
+   * it in the surrounding model-response.
+   * @param {Element} messageElement - The message-content element
+   * @returns {Element|null} The panel element
+   */
+  function findThinkingPanel(messageElement) {
+    const inside = messageElement.querySelector(THINKING_SELECTOR);
+    if (inside) return inside;
+
+    const turn = messageElement.closest('model-response');
+    return turn ? turn.querySelector(THINKING_SELECTOR) : null;
+  }
+
+  /**
+   * Extract the reasoning panel as a thinking block
+   * A collapsed panel that Gemini has not rendered yet has no content and is skipped.
+   * @param {Element|null} panel - The panel element
+   * @returns {Object|null} Thinking block ({type: 'thinking', structure})
+   */
+  function extractThinking(panel) {
+    if (!panel) return null;
+
+    const content = panel.querySelector('.markdown')
+      || panel.querySelector('.thoughts-content, .thoughts-body');
+    if (!content) return null;
+
+    const structure = extractStructure(content);
+    if (structure.length === 0) return null;
+
+    return {
+      type: 'thinking',
+      text: textOf(content),
+      structure
+    };
+  }
+
+  /**
+   * Extracts a user prompt turn from Gemini
+   * @param {Element} queryElement - The user-query element
+   * @returns {Object|null} Extracted message data
+   */
+  function extractUserQuery(queryElement) {
+    const textContainer = queryElement.querySelector('.query-text') || queryElement;
+    const lineElements = textContainer.querySelectorAll('.query-text-line');
+
+    let lines;
+    if (lineElements.length > 0) {
+      lines = Array.from(lineElements).map(line => textOf(line));
+    } else {
+      // Older layouts render the prompt as plain text; drop the screen-reader label.
+      const clone = textContainer.cloneNode(true);
+      clone.querySelectorAll('.cdk-visually-hidden').forEach(hidden => hidden.remove());
+      lines = (textOf(clone) || '').split('\n');
+    }
+
+    const structure = lines
+      .map(line => (line || '').trim())
+      .filter(line => line.length > 0)
+      .map(line => ({
+        tag: 'p',
+        text: line,
+        html: '',
+        type: 'paragraph',
+        content: [{ type: 'text', text: line }]
+      }));
+
+    // Uploaded images are shown alongside the prompt text
+    structure.push(...extractStandaloneImages(queryElement, textContainer));
+
+    if (structure.length === 0) return null;
+
+    return {
+      type: 'user',
+      html: textContainer.innerHTML,
+      text: structure.map(block => block.text).join('\n'),
+      timestamp: new Date().toISOString(),
+      formattedElements: [],
+      structure
+    };
+  }
+
+  /**
+   * Extracts structured content from the message
+   * @param {Element} element - The content element
+   * @returns {Array} Array of structured content blocks
+   */
+  function extractStructure(element) {
+    const structure = [];
+
+    const collectBlocks = (node) => {
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      const tagName = node.tagName.toLowerCase();
+
+      // Reasoning and sources are extracted separately
+      if (node.matches(THINKING_SELECTOR) || node.matches(SOURCES_SELECTOR)) {
+        return;
+      }
+
+      // Code block custom component
+      if (tagName === 'code-block' || node.classList.contains('code-block')) {
+        const pre = node.querySelector('pre');
+        const codeEl = node.querySelector('pre code');
+        if (pre && codeEl) {
+          const languageLabel = node.querySelector('.code-block-decoration span');
+          structure.push({
+            tag: 'code-block',
+            type: 'code-block',
+            code: textOf(codeEl) || textOf(pre),
+            language: languageLabel ? textOf(languageLabel).trim().toLowerCase() : 'text'
+          });
+          return;
+        }
+      }
+
+      // Handle block elements
+      switch (tagName) {
+        case 'p': {
+          // Markdown images (![alt](src)) render as <img> inside a paragraph.
+          const images = Array.from(node.querySelectorAll('img')).filter(isContentImage);
+          const text = textOf(node);
+          if (images.length === 0 || text.trim()) {
+            structure.push({
+              tag: tagName,
+              text,
+              html: node.innerHTML,
+              type: 'paragraph',
+              content: processInlineContent(node)
+            });
+          }
+          images.forEach(img => structure.push(extractImage(img)));
+          return;
+        }
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+          structure.push({
+            tag: tagName,
+            text: textOf(node),
+            html: node.innerHTML,
+            type: 'heading',
+            level: parseInt(node.tagName[1]),
+            content: processInlineContent(node)
+          });
+          return;
+        case 'ul':
+        case 'ol':
+          structure.push({
+            tag: tagName,
+            text: textOf(node),
+            html: node.innerHTML,
+            type: tagName === 'ul' ? 'unordered-list' : 'ordered-list',
+            items: extractListItems(node)
+          });
+          return;
+        case 'blockquote':
+          structure.push({
+            tag: tagName,
+            text: textOf(node),
+            html: node.innerHTML,
+            type: 'blockquote',
+            content: processInlineContent(node)
+          });
+          return;
+        case 'pre':
+          structure.push({
+            tag: tagName,
+            text: textOf(node),
+            html: node.innerHTML,
+            type: 'code-block',
+            code: textOf(node),
+            language: (node.querySelector('code')?.className || '').replace('language-', '') || 'text'
+          });
+          return;
+        case 'img':
+          if (isContentImage(node)) {
+            structure.push(extractImage(node));
+          }
+          return;
+        case 'hr':
+          structure.push({
+            tag: tagName,
+            text: '',
+            html: '',
+            type: 'horizontal-rule'
+          });
+          return;
+        case 'table':
+          structure.push({
+            tag: tagName,
+            text: textOf(node),
+            html: node.innerHTML,
+            type: 'table',
+            data: extractTable(node)
+          });
+          return;
+        case 'div':
+          if (node.classList.contains('math-block')) {
+            structure.push({
+              tag: tagName,
+              text: textOf(node),
+              html: node.innerHTML,
+              type: 'math-block',
+              latex: node.getAttribute('data-math')
+            });
+            return;
+          }
+          break;
+      }
+
+      // Traverse children for wrapper elements
+      node.childNodes.forEach(child => collectBlocks(child));
+    };
+
+    element.childNodes.forEach(child => collectBlocks(child));
+    return structure;
+  }
+
+  /**
+   * Extract an image block
+   * @param {HTMLImageElement} imageElement
+   * @returns {Object} Image block (image data is resolved later by resolveImageData)
+   */
+  function extractImage(imageElement) {
+    const width = Number(imageElement.getAttribute('width')) || imageElement.naturalWidth || null;
+    const height = Number(imageElement.getAttribute('height')) || imageElement.naturalHeight || null;
+    const alt = (imageElement.getAttribute('alt') || '').trim();
+
+    return {
+      tag: 'img',
+      text: alt,
+      html: '',
+      type: 'image',
+      src: imageElement.currentSrc || imageElement.src,
+      alt,
+      width,
+      height
+    };
+  }
+
+  /**
+   * Check whether an image is content rather than an icon or avatar
+   * @param {HTMLImageElement} imageElement
+   * @returns {boolean}
+   */
+  function isContentImage(imageElement) {
+    const src = imageElement.currentSrc || imageElement.src || '';
+    if (!src || src.startsWith('data:image/svg')) return false;
+
+    const width = imageElement.naturalWidth || imageElement.width || 0;
+    const height = imageElement.naturalHeight || imageElement.height || 0;
+    // Unknown dimensions (not yet loaded) are kept; tiny images are UI chrome.
+    return (width === 0 && height === 0) || width >= 48 || height >= 48;
+  }
+
+  /**
+   * Extract images that live outside the text container of a turn
+   * @param {Element} turnElement - Turn element (message-content or user-query)
+   * @param {Element} textContainer - Container whose images were already extracted
+   * @returns {Array} Image blocks
+   */
+  function extractStandaloneImages(turnElement, textContainer) {
+    return Array.from(turnElement.querySelectorAll('img'))
+      .filter(img => !textContainer.contains(img) && isContentImage(img))
+      .map(img => extractImage(img));
+  }
+
+  /**
+   * Process inline content (bold, italic, code, math, links)
+   * @param {Element} element
+   * @returns {Array} Array of inline elements
+   */
+  function processInlineContent(element, options = {}) {
+    const content = [];
+    const excludeSelectors = options.excludeSelectors || [];
+
+    const shouldExclude = (node) => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return false;
+      return excludeSelectors.some(selector => node.matches(selector));
+    };
+
+    const walk = (node, target) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.textContent) {
+          target.push({
+            type: 'text',
+            text: node.textContent
+          });
+        }
+        return;
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE || shouldExclude(node)) {
+        return;
+      }
+
+      const tagName = node.tagName.toLowerCase();
+
+      if (tagName === 'br') {
+        target.push({ type: 'text', text: '\n' });
+        return;
+      }
+
+      if (tagName === 'div' && node.classList.contains('math-block')) {
+        const latex = node.getAttribute('data-math');
+        if (latex) {
+          target.push({
+            type: 'math-block',
+            latex
+          });
+        }
+        return;
+      }
+
+      if (tagName === 'span' && node.classList.contains('math-inline')) {
+        const latex = node.getAttribute('data-math');
+        if (latex) {
+          target.push({
+            type: 'math-inline',
+            latex
+          });
+        }
+        return;
+      }
+
+      if (node.matches(CITATION_SELECTOR)) {
+        target.push(extractCitation(node));
+        return;
+      }
+
+      // Skip KaTeX render spans; we export from data-math wrappers.
+      if (tagName === 'span' && node.classList.contains('katex')) {
+        return;
+      }
+
+      switch (tagName) {
+        case 'b':
+        case 'strong': {
+          const inner = [];
+          node.childNodes.forEach(child => walk(child, inner));
+          target.push({
+            type: 'bold',
+            text: node.textContent,
+            content: inner
+          });
+          return;
+        }
+        case 'i':
+        case 'em': {
+          const inner = [];
+          node.childNodes.forEach(child => walk(child, inner));
+          target.push({
+            type: 'italic',
+            text: node.textContent,
+            content: inner
+          });
+          return;
+        }
+        case 'code':
+          if (!node.closest('.math-inline')) {
+            target.push({
+              type: 'code',
+              text: node.textContent
+            });
+          }
+          return;
+        case 'a': {
+          const inner = [];
+          node.childNodes.forEach(child => walk(child, inner));
+          target.push({
+            type: 'link',
+            text: node.textContent,
+            href: node.href,
+            content: inner
+          });
+          return;
+        }
+      }
+
+      node.childNodes.forEach(child => walk(child, target));
+    };
+
+    element.childNodes.forEach(child => walk(child, content));
+    return content;
+  }
+
+  /**
+   * Extract list items
+   * @param {Element} listElement
+   * @returns {Array} Array of list items
+   */
+  function extractListItems(listElement) {
+    const items = [];
+    const listItems = listElement.querySelectorAll(':scope > li');
+    
+    listItems.forEach(li => {
+      const item = {
+        content: processInlineContent(li, { excludeSelectors: ['ul', 'ol'] })
+      };
+      
+      // Check for nested lists
+      const nestedList = li.querySelector('ul, ol');
+      if (nestedList) {
+        item.nested = extractListItems(nestedList);
+        item.nestedType = nestedList.tagName.toLowerCase() === 'ul' ? 'unordered' : 'ordered';
+      }
+      
+      items.push(item);
+    });
+    
+    return items;
+  }
+
+  /**
+   * Extract table data
+   * @param {Element} tableElement
+   * @returns {Object} Table structure
+   */
+  function extractTable(tableElement) {
+    const table = {
+      headers: [],
+      rows: []
+    };
+
+    const thead = tableElement.querySelector('thead');
+    if (thead) {
+      const headerCells = thead.querySelectorAll('th, td');
+      headerCells.forEach(th => {
+        table.headers.push(processInlineContent(th));
+      });
+    }
+
+    const tbody = tableElement.querySelector('tbody') || tableElement;
+    const rows = tbody.querySelectorAll('tr');
+    rows.forEach(tr => {
+      const row = [];
+      const cells = tr.querySelectorAll('td, th');
+      cells.forEach(cell => {
+        row.push(processInlineContent(cell));
+      });
+      if (row.length > 0) {
+        table.rows.push(row);
+      }
+    });
+
+    return table;
+  }
+
+  /**
+   * Extract all messages (user prompts and responses) from the current conversation
+   * @param {Document|Element} container - Conversation root (defaults to the page)
+   * @returns {Array} Array of all messages in conversation order
+   */
+  function extractAllMessages(container = document) {
+    const messages = [];
+    // A combined selector returns nodes in document order, which keeps turns interleaved.
+    const turnElements = container.querySelectorAll('user-query, message-content');
+
+    turnElements.forEach(element => {
+      if (isInsideThinking(element)) return;
+
+      const message = element.tagName.toLowerCase() === 'user-query'
+        ? extractUserQuery(element)
+        : extractMessage(element);
+      if (message) {
+        messages.push(message);
+      }
+    });
+
+    return messages;
+  }
+
+  /**
+   * Group the prompts and responses of the conversation into turns
+   * A turn is a user prompt and the responses that follow it, or a response without a prompt.
+   * @param {Document|Element} container - Conversation root (defaults to the page)
+   * @returns {Array<{prompt: Element|null, responses: Element[]}>} Turns in conversation order
+   */
+  function groupTurnElements(container = document) {
+    const turns = [];
+    let current = null;
+
+    container.querySelectorAll('user-query, message-content').forEach(element => {
+      if (isInsideThinking(element)) return;
+
+      if (element.tagName.toLowerCase() === 'user-query') {
+        current = { prompt: element, responses: [] };
+        turns.push(current);
+      } else if (current && (current.responses.length === 0 || !current.prompt)) {
+        current.responses.push(element);
+      } else {
+        current = { prompt: null, responses: [element] };
+        turns.push(current);
+      }
+    });
+
+    return turns;
+  }
+
+  /**
+   * First non-empty line of an element's text, shortened for the turn picker
+   * @param {Element|null} element
+   * @returns {string}
+   */
+  function previewOf(element) {
+    if (!element) return '';
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(`.cdk-visually-hidden, ${THINKING_SELECTOR}, ${SOURCES_SELECTOR}`).forEach(hidden => hidden.remove());
+    const line = (textOf(clone) || '').split('\n').map(part => part.replace(/\s+/g, ' ').trim()).find(Boolean) || '';
+    return line.length > 80 ? line.slice(0, 79).trimEnd() + '…' : line;
+  }
+
+  /**
+   * List the turns of the conversation for the turn picker
+   * @param {Document|Element} container - Conversation root (defaults to the page)
+   * @returns {Array<{number: number, prompt: string, response: string}>} Turns with 1-based numbers and first-line previews
+   */
+  function listTurns(container = document) {
+    return groupTurnElements(container).map((turn, i) => ({
+      number: i + 1,
+      prompt: previewOf(turn.prompt),
+      response: previewOf(turn.responses[0] || null)
+    }));
+  }
+
+  /**
+   * Extract the messages of some turns
+   * @param {number[]} numbers - 1-based turn numbers, as listed by listTurns
+   * @param {Document|Element} container - Conversation root (defaults to the page)
+   * @returns {Array} Messages of the chosen turns in conversation order
+   */
+  function extractTurns(numbers, container = document) {
+    const chosen = new Set(numbers);
+    const messages = [];
+
+    groupTurnElements(container).forEach((turn, i) => {
+      if (!chosen.has(i + 1)) return;
+      if (turn.prompt) {
+        messages.push(extractUserQuery(turn.prompt));
+      }
+      turn.responses.forEach(response => messages.push(extractMessage(response)));
+    });
+
+    return messages.filter(Boolean);
+  }
+
+  // Elements that only make sense whole; a selection edge inside one takes in all of it
+  const ATOMIC_SELECTOR = `.math-inline, .math-block, ${CITATION_SELECTOR}`;
+
+  /**
+   * Extract the selected part of the conversation
+   * The selection is cut at each prompt and response it touches, so a selection
+   * across turns still yields separate user and response messages.
+   * @param {Selection} selection - e.g. window.getSelection()
+   * @param {Document|Element} container - Conversation root (defaults to the page)
+   * @returns {Array} Messages holding only the selected content
+   */
+  function extractSelection(selection, container = document) {
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return [];
+
+    const range = selection.getRangeAt(0);
+    const messages = [];
+
+    container.querySelectorAll('user-query, message-content').forEach(element => {
+      if (isInsideThinking(element) || !range.intersectsNode(element)) return;
+
+      const isPrompt = element.tagName.toLowerCase() === 'user-query';
+      const contentRoot = isPrompt
+        ? element.querySelector('.query-text') || element
+        : Array.from(element.querySelectorAll('.markdown')).find(candidate => !isInsideThinking(candidate));
+      if (!contentRoot || !range.intersectsNode(contentRoot)) return;
+
+      const selected = cloneSelectedContent(range, contentRoot);
+      if (!textOf(selected).trim() && !selected.querySelector('img')) return;
+
+      if (isPrompt) {
+        const message = extractUserQuery(selected);
+        if (message) messages.push(message);
+        return;
+      }
+
+      const structure = extractStructure(selected);
+      if (structure.length === 0) return;
+
+      const sources = extractSources(element);
+      messages.push({
+        type: 'response',
+        html: selected.innerHTML,
+        text: textOf(selected),
+        timestamp: new Date().toISOString(),
+        formattedElements: [],
+        structure,
+        sources: resolveCitations(structure, sources)
+      });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Copy the part of a range that lies inside a container
+   * Partly selected ancestors are copied too, so selected list items stay in
+   * their list and selected cells in their table.
+   * @param {Range} range - Selected range
+   * @param {Element} container - Prompt text or response .markdown element
+   * @returns {Element} Shallow copy of the container holding the selected content
+   */
+  function cloneSelectedContent(range, container) {
+    const clipped = container.ownerDocument.createRange();
+    clipped.selectNodeContents(container);
+    if (container.contains(range.startContainer)) {
+      clipped.setStart(range.startContainer, range.startOffset);
+    }
+    if (container.contains(range.endContainer)) {
+      clipped.setEnd(range.endContainer, range.endOffset);
+    }
+
+    const startAtom = closestElement(clipped.startContainer)?.closest(ATOMIC_SELECTOR);
+    if (startAtom && container.contains(startAtom)) clipped.setStartBefore(startAtom);
+    const endAtom = closestElement(clipped.endContainer)?.closest(ATOMIC_SELECTOR);
+    if (endAtom && container.contains(endAtom)) clipped.setEndAfter(endAtom);
+
+    let content = clipped.cloneContents();
+    let wholeBlock = false;
+    for (let node = closestElement(clipped.commonAncestorContainer); node && node !== container; node = node.parentElement) {
+      // Once the selection sits in the innermost list or table, outer list items and cells would only add empty shells
+      if (wholeBlock && node.matches('li, ul, ol, table, thead, tbody, tr, td, th')) continue;
+      wholeBlock = wholeBlock || node.matches('ul, ol, table');
+
+      const shell = node.cloneNode(false);
+      shell.appendChild(content);
+      // The language label of a code block sits next to its <pre>
+      const label = node.querySelector(':scope > .code-block-decoration');
+      if (label && !shell.querySelector('.code-block-decoration')) {
+        shell.prepend(label.cloneNode(true));
+      }
+      content = shell;
+    }
+
+    const copy = container.cloneNode(false);
+    copy.appendChild(content);
+    return copy;
+  }
+
+  /**
+   * @param {Node} node
+   * @returns {Element|null} The node itself if it is an element, else its parent
+   */
+  function closestElement(node) {
+    return node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement || null;
+  }
+
+  root.GeminiExtractor = {
+    extractMessage,
+    extractUserQuery,
+    extractThinking,
+    isInsideThinking,
+    extractStructure,
+    extractImage,
+    processInlineContent,
+    extractListItems,
+    extractTable,
+    extractAllMessages,
+    listTurns,
+    extractTurns,
+    extractSelection
+  };
+})(globalThis);
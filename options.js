@@ -0,0 +1,162 @@
+/**
+ * Options page script for Gemini Chat Exporter
+ * Edits the export defaults (chrome.storage.sync) and custom templates (chrome.storage.local)
+ */
+
+import { loadTemplates, saveTemplates, resetTemplates, extractWordStyles } from './templates.js';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, resetSettings } from './settings.js';
+import { TEMPLATE_PLACEHOLDERS, DEFAULT_LATEX_PREAMBLE, UNICODE_LATEX_PREAMBLE, EXAMPLE_MARKDOWN_HEADER } from './exporters/template.js';
+import { FILENAME_PLACEHOLDERS, buildFilename } from './exporters/filename.js';
+
+document.addEventListener('DOMContentLoaded', async function() {
+  const markdownTemplate = document.getElementById('markdownTemplate');
+  const latexPreamble = document.getElementById('latexPreamble');
+  const wordReference = document.getElementById('wordReference');
+  const wordReferenceName = document.getElementById('wordReferenceName');
+  const saveStatus = document.getElementById('saveStatus');
+
+  // Form controls named after the settings keys
+  const settingFields = Object.keys(DEFAULT_SETTINGS).map(key => document.getElementById(key));
+
+  function renderSettings(settings) {
+    settingFields.forEach(field => {
+      if (field.type === 'checkbox') {
+        field.checked = settings[field.id];
+      } else {
+        field.value = settings[field.id];
+      }
+    });
+    updateFilenamePreview();
+    updateObsidianFields();
+  }
+
+  function readSettings() {
+    return Object.fromEntries(settingFields.map(field => [
+      field.id,
+      field.type === 'checkbox' ? field.checked : field.value
+    ]));
+  }
+
+  // Reference document picked in this session, saved together with the text templates
+  let wordStyles = null;
+
+  function showStatus(message, type = 'info') {
+    saveStatus.textContent = message;
+    saveStatus.className = `save-status ${type}`;
+  }
+
+  function showWordReference(name) {
+    wordReferenceName.textContent = name ? `Using ${name}` : 'No reference document';
+  }
+
+  function renderTemplates(templates) {
+    markdownTemplate.value = templates.markdownTemplate;
+    latexPreamble.value = templates.latexPreamble;
+    wordReference.value = '';
+    wordStyles = null;
+    showWordReference(templates.wordReferenceName);
+  }
+
+  // Placeholder references
+  function renderPlaceholders(list, placeholders, format) {
+    Object.entries(placeholders).forEach(([name, description]) => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = format(name);
+      item.appendChild(code);
+      item.appendChild(document.createTextNode(` ${description}`));
+      list.appendChild(item);
+    });
+  }
+
+  renderPlaceholders(document.getElementById('placeholderList'), TEMPLATE_PLACEHOLDERS, name => `{{${name}}}`);
+  renderPlaceholders(document.getElementById('filenamePlaceholderList'), FILENAME_PLACEHOLDERS, name => `{${name}}`);
+
+  // Live filename preview
+  const filenamePattern = document.getElementById('filenamePattern');
+  const filenamePreview = document.getElementById('filenamePreview');
+
+  function updateFilenamePreview() {
+    filenamePreview.textContent = buildFilename({
+      title: 'Résumé tips: 履歴書の書き方',
+      url: 'https://gemini.google.com/app/0123456789abcdef'
+    }, { extension: 'md', format: 'markdown', pattern: filenamePattern.value });
+  }
+
+  filenamePattern.addEventListener('input', updateFilenamePreview);
+
+  // Obsidian settings only apply to the Obsidian Markdown style
+  const markdownMode = document.getElementById('markdownMode');
+
+  function updateObsidianFields() {
+    const enabled = markdownMode.value === 'obsidian';
+    ['obsidianTags', 'obsidianSplitNotes'].forEach(id => {
+      document.getElementById(id).disabled = !enabled;
+    });
+  }
+
+  markdownMode.addEventListener('change', updateObsidianFields);
+
+  document.getElementById('markdownExample').addEventListener('click', () => {
+    markdownTemplate.value = EXAMPLE_MARKDOWN_HEADER;
+  });
+
+  document.getElementById('latexDefault').addEventListener('click', () => {
+    latexPreamble.value = document.getElementById('latexEngine').value === 'pdflatex'
+      ? DEFAULT_LATEX_PREAMBLE
+      : UNICODE_LATEX_PREAMBLE;
+  });
+
+  wordReference.addEventListener('change', async () => {
+    const file = wordReference.files[0];
+    if (!file) return;
+
+    try {
+      wordStyles = { wordStyles: await extractWordStyles(file), wordReferenceName: file.name };
+      showWordReference(file.name);
+      showStatus('Reference document loaded; click Save to use it', 'info');
+    } catch (error) {
+      console.error('Reference document error:', error);
+      wordReference.value = '';
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('wordReferenceClear').addEventListener('click', () => {
+    wordReference.value = '';
+    wordStyles = { wordStyles: '', wordReferenceName: '' };
+    showWordReference('');
+  });
+
+  document.getElementById('save').addEventListener('click', async () => {
+    const latex = latexPreamble.value.trim();
+    const note = latex && !latex.includes('\\documentclass')
+      ? ' (the LaTeX preamble has no \\documentclass, so article will be used)'
+      : '';
+
+    try {
+      renderSettings(await saveSettings(readSettings()));
+      const templates = await saveTemplates({
+        markdownTemplate: markdownTemplate.value.trim() ? markdownTemplate.value : '',
+        latexPreamble: latex ? latexPreamble.value : '',
+        ...(wordStyles || {})
+      });
+      renderTemplates(templates);
+      showStatus(`Saved${note}`, 'success');
+    } catch (error) {
+      console.error('Saving templates failed:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('reset').addEventListener('click', async () => {
+    await resetSettings();
+    await resetTemplates();
+    renderSettings(await loadSettings());
+    renderTemplates(await loadTemplates());
+    showStatus('Defaults and templates restored', 'success');
+  });
+
+  renderSettings(await loadSettings());
+  renderTemplates(await loadTemplates());
+});
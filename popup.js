@@ -3,11 +3,24 @@
  * Handles UI interactions and coordinates export process
  */
 
-import { MarkdownExporter } from './exporters/markdown-exporter.js';
-import { WordExporter } from './exporters/word-exporter.js';
-import { LatexExporter } from './exporters/latex-exporter.js';
+import { HtmlExporter } from './exporters/html-exporter.js';
+import { ClipboardExporter } from './exporters/clipboard-exporter.js';
+import { createExport } from './export-formats.js';
+import { listConversations } from './batch-export.js';
+import { loadTemplates } from './templates.js';
+import { loadSettings } from './settings.js';
+import { splitPath } from './exporters/filename.js';
+import { parseTurnRange, formatTurnRange } from './turn-range.js';
 
-document.addEventListener('DOMContentLoaded', function() {
+// Content script action for each export scope
+const SCOPE_ACTIONS = {
+  single: 'extractSingleResponse',
+  all: 'extractContent',
+  turns: 'extractTurns',
+  selection: 'extractSelection'
+};
+
+document.addEventListener('DOMContentLoaded', async function() {
   const formatButtons = document.querySelectorAll('.format-btn');
   const statusElement = document.getElementById('status');
   const statusText = document.getElementById('statusText');
@@ -20,77 +33,143 @@ document.addEventListener('DOMContentLoaded', function() {
     const icons = {
       info: 'i',
       success: '✓',
+      warning: '!',
       error: '✗'
     };
     
     statusElement.querySelector('.status-icon').textContent = icons[type] || icons.info;
   }
 
-  // Get selected options
-  function getExportOptions() {
+  // Finish with a warning when formulas were kept as LaTeX source,
+  // and list them with the changes made before a LaTeX or Word export
+  function updateStatusAfterExport(message, mathErrors = [], mathWarnings = []) {
+    showMathReport(mathErrors, mathWarnings);
+
+    if (mathErrors.length === 0) {
+      const adjusted = new Set(mathWarnings.map(warning => warning.latex)).size;
+      updateStatus(adjusted > 0
+        ? `${message} (${adjusted} ${adjusted === 1 ? 'formula' : 'formulas'} adjusted, see below)`
+        : message, 'success');
+      return;
+    }
+
+    const count = mathErrors.length;
+    updateStatus(`${message}, but ${count} ${count === 1 ? 'formula' : 'formulas'} could not be converted (kept as LaTeX, see below)`, 'warning');
+  }
+
+  // List the formulas the last export could not convert or had to change
+  function showMathReport(mathErrors = [], mathWarnings = []) {
+    const report = document.getElementById('mathReport');
+    const list = document.getElementById('mathReportList');
+    const entries = [
+      ...mathErrors.map(error => ({ latex: error.latex, message: `Could not convert: ${error.message}` })),
+      ...mathWarnings
+    ];
+
+    list.replaceChildren(...entries.map(entry => {
+      const item = document.createElement('li');
+      const source = document.createElement('code');
+      source.textContent = entry.latex;
+      item.append(source, entry.message);
+      return item;
+    }));
+    document.getElementById('mathReportSummary').textContent =
+      `${entries.length} formula ${entries.length === 1 ? 'note' : 'notes'}`;
+    report.hidden = entries.length === 0;
+  }
+
+  // Start from the defaults saved on the options page
+  function applySettings(settings) {
+    const scopeRadio = document.querySelector(`input[name="scope"][value="${settings.scope}"]`);
+    if (scopeRadio) {
+      scopeRadio.checked = true;
+    }
+    document.getElementById('includeTimestamp').checked = settings.includeTimestamp;
+    document.getElementById('includeMeta').checked = settings.includeMeta;
+    document.getElementById('latexBundle').checked = settings.latexBundle;
+    document.getElementById('includeThinking').checked = settings.includeThinking;
+    document.getElementById('markdownDialect').value = settings.markdownDialect;
+    document.getElementById('mathDelimiters').value = settings.mathDelimiters;
+
+    formatButtons.forEach(button => {
+      button.classList.toggle('default', button.dataset.format === settings.format);
+    });
+
+    const batchFormat = document.getElementById('batchFormat');
+    if (batchFormat.querySelector(`option[value="${settings.format}"]`)) {
+      batchFormat.value = settings.format;
+    }
+  }
+
+  // Get selected options, together with the saved settings and custom templates
+  async function getExportOptions() {
     const scopeRadio = document.querySelector('input[name="scope"]:checked');
     return {
+      ...await loadTemplates(),
+      ...await loadSettings(),
       scope: scopeRadio ? scopeRadio.value : 'single',
       includeTimestamp: document.getElementById('includeTimestamp').checked,
-      includeMeta: document.getElementById('includeMeta').checked
+      includeMeta: document.getElementById('includeMeta').checked,
+      latexBundle: document.getElementById('latexBundle').checked,
+      includeThinking: document.getElementById('includeThinking').checked,
+      markdownDialect: document.getElementById('markdownDialect').value,
+      mathDelimiters: document.getElementById('mathDelimiters').value
     };
   }
 
+  /**
+   * Extract the chosen scope from the active Gemini tab
+   * @param {Object} options - Export options (scope)
+   * @returns {Promise<Object>} Extracted data ({metadata, messages})
+   */
+  async function extractFromPage(options) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    // Check if we're on Gemini
+    if (!tab.url.includes('gemini.google.com')) {
+      throw new Error('Please open a Gemini conversation first');
+    }
+
+    const request = { action: SCOPE_ACTIONS[options.scope] || SCOPE_ACTIONS.single };
+    if (request.action === SCOPE_ACTIONS.single && responseIndex !== null) {
+      request.index = responseIndex;
+    }
+    if (options.scope === 'turns') {
+      request.turns = getChosenTurns();
+      if (request.turns.length === 0) {
+        throw new Error('Choose at least one turn');
+      }
+    }
+
+    // Extract content from page
+    const response = await chrome.tabs.sendMessage(tab.id, request);
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to extract content');
+    }
+    return response.data;
+  }
+
   // Handle format button clicks
   formatButtons.forEach(button => {
     button.addEventListener('click', async function() {
       const format = this.dataset.format;
-      const options = getExportOptions();
+      const options = await getExportOptions();
       
       updateStatus(`Extracting content...`, 'info');
+      showMathReport();
       this.classList.add('loading');
 
       try {
-        // Get active tab
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        
-        // Check if we're on Gemini
-        if (!tab.url.includes('gemini.google.com')) {
-          updateStatus('Please open a Gemini conversation first', 'error');
-          this.classList.remove('loading');
-          return;
-        }
-
-        // Extract content from page
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          action: options.scope === 'single' ? 'extractSingleResponse' : 'extractContent'
-        });
-
-        if (!response.success) {
-          throw new Error(response.error || 'Failed to extract content');
-        }
+        const data = await extractFromPage(options);
 
         updateStatus(`Generating ${format.toUpperCase()}...`, 'info');
 
         // Process export in popup (where libraries are available)
-        let result;
         try {
-          switch (format) {
-            case 'markdown':
-              result = MarkdownExporter.exportToMarkdown(response.data, options);
-              await downloadFile(result.content, result.filename, result.mimeType);
-              break;
-            
-            case 'word':
-              result = await WordExporter.exportToWord(response.data, options);
-              await downloadBlob(result.blob, result.filename);
-              break;
-
-            case 'latex':
-              result = LatexExporter.exportToLatex(response.data, options);
-              await downloadFile(result.content, result.filename, result.mimeType);
-              break;
-            
-            default:
-              throw new Error(`Unknown format: ${format}`);
-          }
-
-          updateStatus('Exported successfully', 'success');
+          const result = await createExport(format, data, options);
+          await saveExport(format, result, options);
+
+          updateStatusAfterExport('Exported successfully', result.mathErrors, result.mathWarnings);
           setTimeout(() => {
             updateStatus('Ready to export', 'info');
           }, 3000);
@@ -109,6 +188,287 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
 
+  // Handle copy button clicks
+  document.querySelectorAll('.copy-btn').forEach(button => {
+    button.addEventListener('click', async function() {
+      const options = await getExportOptions();
+
+      updateStatus('Copying...', 'info');
+      showMathReport();
+      this.classList.add('loading');
+
+      try {
+        const result = await ClipboardExporter.copyToClipboard(extractFromPage(options), this.dataset.copy, options);
+        updateStatusAfterExport('Copied to clipboard', result.mathErrors);
+      } catch (error) {
+        console.error('Copy error:', error);
+        updateStatus(`Error: ${error.message}`, 'error');
+      } finally {
+        this.classList.remove('loading');
+        setTimeout(() => {
+          updateStatus('Ready to export', 'info');
+        }, 3000);
+      }
+    });
+  });
+
+  // Response switcher for the single-response scope
+  const responseSwitcher = document.getElementById('responseSwitcher');
+  const responsePosition = document.getElementById('responsePosition');
+  const responsePreview = document.getElementById('responsePreview');
+  const previousResponse = document.getElementById('previousResponse');
+  const nextResponse = document.getElementById('nextResponse');
+  let responseIndex = null;
+
+  /**
+   * Show a response in the switcher
+   * @param {number} [index] - Position among the responses; omit for the one the page is scrolled to
+   * @param {boolean} [reveal=false] - Scroll the page to the response
+   */
+  async function loadResponsePreview(index, reveal = false) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab.url.includes('gemini.google.com')) {
+        responseSwitcher.hidden = true;
+        return;
+      }
+
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'previewResponse', index, reveal });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not read the response');
+      }
+
+      responseIndex = response.index;
+      responsePosition.textContent = `Response ${response.index + 1} of ${response.total}`;
+      previousResponse.disabled = response.index === 0;
+      nextResponse.disabled = response.index === response.total - 1;
+
+      const { includeThinking } = await getExportOptions();
+      const preview = new HtmlExporter({ metadata: {}, messages: [response.message] }, { includeThinking });
+      responsePreview.innerHTML = preview.processMessage(response.message);
+    } catch (error) {
+      console.error('Response preview error:', error);
+      responseSwitcher.hidden = true;
+    }
+  }
+
+  previousResponse.addEventListener('click', () => loadResponsePreview(responseIndex - 1, true));
+  nextResponse.addEventListener('click', () => loadResponsePreview(responseIndex + 1, true));
+
+  // Turn picker
+  const turnPicker = document.getElementById('turnPicker');
+  const turnList = document.getElementById('turnList');
+  const turnRange = document.getElementById('turnRange');
+  let lastClickedTurn = null;
+
+  function renderTurnList(turns) {
+    turnList.textContent = '';
+    turns.forEach(turn => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label turn-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = String(turn.number);
+
+      const text = document.createElement('span');
+      text.className = 'turn-text';
+      const prompt = document.createElement('span');
+      prompt.textContent = `${turn.number}. ${turn.prompt || turn.response || 'Response'}`;
+      prompt.title = turn.prompt;
+      text.appendChild(prompt);
+      if (turn.prompt && turn.response) {
+        const response = document.createElement('span');
+        response.className = 'turn-response';
+        response.textContent = turn.response;
+        response.title = turn.response;
+        text.appendChild(response);
+      }
+
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      turnList.appendChild(label);
+    });
+    turnRange.value = '';
+  }
+
+  function getTurnCheckboxes() {
+    return Array.from(turnList.querySelectorAll('input[type="checkbox"]'));
+  }
+
+  function getChosenTurns() {
+    return getTurnCheckboxes().filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value));
+  }
+
+  async function loadTurns() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab.url.includes('gemini.google.com')) {
+        updateStatus('Please open a Gemini conversation first', 'error');
+        return;
+      }
+
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'listTurns' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not read the conversation');
+      }
+      renderTurnList(response.turns);
+    } catch (error) {
+      console.error('Turn list error:', error);
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  function updateScope() {
+    const scope = document.querySelector('input[name="scope"]:checked')?.value;
+
+    responseSwitcher.hidden = scope !== 'single';
+    if (!responseSwitcher.hidden && responseIndex === null) {
+      loadResponsePreview();
+    }
+
+    turnPicker.hidden = scope !== 'turns';
+    if (!turnPicker.hidden && getTurnCheckboxes().length === 0) {
+      loadTurns();
+    }
+  }
+
+  document.querySelectorAll('input[name="scope"]').forEach(radio => {
+    radio.addEventListener('change', updateScope);
+  });
+
+  // Shift-click checks every turn between the last clicked one and this one
+  turnList.addEventListener('click', (event) => {
+    if (!event.target.matches('input[type="checkbox"]')) return;
+
+    const checkboxes = getTurnCheckboxes();
+    const index = checkboxes.indexOf(event.target);
+    if (event.shiftKey && lastClickedTurn !== null) {
+      const [from, to] = [Math.min(index, lastClickedTurn), Math.max(index, lastClickedTurn)];
+      checkboxes.slice(from, to + 1).forEach(checkbox => {
+        checkbox.checked = event.target.checked;
+      });
+    }
+    lastClickedTurn = index;
+    turnRange.value = formatTurnRange(getChosenTurns());
+  });
+
+  turnRange.addEventListener('change', () => {
+    const checkboxes = getTurnCheckboxes();
+    try {
+      const chosen = new Set(parseTurnRange(turnRange.value, checkboxes.length));
+      checkboxes.forEach(checkbox => {
+        checkbox.checked = chosen.has(Number(checkbox.value));
+      });
+      turnRange.value = formatTurnRange([...chosen]);
+      updateStatus(`${chosen.size} of ${checkboxes.length} turns chosen`, 'info');
+    } catch (error) {
+      updateStatus(error.message, 'error');
+    }
+  });
+
+  // Batch export
+  const batchList = document.getElementById('batchList');
+  const batchActions = document.getElementById('batchActions');
+  const batchSelectAll = document.getElementById('batchSelectAll');
+  const batchExportButton = document.getElementById('batchExport');
+  let batchConversations = [];
+
+  function renderBatchList(conversations) {
+    batchList.textContent = '';
+    conversations.forEach((conversation, index) => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label batch-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = String(index);
+
+      const title = document.createElement('span');
+      title.textContent = conversation.title;
+      title.title = conversation.title;
+
+      label.appendChild(checkbox);
+      label.appendChild(title);
+      batchList.appendChild(label);
+    });
+
+    batchSelectAll.checked = false;
+    batchList.hidden = conversations.length === 0;
+    batchActions.hidden = conversations.length === 0;
+  }
+
+  document.getElementById('batchLoad').addEventListener('click', async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab.url.includes('gemini.google.com')) {
+        updateStatus('Please open Gemini first', 'error');
+        return;
+      }
+
+      batchConversations = await listConversations(tab.id);
+      renderBatchList(batchConversations);
+      updateStatus(`Found ${batchConversations.length} conversations`, 'info');
+    } catch (error) {
+      console.error('Batch list error:', error);
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  });
+
+  batchSelectAll.addEventListener('change', () => {
+    batchList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = batchSelectAll.checked;
+    });
+  });
+
+  // The batch runs in the background service worker, so closing the popup does not stop it
+  function showBatchStatus(status) {
+    batchExportButton.classList.toggle('loading', status.running);
+
+    if (status.running) {
+      updateStatus(status.title
+        ? `Exporting ${status.index + 1}/${status.total}: ${status.title}`
+        : `Starting export of ${status.total} conversations...`, 'info');
+    } else if (status.error) {
+      updateStatus(`Error: ${status.error}`, 'error');
+    } else if (status.failures > 0) {
+      updateStatus(`Exported with ${status.failures} failed (see export-errors.txt)`, 'error');
+    } else {
+      updateStatus(`Exported ${status.total} conversations`, 'success');
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'batchProgress') {
+      showBatchStatus(request.status);
+    }
+  });
+
+  batchExportButton.addEventListener('click', async () => {
+    const selected = Array.from(batchList.querySelectorAll('input[type="checkbox"]:checked'))
+      .map(checkbox => batchConversations[Number(checkbox.value)]);
+
+    if (selected.length === 0) {
+      updateStatus('Select at least one conversation', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'startBatchExport',
+        conversations: selected,
+        format: document.getElementById('batchFormat').value,
+        options: await getExportOptions()
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not start the batch export');
+      }
+    } catch (error) {
+      console.error('Batch export error:', error);
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  });
+
   // Help link
   document.getElementById('helpLink').addEventListener('click', (e) => {
     e.preventDefault();
@@ -117,6 +477,12 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
 
+  // Options page
+  document.getElementById('optionsLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
   // GitHub link
   document.getElementById('githubLink').addEventListener('click', (e) => {
     e.preventDefault();
@@ -131,32 +497,104 @@ document.addEventListener('DOMContentLoaded', function() {
       updateStatus('Not on Gemini page', 'error');
     }
   });
+
+  applySettings(await loadSettings());
+  updateScope();
+
+  // Pick up a batch export started before the popup was last closed
+  const batch = await chrome.runtime.sendMessage({ action: 'getBatchStatus' }).catch(() => null);
+  if (batch?.status?.running) {
+    showBatchStatus(batch.status);
+  }
 });
 
+/**
+ * Save an exporter result (download it, or open the print view for PDF)
+ * @param {string} format - Export format
+ * @param {Object} result - Exporter result
+ * @param {Object} options - Export options (saveAs)
+ */
+async function saveExport(format, result, options) {
+  if (format === 'pdf') {
+    await openPrintView(result.content, result.filename);
+  } else if (result.blob) {
+    await downloadBlob(result.blob, result.filename, options.saveAs);
+  } else {
+    await downloadTextResult(result, options.saveAs);
+  }
+}
+
 /**
  * Download text content as file
  * @param {string} content - File content
  * @param {string} filename - Filename
  * @param {string} mimeType - MIME type
+ * @param {boolean} saveAs - Show the Save As dialog
  */
-async function downloadFile(content, filename, mimeType) {
+async function downloadFile(content, filename, mimeType, saveAs) {
   const blob = new Blob([content], { type: mimeType });
-  await downloadBlob(blob, filename);
+  await downloadBlob(blob, filename, saveAs);
+}
+
+/**
+ * Download a text export, together with any image assets it references
+ * @param {Object} result - Exporter result ({content, filename, mimeType, assets})
+ * @param {boolean} saveAs - Show the Save As dialog (not used for bundles)
+ */
+async function downloadTextResult(result, saveAs) {
+  if (!result.assets || result.assets.length === 0) {
+    await downloadFile(result.content, result.filename, result.mimeType, saveAs);
+    return;
+  }
+
+  // Relative image paths only resolve if everything lands in the same folder,
+  // so bundles skip the Save As prompt and go to <Downloads>/<path>/<name>/,
+  // numbered by the background worker if an earlier export used that folder.
+  const { folder: parent, name, extension } = splitPath(result.filename);
+  const files = [
+    {
+      url: `data:${result.mimeType};charset=utf-8,${encodeURIComponent(result.content)}`,
+      path: `${name}${extension}`
+    },
+    ...result.assets.map(asset => ({ url: asset.dataUrl, path: asset.path }))
+  ];
+
+  const response = await chrome.runtime.sendMessage({ action: 'downloadBundle', folder: `${parent}${name}`, files });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Download failed');
+  }
+}
+
+/**
+ * Open the print view so the browser can save the document as PDF
+ * The job goes through chrome.storage.local, which needs unlimitedStorage
+ * for documents with inlined fonts and images over 10 MB
+ * @param {string} html - Print-ready HTML document
+ * @param {string} filename - Suggested PDF filename
+ */
+async function openPrintView(html, filename) {
+  const jobId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  await chrome.storage.local.set({ [`printJob:${jobId}`]: { html, filename } });
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL(`print.html?job=${encodeURIComponent(jobId)}`)
+  });
 }
 
 /**
  * Download blob as file
  * @param {Blob} blob - File blob
  * @param {string} filename - Filename
+ * @param {boolean} [saveAs=true] - Show the Save As dialog
  */
-async function downloadBlob(blob, filename) {
+async function downloadBlob(blob, filename, saveAs = true) {
   const url = URL.createObjectURL(blob);
   
   try {
     await chrome.downloads.download({
       url: url,
       filename: filename,
-      saveAs: true
+      saveAs: saveAs,
+      conflictAction: 'uniquify'
     });
     
     // Clean up object URL after a delay
@@ -0,0 +1,46 @@
+/**
+ * Print view for Gemini Chat Exporter
+ * Loads a pending PDF export job from storage, renders it and opens the
+ * browser's print dialog so it can be saved as PDF
+ */
+
+const PRINT_JOB_PREFIX = 'printJob:';
+
+document.addEventListener('DOMContentLoaded', async function() {
+  const jobId = new URLSearchParams(window.location.search).get('job');
+  const key = `${PRINT_JOB_PREFIX}${jobId}`;
+
+  try {
+    const stored = await chrome.storage.local.get(key);
+    const job = stored[key];
+    await chrome.storage.local.remove(key);
+
+    if (!job || !job.html) {
+      throw new Error('This export is no longer available. Please export again.');
+    }
+
+    renderDocument(job.html);
+
+    // Chrome's "Save as PDF" suggests the document title as the filename.
+    document.title = (job.filename || document.title).split('/').pop().replace(/\.pdf$/i, '');
+
+    await document.fonts.ready;
+    window.print();
+  } catch (error) {
+    console.error('Print view error:', error);
+    const status = document.getElementById('printStatus');
+    if (status) {
+      status.textContent = `Error: ${error.message}`;
+    }
+  }
+});
+
+/**
+ * Replace the current document with the exported HTML
+ * @param {string} html - Print-ready HTML document
+ */
+function renderDocument(html) {
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  const imported = document.importNode(parsed.documentElement, true);
+  document.replaceChild(imported, document.documentElement);
+}
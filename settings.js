@@ -0,0 +1,105 @@
+/**
+ * Export preferences for Gemini Chat Exporter
+ * Defaults chosen on the options page, stored in chrome.storage.sync and
+ * read by both the popup and the in-chat export button.
+ */
+
+import { DEFAULT_FILENAME_PATTERN } from './exporters/filename.js';
+import { LATEX_CODE_STYLES } from './exporters/latex-code.js';
+import { LATEX_ENGINES } from './exporters/latex-unicode.js';
+
+const STORAGE_KEY = 'settings';
+
+export const DEFAULT_SETTINGS = {
+  // Format preselected in the popup and listed first in the in-chat menu
+  format: 'markdown',
+  // 'single' (current response) or 'all' (full conversation)
+  scope: 'single',
+  includeTimestamp: true,
+  includeMeta: true,
+  latexBundle: false,
+  // LaTeX code environment: 'listings', 'minted' (compile with -shell-escape) or 'verbatim'
+  latexCodeStyle: 'listings',
+  // LaTeX engine the .tex is written for: 'pdflatex', 'xelatex' or 'lualatex'
+  latexEngine: 'pdflatex',
+  // Keep Gemini's "Show thinking" reasoning in exports
+  includeThinking: false,
+  // Code blocks in Word, HTML, PDF and LaTeX: line numbers and a language caption
+  codeLineNumbers: false,
+  codeLanguageCaption: true,
+  // Filename without extension, see FILENAME_PLACEHOLDERS; "/" creates subfolders
+  filenamePattern: DEFAULT_FILENAME_PATTERN,
+  // Markdown dialect: 'gfm', 'commonmark', 'pandoc' or 'plain' (see MARKDOWN_DIALECTS)
+  markdownDialect: 'gfm',
+  // Markdown math: 'dollars' ($...$, $$...$$), 'brackets' (\(...\), \[...\]) or 'dialect' (the dialect's own)
+  mathDelimiters: 'dollars',
+  // Markdown flavour: 'standard' or 'obsidian' (front matter, callouts, wikilinks)
+  markdownMode: 'standard',
+  // Markdown images: 'embed' (data URIs in the file) or 'relative' (saved to an images/ folder next to it)
+  imageMode: 'embed',
+  // Obsidian front matter tags, comma-separated
+  obsidianTags: 'gemini',
+  // Obsidian: one note per response plus an index note
+  obsidianSplitNotes: false,
+  // Ask where to save each download
+  saveAs: true
+};
+
+export const FORMATS = ['markdown', 'word', 'latex', 'html', 'pdf'];
+
+export const MARKDOWN_DIALECT_CHOICES = ['gfm', 'commonmark', 'pandoc', 'plain'];
+
+/**
+ * Load the saved preferences
+ * @returns {Promise<Object>} Settings merged over the defaults
+ */
+export async function loadSettings() {
+  const stored = await chrome.storage.sync.get(STORAGE_KEY);
+  return normalizeSettings(stored[STORAGE_KEY]);
+}
+
+/**
+ * Save preferences
+ * @param {Object} settings - Settings to store (missing keys keep their saved value)
+ * @returns {Promise<Object>} The stored settings
+ */
+export async function saveSettings(settings) {
+  const merged = normalizeSettings({ ...(await loadSettings()), ...settings });
+  await chrome.storage.sync.set({ [STORAGE_KEY]: merged });
+  return merged;
+}
+
+/**
+ * Restore the default preferences
+ * @returns {Promise<void>}
+ */
+export async function resetSettings() {
+  await chrome.storage.sync.remove(STORAGE_KEY);
+}
+
+/**
+ * Merge stored values over the defaults, dropping unknown keys and invalid values
+ * @param {Object} [stored] - Raw stored settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeSettings(stored = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+    if (stored && typeof stored[key] === typeof fallback) {
+      settings[key] = stored[key];
+    }
+  }
+
+  if (!FORMATS.includes(settings.format)) settings.format = DEFAULT_SETTINGS.format;
+  if (!['single', 'all'].includes(settings.scope)) settings.scope = DEFAULT_SETTINGS.scope;
+  if (!MARKDOWN_DIALECT_CHOICES.includes(settings.markdownDialect)) settings.markdownDialect = DEFAULT_SETTINGS.markdownDialect;
+  if (!['dollars', 'brackets', 'dialect'].includes(settings.mathDelimiters)) settings.mathDelimiters = DEFAULT_SETTINGS.mathDelimiters;
+  if (!['standard', 'obsidian'].includes(settings.markdownMode)) settings.markdownMode = DEFAULT_SETTINGS.markdownMode;
+  if (!['embed', 'relative'].includes(settings.imageMode)) settings.imageMode = DEFAULT_SETTINGS.imageMode;
+  if (!LATEX_ENGINES.includes(settings.latexEngine)) settings.latexEngine = DEFAULT_SETTINGS.latexEngine;
+  if (!LATEX_CODE_STYLES.includes(settings.latexCodeStyle)) settings.latexCodeStyle = DEFAULT_SETTINGS.latexCodeStyle;
+  if (!settings.filenamePattern.trim()) settings.filenamePattern = DEFAULT_SETTINGS.filenamePattern;
+
+  return settings;
+}
@@ -0,0 +1,60 @@
+/**
+ * Custom template storage for Gemini Chat Exporter
+ * Templates live in chrome.storage.local (a reference .docx does not fit the
+ * chrome.storage.sync quota). Empty values mean "use the built-in template".
+ */
+
+const STORAGE_KEY = 'templates';
+
+export const DEFAULT_TEMPLATES = {
+  // Markdown header with {{placeholders}}, replaces the built-in metadata header
+  markdownTemplate: '',
+  // Full LaTeX preamble (\documentclass ... up to \begin{document}) with {{placeholders}}
+  latexPreamble: '',
+  // word/styles.xml taken from a reference .docx
+  wordStyles: '',
+  wordReferenceName: ''
+};
+
+/**
+ * Load the saved templates
+ * @returns {Promise<Object>} Templates merged over the defaults
+ */
+export async function loadTemplates() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return { ...DEFAULT_TEMPLATES, ...(stored[STORAGE_KEY] || {}) };
+}
+
+/**
+ * Save templates
+ * @param {Object} templates - Templates to store (missing keys keep their saved value)
+ * @returns {Promise<Object>} The stored templates
+ */
+export async function saveTemplates(templates) {
+  const merged = { ...(await loadTemplates()), ...templates };
+  await chrome.storage.local.set({ [STORAGE_KEY]: merged });
+  return merged;
+}
+
+/**
+ * Remove all custom templates
+ * @returns {Promise<void>}
+ */
+export async function resetTemplates() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+}
+
+/**
+ * Read word/styles.xml from a reference .docx
+ * Note: This requires the JSZip library (libs/jszip.min.js) to be loaded
+ * @param {Blob|ArrayBuffer} file - Reference document
+ * @returns {Promise<string>} styles.xml content
+ */
+export async function extractWordStyles(file) {
+  const zip = await JSZip.loadAsync(file);
+  const styles = zip.file('word/styles.xml');
+  if (!styles) {
+    throw new Error('This file has no word/styles.xml; choose a .docx saved by Word');
+  }
+  return styles.async('string');
+}
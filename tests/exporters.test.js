@@ -0,0 +1,386 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarkdownExporter } from '../exporters/markdown-exporter.js';
+import { LatexExporter } from '../exporters/latex-exporter.js';
+import { WordExporter } from '../exporters/word-exporter.js';
+import { HtmlExporter } from '../exporters/html-exporter.js';
+import { ObsidianExporter } from '../exporters/obsidian-exporter.js';
+import { ClipboardExporter } from '../exporters/clipboard-exporter.js';
+import { loadExportFixture, assertGolden, readDocumentXml } from './helpers/golden.js';
+import { checkLatexSyntax } from './helpers/latex-syntax.js';
+
+// Timestamps are locale- and clock-dependent, so golden runs leave them out.
+const OPTIONS = { includeTimestamp: false, includeMeta: true };
+const FIXTURES = ['conversation', 'special-characters', 'word-math', 'citations'];
+
+before(async () => {
+  globalThis.docx = await import('docx');
+});
+
+describe('Markdown golden files', () => {
+  for (const name of FIXTURES) {
+    it(`matches tests/golden/${name}.md`, () => {
+      const { content } = MarkdownExporter.exportToMarkdown(loadExportFixture(name), OPTIONS);
+      assertGolden(`${name}.md`, content);
+    });
+  }
+});
+
+describe('LaTeX golden files', () => {
+  for (const name of FIXTURES) {
+    it(`matches tests/golden/${name}.tex`, () => {
+      const { content } = LatexExporter.exportToLatex(loadExportFixture(name), OPTIONS);
+      assertGolden(`${name}.tex`, content);
+    });
+
+    it(`produces structurally valid LaTeX for ${name}`, () => {
+      const { content } = LatexExporter.exportToLatex(loadExportFixture(name), OPTIONS);
+      assert.deepEqual(checkLatexSyntax(content), []);
+    });
+  }
+
+  it('produces structurally valid LaTeX for a bundle', () => {
+    const { content } = LatexExporter.exportToLatex(loadExportFixture('conversation'), { ...OPTIONS, bundle: true });
+    assert.deepEqual(checkLatexSyntax(content), []);
+  });
+});
+
+describe('Word golden files', () => {
+  for (const name of FIXTURES) {
+    it(`matches tests/golden/${name}.document.xml`, async () => {
+      const { blob } = await WordExporter.exportToWord(loadExportFixture(name), OPTIONS);
+      assertGolden(`${name}.document.xml`, await readDocumentXml(blob));
+    });
+  }
+});
+
+describe('checkLatexSyntax', () => {
+  const wrap = body => `\\documentclass{article}\n\\begin{document}\n${body}\n\\end{document}\n`;
+
+  it('accepts escaped braces, dollars and comments', () => {
+    assert.deepEqual(checkLatexSyntax(wrap('Costs \\$5 \\{deal\\} % unbalanced { in a comment')), []);
+  });
+
+  it('ignores the contents of verbatim environments', () => {
+    assert.deepEqual(checkLatexSyntax(wrap('\\begin{verbatim}\n} $ \\begin{itemize}\n\\end{verbatim}')), []);
+  });
+
+  it('reports unbalanced braces', () => {
+    assert.deepEqual(checkLatexSyntax(wrap('\\textbf{open')), ['1 unclosed {']);
+    assert.equal(checkLatexSyntax(wrap('close}')).length, 1);
+  });
+
+  it('reports mismatched environments', () => {
+    const errors = checkLatexSyntax(wrap('\\begin{itemize}\n\\item x\n\\end{enumerate}'));
+    assert.match(errors[0], /\\end\{enumerate\} closes \\begin\{itemize\}/);
+  });
+
+  it('reports unterminated math', () => {
+    assert.deepEqual(checkLatexSyntax(wrap('50\\% off $x')), ['unterminated $ inline math']);
+    assert.deepEqual(checkLatexSyntax(wrap('\\[ x')), ['unterminated \\[ display math']);
+  });
+});
+
+describe('Markdown dialects', () => {
+  const exportWith = (markdownDialect, data = loadExportFixture('conversation'), mathDelimiters = 'dialect') =>
+    MarkdownExporter.exportToMarkdown(data, { ...OPTIONS, markdownDialect, mathDelimiters }).content;
+
+  const tableData = (cell) => ({
+    metadata: { title: 'Table', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{
+      type: 'response',
+      structure: [{ type: 'table', data: { headers: [[{ type: 'text', text: 'Case' }]], rows: [[cell]] } }]
+    }]
+  });
+
+  it('uses \\( \\) and \\[ \\] and HTML tables for CommonMark', () => {
+    const content = exportWith('commonmark');
+    assert.ok(content.includes('Factor it as \\((x-1)(x-2) = 0\\)'));
+    assert.ok(content.includes('\\[\nx = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}\n\\]'));
+    assert.ok(content.includes('   \\[\n   x_{1,2} = \\frac{3 \\pm 1}{2}\n   \\]'));
+    assert.ok(content.includes('<td>\n\n\\(x_1\\)\n\n</td>'));
+    assert.ok(!content.includes('$'));
+    assert.ok(!content.includes('| --- |'));
+  });
+
+  it('uses $$ and four-space list nesting for Pandoc', () => {
+    const content = exportWith('pandoc');
+    assert.ok(content.includes('$$\nx = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}\n$$'));
+    assert.ok(content.includes('1. Compute $\\Delta = b^2 - 4ac$\n    - *positive*'));
+    assert.ok(content.includes('<td>\n\n$x_1$\n\n</td>'));
+  });
+
+  it('writes math as code for plain Markdown', () => {
+    const content = exportWith('plain');
+    assert.ok(content.includes('Factor it as `(x-1)(x-2) = 0`'));
+    assert.ok(content.includes('```latex\nx = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}\n```'));
+  });
+
+  it('numbers ordered list items', () => {
+    assert.match(exportWith('gfm'), /\n2\. Plug into the formula:/);
+  });
+
+  it('switches to an HTML table when a cell holds display math', () => {
+    const content = exportWith('gfm', tableData([{ type: 'math-block', latex: 'a^2 + b^2' }]));
+    assert.ok(content.includes('<table>'));
+    assert.ok(content.includes('<td>\n\n```math\na^2 + b^2\n```\n\n</td>'));
+  });
+
+  it('keeps line breaks in GFM cells but not in Pandoc pipe tables', () => {
+    const cell = [{ type: 'text', text: 'one\ntwo' }];
+    assert.ok(exportWith('gfm', tableData(cell)).includes('| one<br>two |'));
+    assert.ok(exportWith('pandoc', tableData(cell)).includes('<td>\n\none\\\ntwo\n\n</td>'));
+  });
+
+  it('uses $ and $$ math in every dialect with math unless told to follow the dialect', () => {
+    const content = exportWith('commonmark', undefined, 'dollars');
+    assert.ok(content.includes('Factor it as $(x-1)(x-2) = 0$'));
+    assert.ok(content.includes('$$\nx = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}\n$$'));
+    assert.ok(content.includes('<td>\n\n$x_1$\n\n</td>'), 'keeps the CommonMark HTML tables');
+    assert.ok(exportWith('gfm', undefined, 'brackets').includes('\\[\nx = '));
+    assert.ok(exportWith('plain', undefined, 'dollars').includes('```latex\n'));
+    assert.ok(exportWith('commonmark', tableData([{ type: 'text', text: '$5' }]), 'dollars').includes('\\$5'));
+  });
+
+  it('escapes Markdown syntax in text', () => {
+    const cell = [{ type: 'text', text: 'a|b *c* $5' }];
+    assert.ok(exportWith('gfm', tableData(cell)).includes('| a\\|b \\*c\\* \\$5 |'));
+    assert.ok(exportWith('commonmark', tableData(cell)).includes('a|b \\*c\\* $5'));
+  });
+});
+
+describe('Markdown images', () => {
+  const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+  const data = {
+    metadata: { title: 'Images', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{
+      type: 'response',
+      structure: [{ type: 'image', src: 'https://lh3.googleusercontent.com/plot', alt: 'Plot', dataUrl: PIXEL, mimeType: 'image/png' }]
+    }]
+  };
+
+  it('embeds images as data URIs by default', () => {
+    const result = MarkdownExporter.exportToMarkdown(data, OPTIONS);
+    assert.ok(result.content.includes(`![Plot](${PIXEL})`));
+    assert.deepEqual(result.assets, []);
+  });
+
+  it('saves images to an images folder in relative mode', () => {
+    const result = MarkdownExporter.exportToMarkdown(data, { ...OPTIONS, imageMode: 'relative' });
+    assert.ok(result.content.includes('![Plot](images/image-1.png)'));
+    assert.deepEqual(result.assets, [{ path: 'images/image-1.png', dataUrl: PIXEL, mimeType: 'image/png' }]);
+
+    const obsidian = ObsidianExporter.exportToObsidian(data, { ...OPTIONS, imageMode: 'relative' });
+    assert.equal(obsidian.assets[0].path, 'images/image-1.png');
+  });
+});
+
+describe('Thinking blocks', () => {
+  const data = {
+    metadata: { title: 'Primes', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{
+      type: 'response',
+      structure: [
+        {
+          type: 'thinking',
+          structure: [
+            { type: 'paragraph', content: [{ type: 'text', text: 'Try primes up to ' }, { type: 'math-inline', latex: '\\sqrt{221}' }] },
+            { type: 'unordered-list', items: [{ content: [{ type: 'text', text: '13 divides 221' }] }] }
+          ]
+        },
+        { type: 'paragraph', content: [{ type: 'text', text: 'No, 221 = 13 * 17.' }] }
+      ]
+    }]
+  };
+  const withThinking = { ...OPTIONS, includeMeta: false, includeThinking: true };
+
+  it('is dropped unless includeThinking is set', async () => {
+    assert.ok(!MarkdownExporter.exportToMarkdown(data, OPTIONS).content.includes('primes'));
+    assert.ok(!LatexExporter.exportToLatex(data, OPTIONS).content.includes('primes'));
+    assert.ok(!(await readDocumentXml((await WordExporter.exportToWord(data, OPTIONS)).blob)).includes('Reasoning'));
+  });
+
+  it('becomes a <details> section in Markdown', () => {
+    const { content } = MarkdownExporter.exportToMarkdown(data, withThinking);
+    assert.equal(content, [
+      '<details>',
+      '<summary>Reasoning</summary>',
+      '',
+      'Try primes up to $\\sqrt{221}$',
+      '',
+      '- 13 divides 221',
+      '',
+      '</details>',
+      '',
+      'No, 221 = 13 \\* 17.',
+      '',
+      ''
+    ].join('\n'));
+  });
+
+  it('becomes a folded callout in Obsidian', () => {
+    const { content } = ObsidianExporter.exportToObsidian(data, withThinking);
+    assert.ok(content.startsWith('> [!abstract]- Reasoning\n> Try primes up to $\\sqrt{221}$\n>\n> - 13 divides 221\n\n'));
+  });
+
+  it('becomes a quote in LaTeX', () => {
+    const { content } = LatexExporter.exportToLatex(data, withThinking);
+    assert.ok(content.includes('\\begin{quote}\n\\small\n\\textbf{Reasoning}\\par\nTry primes up to $\\sqrt{221}$'));
+    assert.deepEqual(checkLatexSyntax(content), []);
+  });
+
+  it('becomes a shaded section in Word', async () => {
+    const xml = await readDocumentXml((await WordExporter.exportToWord(data, withThinking)).blob);
+    assert.match(xml, /w:fill="F3F4F6"/);
+    assert.ok(xml.indexOf('Reasoning') < xml.indexOf('13 divides 221'));
+    assert.ok(xml.indexOf('13 divides 221') < xml.indexOf('No, 221'));
+  });
+
+  it('becomes a <details> section in HTML, expanded for print', () => {
+    const html = new HtmlExporter(data, withThinking).processBlock(data.messages[0].structure[0]);
+    assert.match(html, /^<details class="thinking">\n<summary>Reasoning<\/summary>/);
+    const printed = new HtmlExporter(data, { ...withThinking, expandThinking: true }).processBlock(data.messages[0].structure[0]);
+    assert.match(printed, /^<details class="thinking" open>/);
+  });
+});
+
+describe('Citations', () => {
+  const data = loadExportFixture('citations');
+
+  it('links numbered markers to a references list without footnotes', () => {
+    const { content } = MarkdownExporter.exportToMarkdown(data, { ...OPTIONS, markdownDialect: 'commonmark' });
+    assert.ok(content.includes('330 metres tall[\\[1\\]](https://en.wikipedia.org/wiki/Eiffel_Tower)'));
+    assert.ok(content.includes([
+      '## References',
+      '',
+      '1. [Eiffel Tower - Wikipedia](https://en.wikipedia.org/wiki/Eiffel_Tower)',
+      '2. [Eiffel Tower | History, Height & Facts | Britannica](https://www.britannica.com/topic/Eiffel-Tower)',
+      '3. [Tour Eiffel news](https://www.toureiffel.paris/en/news)',
+      '4. [Monuments of Paris](https://www.paris.fr/monuments)'
+    ].join('\n')));
+  });
+
+  it('writes Word footnotes and a references section', async () => {
+    const { blob } = await WordExporter.exportToWord(data, OPTIONS);
+    const footnotes = await readDocumentXml(blob, 'word/footnotes.xml');
+    assert.ok(footnotes.includes('[2] '));
+    assert.ok(footnotes.includes('Eiffel Tower | History, Height &amp; Facts | Britannica'));
+    assert.ok(footnotes.includes(' (https://www.britannica.com/topic/Eiffel-Tower)'));
+
+    const xml = await readDocumentXml(blob);
+    assert.equal(xml.match(/<w:footnoteReference /g).length, 6);
+    assert.ok(xml.indexOf('>References<') < xml.indexOf('Monuments of Paris'));
+  });
+
+  it('cites sources into references.bib in LaTeX bundles', () => {
+    const { content } = LatexExporter.exportToLatex(data, { ...OPTIONS, bundle: true });
+    assert.ok(content.includes('330 metres tall~\\cite{link1}'));
+    assert.ok(content.includes('\\nocite{link4}'));
+    assert.ok(!content.includes('\\footnote'));
+    assert.ok(!content.includes('\\section*{References}'));
+    assert.deepEqual(checkLatexSyntax(content), []);
+  });
+
+  it('links markers to a references section in HTML', () => {
+    const exporter = new HtmlExporter(data, OPTIONS);
+    const body = data.messages.map(message => exporter.processMessage(message)).join('\n');
+    assert.ok(body.includes('tall<sup class="citation"><a href="#ref-1">[1]</a></sup>'));
+    const references = exporter.generateReferences();
+    assert.ok(references.includes('<li id="ref-4"><a href="https://www.paris.fr/monuments">Monuments of Paris</a></li>'));
+    assert.ok(references.includes('Height &amp; Facts'));
+  });
+
+  it('numbers sources per note in Obsidian split notes', () => {
+    const { assets } = ObsidianExporter.exportToObsidian(data, { ...OPTIONS, obsidianSplitNotes: true });
+    const note = Buffer.from(assets[0].dataUrl.split(',')[1], 'base64').toString('utf8');
+    assert.ok(note.includes('[^1]: [Eiffel Tower - Wikipedia]'));
+    assert.ok(note.includes('## Sources\n\n- [Monuments of Paris](https://www.paris.fr/monuments)'));
+  });
+});
+
+describe('Clipboard', () => {
+  const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+  const data = {
+    metadata: { title: 'Clipboard', url: 'https://gemini.google.com/app/1', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{
+      type: 'response',
+      structure: [
+        { type: 'paragraph', content: [{ type: 'text', text: 'Euler: ' }, { type: 'math-inline', latex: 'e^{i\\pi} + 1 = 0' }] },
+        { type: 'image', src: 'https://lh3.googleusercontent.com/plot', alt: 'Plot', dataUrl: PIXEL, mimeType: 'image/png', width: 1, height: 1 }
+      ]
+    }]
+  };
+  const options = { ...OPTIONS, includeMeta: false };
+
+  before(async () => {
+    globalThis.katex = (await import('katex')).default;
+  });
+
+  it('copies Markdown with images linked instead of bundled', async () => {
+    const content = await ClipboardExporter.exportToClipboard(data, 'markdown', { ...options, imageMode: 'relative' });
+    assert.deepEqual(Object.keys(content), ['text/plain']);
+    assert.ok(content['text/plain'].includes('$e^{i\\pi} + 1 = 0$'));
+    assert.ok(content['text/plain'].includes('![Plot](https://lh3.googleusercontent.com/plot)'));
+  });
+
+  it('copies a LaTeX document that links images', async () => {
+    const content = await ClipboardExporter.exportToClipboard(data, 'latex', options);
+    assert.ok(content['text/plain'].includes('\\begin{document}'));
+    assert.ok(!content['text/plain'].includes('\\includegraphics'));
+    assert.deepEqual(checkLatexSyntax(content['text/plain']), []);
+    assert.ok(data.messages[0].structure[1].dataUrl, 'leaves the extracted data alone');
+  });
+
+  it('copies rich text as HTML with MathML and a Markdown fallback', async () => {
+    const content = await ClipboardExporter.exportToClipboard(data, 'rich', options);
+    const html = content['text/html'];
+    assert.ok(html.includes('<math xmlns="http://www.w3.org/1998/Math/MathML">'));
+    assert.ok(!html.includes('katex-html'));
+    assert.ok(html.includes(`src="${PIXEL}"`));
+    assert.ok(content['text/plain'].includes('$e^{i\\pi} + 1 = 0$'));
+  });
+
+  it('rejects unknown formats', async () => {
+    await assert.rejects(ClipboardExporter.exportToClipboard(data, 'pdf', options), /Unknown clipboard format/);
+  });
+});
+
+describe('Code blocks', () => {
+  const block = { type: 'code-block', language: 'py', code: 'def f(x):\n    return "hi"  # greet' };
+  const data = {
+    metadata: { title: 'Code', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{ type: 'response', structure: [block] }]
+  };
+
+  it('colours Word runs by token and uses the Code style', async () => {
+    const blob = (await WordExporter.exportToWord(data, { includeMeta: false, codeLineNumbers: true })).blob;
+    const xml = await readDocumentXml(blob);
+    assert.match(xml, /<w:pStyle w:val="Code"\/>/);
+    assert.match(xml, /<w:color w:val="CF222E"\/>\s*<\/w:rPr>\s*<w:t xml:space="preserve">def<\/w:t>/);
+    assert.match(xml, /<w:t xml:space="preserve">2 {2}<\/w:t>/);
+    assert.ok(xml.indexOf('>Python<') < xml.indexOf('>def<'), 'caption comes first');
+
+    const styles = await readDocumentXml(blob, 'word/styles.xml');
+    assert.match(styles, /w:styleId="Code"/);
+  });
+
+  it('adds the Code style to reference documents that lack it', () => {
+    const exporter = new WordExporter(data, { wordStyles: '<w:styles><w:style w:styleId="Normal"/></w:styles>' });
+    assert.match(exporter.getStyles().externalStyles, /<w:style w:styleId="Normal"\/><w:style w:type="paragraph" w:styleId="Code">.*<\/w:styles>$/);
+  });
+
+  it('leaves out the caption when disabled or the language is unknown', async () => {
+    const xml = await readDocumentXml((await WordExporter.exportToWord(data, { includeMeta: false, codeLanguageCaption: false })).blob);
+    assert.ok(!xml.includes('>Python<'));
+    assert.ok(!new HtmlExporter(data).processCodeBlock({ ...block, language: 'text' }).includes('<figcaption>'));
+  });
+
+  it('wraps tokens in classed spans in HTML', () => {
+    const html = new HtmlExporter(data, { codeLineNumbers: true }).processCodeBlock(block);
+    assert.equal(html, '<figure class="code-block"><figcaption>Python</figcaption><pre><code class="language-py">' +
+      '<span class="line-number" aria-hidden="true">1  </span><span class="tok-keyword">def</span> <span class="tok-function">f</span>(x):\n' +
+      '<span class="line-number" aria-hidden="true">2  </span>    <span class="tok-keyword">return</span> <span class="tok-string">&quot;hi&quot;</span>  <span class="tok-comment"># greet</span>' +
+      '</code></pre></figure>');
+  });
+});
@@ -0,0 +1,377 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadFixture, toPlain, extractFirstResponse } from './helpers/dom.js';
+
+const text = (value) => ({ type: 'text', text: value });
+
+describe('extractStructure: math', () => {
+  const message = extractFirstResponse('math-response.html');
+  const [intro, display, discriminant, heading, example] = message.structure;
+
+  it('emits blocks in document order', () => {
+    assert.deepEqual(
+      message.structure.map(block => block.type),
+      ['paragraph', 'math-block', 'paragraph', 'heading', 'paragraph']
+    );
+  });
+
+  it('reads inline math from data-math and skips the KaTeX render tree', () => {
+    assert.deepEqual(intro.content, [
+      text('The quadratic formula solves '),
+      { type: 'math-inline', latex: 'ax^2 + bx + c = 0' },
+      text(' for '),
+      { type: 'bold', text: 'any', content: [text('any')] },
+      text(' real coefficients:')
+    ]);
+  });
+
+  it('reads display math from math-block wrappers', () => {
+    assert.equal(display.latex, 'x = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}');
+  });
+
+  it('keeps math nested inside formatting', () => {
+    const bold = discriminant.content.find(element => element.type === 'bold');
+    assert.deepEqual(bold.content, [
+      text('complex '),
+      { type: 'math-inline', latex: 'z \\in \\mathbb{C}' }
+    ]);
+  });
+
+  it('records heading levels', () => {
+    assert.equal(heading.level, 3);
+    assert.deepEqual(heading.content, [text('Worked example')]);
+  });
+
+  it('handles inline code, line breaks and links', () => {
+    const types = example.content.map(element => element.type);
+    assert.deepEqual(types.filter(type => type === 'code').length, 3);
+    assert.ok(example.content.some(element => element.type === 'text' && element.text === '\n'));
+
+    const link = example.content.find(element => element.type === 'link');
+    assert.equal(link.href, 'https://en.wikipedia.org/wiki/Quadratic_formula');
+    assert.deepEqual(link.content, [
+      text('the '),
+      { type: 'italic', text: 'Wikipedia', content: [text('Wikipedia')] },
+      text(' article')
+    ]);
+  });
+
+  it('collects every formula in formattedElements', () => {
+    assert.deepEqual(
+      message.formattedElements.map(element => element.type),
+      ['math-block', 'math-inline', 'math-inline', 'math-inline', 'math-inline', 'math-inline']
+    );
+  });
+});
+
+describe('extractListItems: nested lists', () => {
+  const message = extractFirstResponse('nested-lists.html');
+  const [, ordered, unordered] = message.structure;
+
+  it('extracts ordered and unordered lists', () => {
+    assert.equal(ordered.type, 'ordered-list');
+    assert.equal(unordered.type, 'unordered-list');
+    assert.equal(ordered.items.length, 3);
+  });
+
+  it('excludes nested list text from the parent item', () => {
+    const step = ordered.items[1];
+    const flat = JSON.stringify(step.content);
+    assert.ok(flat.includes('Inductive step:'));
+    assert.ok(!flat.includes('expand the sum'));
+  });
+
+  it('extracts nested lists recursively with their type', () => {
+    const step = ordered.items[1];
+    assert.equal(step.nestedType, 'unordered');
+    assert.equal(step.nested.length, 2);
+
+    const deeper = step.nested[1];
+    assert.equal(deeper.nestedType, 'unordered');
+    assert.deepEqual(deeper.nested.map(item => item.content.map(element => element.text).join('').trim()), [
+      'rewrite the left side',
+      'simplify with factor()'
+    ]);
+  });
+
+  it('keeps display math inside list items', () => {
+    const conclusion = ordered.items[2];
+    assert.ok(conclusion.content.some(element => element.type === 'math-block'
+      && element.latex === '\\sum_{k=1}^{n} k = \\frac{n(n+1)}{2}'));
+  });
+
+  it('keeps links in list items', () => {
+    const link = unordered.items[0].content.find(element => element.type === 'link');
+    assert.equal(link.href, 'https://example.com/strong-induction');
+  });
+});
+
+describe('extractTable', () => {
+  const message = extractFirstResponse('table.html');
+  const table = message.structure.find(block => block.type === 'table');
+
+  it('finds tables inside Gemini table wrappers', () => {
+    assert.deepEqual(
+      message.structure.map(block => block.type),
+      ['paragraph', 'table', 'horizontal-rule', 'blockquote']
+    );
+  });
+
+  it('separates header cells from body rows', () => {
+    assert.equal(table.data.headers.length, 3);
+    assert.deepEqual(table.data.headers[0], [
+      { type: 'bold', text: 'Algorithm', content: [text('Algorithm')] }
+    ]);
+    assert.equal(table.data.rows.length, 3);
+  });
+
+  it('keeps inline formatting and math in cells', () => {
+    const [name, complexity, stable] = table.data.rows[1];
+    assert.deepEqual(name, [{ type: 'code', text: 'mergesort' }]);
+    assert.deepEqual(complexity, [{ type: 'math-inline', latex: 'O(n \\log n)' }]);
+    assert.deepEqual(stable, [
+      { type: 'bold', text: 'Yes', content: [text('Yes')] },
+      text('\n'),
+      text('(extra memory)')
+    ]);
+  });
+});
+
+describe('extractStructure: code blocks', () => {
+  const message = extractFirstResponse('code-blocks.html');
+  const codeBlocks = message.structure.filter(block => block.type === 'code-block');
+
+  it('extracts Gemini code-block components with their language label', () => {
+    assert.equal(codeBlocks.length, 3);
+    assert.equal(codeBlocks[0].language, 'python');
+    assert.ok(codeBlocks[0].code.startsWith('def fib(n):\n    """Return the n-th Fibonacci number."""'));
+    assert.ok(codeBlocks[0].code.endsWith('    return a'));
+  });
+
+  it('does not pick up the copy button label', () => {
+    assert.ok(!codeBlocks[0].code.includes('content_copy'));
+  });
+
+  it('reads the language from language-* classes on plain <pre>', () => {
+    assert.equal(codeBlocks[1].language, 'javascript');
+    assert.equal(codeBlocks[1].code, 'const fib = (n) => n < 2 ? n : fib(n - 1) + fib(n - 2);');
+  });
+
+  it('falls back to text when no language is given', () => {
+    assert.equal(codeBlocks[2].language, 'text');
+  });
+});
+
+describe('extractAllMessages: conversation', () => {
+  const { extractor } = loadFixture('conversation.html');
+  const messages = toPlain(extractor.extractAllMessages());
+
+  it('interleaves user prompts and responses in order', () => {
+    assert.deepEqual(messages.map(message => message.type), ['user', 'response', 'user', 'response']);
+  });
+
+  it('extracts user prompt lines without the screen-reader label', () => {
+    assert.deepEqual(
+      messages[0].structure.map(block => block.text),
+      ['How do I solve x^2 - 3x + 2 = 0?', 'Please show the steps.']
+    );
+    assert.ok(!messages[0].text.includes('You said'));
+  });
+
+  it('extracts images in paragraphs and generated images outside the markdown', () => {
+    const images = messages[3].structure.filter(block => block.type === 'image');
+    assert.deepEqual(images.map(image => [image.src, image.alt, image.width, image.height]), [
+      ['https://lh3.googleusercontent.com/plot-abc123', 'Parabola through (1, 0) and (2, 0)', 640, 480],
+      ['https://lh3.googleusercontent.com/gen-xyz', 'Generated illustration', 512, 512]
+    ]);
+  });
+
+  it('drops paragraphs that only wrap an image', () => {
+    assert.deepEqual(
+      messages[3].structure.map(block => block.type),
+      ['paragraph', 'image', 'image']
+    );
+  });
+});
+
+describe('processInlineContent', () => {
+  it('honours excludeSelectors', () => {
+    const { document, extractor } = loadFixture('nested-lists.html');
+    const item = document.querySelectorAll('ol > li')[1];
+    const content = toPlain(extractor.processInlineContent(item, { excludeSelectors: ['ul', 'ol'] }));
+    assert.ok(!JSON.stringify(content).includes('rewrite the left side'));
+  });
+});
+
+describe('extractMessage: reasoning panel', () => {
+  const { extractor } = loadFixture('thinking.html');
+  const messages = toPlain(extractor.extractAllMessages());
+  const responses = messages.filter(message => message.type === 'response');
+
+  it('does not treat the panel as a response of its own', () => {
+    assert.deepEqual(messages.map(message => message.type), ['user', 'response', 'user', 'response', 'user', 'response']);
+  });
+
+  it('emits the panel as a thinking block before the answer', () => {
+    const [thinking, answer] = responses[0].structure;
+    assert.equal(thinking.type, 'thinking');
+    assert.deepEqual(thinking.structure.map(block => block.type), ['paragraph', 'paragraph', 'unordered-list']);
+    assert.deepEqual(thinking.structure[1].content[1], { type: 'math-inline', latex: '\\sqrt{221} \\approx 14.9' });
+    assert.deepEqual(answer.content[1], { type: 'math-inline', latex: '221 = 13 \\cdot 17' });
+  });
+
+  it('keeps the reasoning out of the answer text and formula list', () => {
+    assert.ok(!responses[0].text.includes('digit sum'));
+    assert.deepEqual(responses[0].formattedElements.map(element => element.latex), ['221 = 13 \\cdot 17']);
+  });
+
+  it('reads panels inside message-content without flattening them into the answer', () => {
+    const [thinking, ...answer] = responses[1].structure;
+    assert.equal(thinking.type, 'thinking');
+    assert.deepEqual(thinking.structure.map(block => block.text), ['No prime up to 14 divides 223.']);
+    assert.deepEqual(answer.map(block => block.text), ['Yes, 223 is prime.']);
+  });
+
+  it('skips collapsed panels without content', () => {
+    assert.deepEqual(responses[2].structure.map(block => block.type), ['paragraph']);
+  });
+});
+
+describe('extractMessage: citations', () => {
+  const message = extractFirstResponse('citations.html');
+  const [paragraph, list, chipParagraph] = message.structure;
+
+  it('emits citation markers as citation nodes resolved from the Sources list', () => {
+    assert.deepEqual(paragraph.content.filter(element => element.type === 'citation'), [
+      { type: 'citation', index: 1, url: 'https://en.wikipedia.org/wiki/Eiffel_Tower', title: 'Eiffel Tower - Wikipedia' },
+      { type: 'citation', index: 2, url: 'https://www.britannica.com/topic/Eiffel-Tower', title: 'Eiffel Tower | History, Height & Facts | Britannica' }
+    ]);
+    assert.equal(
+      paragraph.content.filter(element => element.type === 'text').map(element => element.text).join(''),
+      'The Eiffel Tower is 330 metres tall and was completed in 1889.'
+    );
+  });
+
+  it('resolves citations inside lists', () => {
+    const citation = list.items[0].content.find(element => element.type === 'citation');
+    assert.equal(citation.url, 'https://en.wikipedia.org/wiki/Eiffel_Tower');
+  });
+
+  it('reads source chips that link to their source directly', () => {
+    assert.deepEqual(chipParagraph.content.find(element => element.type === 'citation'), {
+      type: 'citation', index: null, url: 'https://www.toureiffel.paris/en/news', title: 'Tour Eiffel news'
+    });
+  });
+
+  it('keeps the Sources list out of the answer and lists every source', () => {
+    assert.deepEqual(message.structure.map(block => block.type), ['paragraph', 'unordered-list', 'paragraph']);
+    assert.deepEqual(message.sources.map(source => [source.index, source.title]), [
+      [1, 'Eiffel Tower - Wikipedia'],
+      [2, 'Eiffel Tower | History, Height & Facts | Britannica'],
+      [3, 'Monuments of Paris']
+    ]);
+  });
+});
+
+describe('listTurns / extractTurns', () => {
+  const { extractor } = loadFixture('conversation.html');
+
+  it('lists each prompt and its response with first-line previews', () => {
+    assert.deepEqual(toPlain(extractor.listTurns()), [
+      { number: 1, prompt: 'How do I solve x^2 - 3x + 2 = 0?', response: 'Factor it as (x−1)(x−2)=0.' },
+      { number: 2, prompt: 'Plot it', response: 'Here is the parabola:' }
+    ]);
+  });
+
+  it('extracts only the chosen turns', () => {
+    const messages = toPlain(extractor.extractTurns([2]));
+    assert.deepEqual(messages.map(message => message.type), ['user', 'response']);
+    assert.equal(messages[0].text, 'Plot it');
+  });
+
+  it('leaves reasoning panels out of turns and previews', () => {
+    const { extractor: thinking } = loadFixture('thinking.html');
+    const turns = toPlain(thinking.listTurns());
+    assert.equal(turns.length, 3);
+    assert.deepEqual(turns[1], { number: 2, prompt: 'And 223?', response: 'Yes, 223 is prime.' });
+  });
+});
+
+describe('extractSelection', () => {
+  /**
+   * Select from one text position to another, the way a user drags across the page
+   * @returns {Object[]} Extracted messages
+   */
+  function select(fixture, [startNode, startOffset], [endNode, endOffset]) {
+    const { window, document, extractor } = loadFixture(fixture);
+    const range = document.createRange();
+    range.setStart(startNode(document), startOffset);
+    range.setEnd(endNode(document), endOffset);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return toPlain(extractor.extractSelection(selection));
+  }
+
+  it('returns nothing without a selection', () => {
+    const { window, extractor } = loadFixture('conversation.html');
+    assert.deepEqual(toPlain(extractor.extractSelection(window.getSelection())), []);
+  });
+
+  it('keeps a selection inside one paragraph as a paragraph', () => {
+    const paragraph = (document) => document.querySelector('.markdown p').firstChild;
+    const [message] = select('math-response.html', [paragraph, 4], [paragraph, 21]);
+    assert.equal(message.type, 'response');
+    assert.deepEqual(message.structure, [{
+      tag: 'p',
+      text: 'quadratic formula',
+      html: 'quadratic formula',
+      type: 'paragraph',
+      content: [text('quadratic formula')]
+    }]);
+  });
+
+  it('takes in the whole formula when the selection ends inside its rendering', () => {
+    const start = (document) => document.querySelector('.markdown p').firstChild;
+    const end = (document) => document.querySelector('.markdown p .katex-html').firstChild;
+    const [message] = select('math-response.html', [start, 4], [end, 3]);
+    assert.deepEqual(message.structure[0].content, [
+      text('quadratic formula solves '),
+      { type: 'math-inline', latex: 'ax^2 + bx + c = 0' }
+    ]);
+  });
+
+  it('keeps selected list items in their list', () => {
+    const items = (document) => document.querySelectorAll('li li li');
+    const [message] = select('nested-lists.html', [d => items(d)[0].firstChild, 8], [d => items(d)[1].firstChild, 8]);
+    assert.deepEqual(message.structure.map(block => block.type), ['unordered-list']);
+    assert.deepEqual(
+      message.structure[0].items.map(item => item.content.map(element => element.text).join('')),
+      ['the left side', 'simplify']
+    );
+  });
+
+  it('splits a selection across turns into prompts and responses', () => {
+    const start = (document) => document.querySelectorAll('.markdown p')[0].firstChild;
+    const end = (document) => document.querySelectorAll('.markdown p')[1].firstChild;
+    const messages = select('conversation.html', [start, 0], [end, 7]);
+    assert.deepEqual(messages.map(message => message.type), ['response', 'user', 'response']);
+    assert.deepEqual(messages[1].structure.map(block => block.text), ['Plot it']);
+    assert.deepEqual(messages[2].structure.map(block => block.text), ['Here is']);
+  });
+
+  it('keeps the language of a partly selected code block', () => {
+    const line = (document) => Array.from(document.querySelector('code-block code').childNodes)
+      .find(node => node.textContent.includes('a, b = '));
+    const [message] = select('code-blocks.html', [line, 5], [line, 12]);
+    assert.deepEqual(message.structure, [{ tag: 'code-block', type: 'code-block', code: 'a, b = ', language: 'python' }]);
+  });
+
+  it('keeps only the sources cited in the selection', () => {
+    const paragraph = (document) => document.querySelector('.markdown p');
+    const [message] = select('citations.html', [d => paragraph(d).firstChild, 0], [d => paragraph(d).childNodes[2], 5]);
+    assert.deepEqual(message.sources.map(source => source.index), [1]);
+    assert.equal(message.structure[0].content[1].url, 'https://en.wikipedia.org/wiki/Eiffel_Tower');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildFilename,
+  sanitizeFilename,
+  getConversationId,
+  uniqueFilename,
+  uniqueFolder,
+  splitPath
+} from '../exporters/filename.js';
+import { MarkdownExporter } from '../exporters/markdown-exporter.js';
+
+const date = new Date(2024, 4, 1, 9, 5, 7);
+const metadata = {
+  title: 'Quadratic Equations: a Primer',
+  url: 'https://gemini.google.com/app/0123456789abcdef?hl=en'
+};
+
+describe('buildFilename', () => {
+  it('defaults to {title}-{date}', () => {
+    assert.equal(buildFilename(metadata, { extension: 'md', date }), 'quadratic-equations-a-primer-2024-05-01.md');
+  });
+
+  it('fills every placeholder', () => {
+    assert.equal(
+      buildFilename(metadata, {
+        extension: 'tex',
+        format: 'latex',
+        index: 3,
+        date,
+        pattern: '{index}_{format}_{conversationId}_{date}_{time}'
+      }),
+      '3_latex_0123456789abcdef_2024-05-01_09-05-07.tex'
+    );
+  });
+
+  it('leaves unknown placeholders as text, including Object.prototype names', () => {
+    assert.equal(buildFilename(metadata, { extension: 'md', date, pattern: '{constructor}-{toString}-{date}' }), 'constructor-tostring-2024-05-01.md');
+    assert.equal(buildFilename(metadata, { extension: 'md', date, pattern: '{nope}' }), 'nope.md');
+  });
+
+  it('turns slashes in the pattern into subfolders, but not slashes in values', () => {
+    assert.equal(
+      buildFilename({ title: 'AC/DC lyrics' }, { extension: 'md', date, pattern: 'Gemini/{date}/{title}' }),
+      'gemini/2024-05-01/ac-dc-lyrics.md'
+    );
+  });
+
+  it('drops empty and dot-only segments so paths stay inside Downloads', () => {
+    assert.equal(buildFilename(metadata, { extension: 'md', date, pattern: '../{conversationId}//./x' }), '0123456789abcdef/x.md');
+    assert.equal(buildFilename({}, { extension: 'md', date, pattern: '{conversationId}' }), 'gemini-export.md');
+  });
+
+  it('is used by the exporters', () => {
+    const data = { metadata: { ...metadata, messageCount: 0 }, messages: [] };
+    const { filename } = MarkdownExporter.exportToMarkdown(data, { filenamePattern: 'notes/{format}-{conversationId}' });
+    assert.equal(filename, 'notes/markdown-0123456789abcdef.md');
+  });
+});
+
+describe('sanitizeFilename', () => {
+  it('keeps letters from any script', () => {
+    assert.equal(sanitizeFilename('二次方程式の解き方'), '二次方程式の解き方');
+    assert.equal(sanitizeFilename('Crème Brûlée Recipe'), 'crème-brûlée-recipe');
+    assert.equal(sanitizeFilename('Привет, мир!'), 'привет-мир');
+  });
+
+  it('normalizes decomposed accents', () => {
+    assert.equal(sanitizeFilename('Café'), 'café');
+  });
+
+  it('removes characters that are invalid in filenames', () => {
+    assert.equal(sanitizeFilename('a<b>c:d"e|f?g*h\\i'), 'a-b-c-d-e-f-g-h-i');
+    assert.equal(sanitizeFilename('...hidden.'), 'hidden');
+  });
+
+  it('avoids reserved Windows names', () => {
+    assert.equal(sanitizeFilename('CON'), 'con-');
+    assert.equal(sanitizeFilename('lpt1.txt'), 'lpt1.txt-');
+  });
+
+  it('drops symbols such as emoji', () => {
+    assert.equal(sanitizeFilename('🎉 Party plan 🎉'), 'party-plan');
+  });
+
+  it('truncates long names by character', () => {
+    assert.equal(sanitizeFilename('数'.repeat(100)), '数'.repeat(80));
+  });
+});
+
+describe('getConversationId', () => {
+  it('reads the ID from /app/ URLs', () => {
+    assert.equal(getConversationId(metadata.url), '0123456789abcdef');
+    assert.equal(getConversationId('https://gemini.google.com/app'), '');
+  });
+});
+
+describe('uniqueFilename', () => {
+  it('appends a counter before the extension', () => {
+    const used = new Set();
+    assert.equal(uniqueFilename('a/b.md', used), 'a/b.md');
+    assert.equal(uniqueFilename('a/b.md', used), 'a/b-2.md');
+    assert.equal(uniqueFilename('a/b.md', used), 'a/b-3.md');
+    assert.equal(uniqueFilename('README', used), 'README');
+    assert.equal(uniqueFilename('README', used), 'README-2');
+  });
+
+  it('splits paths', () => {
+    assert.deepEqual(splitPath('x/y/report.tar.gz'), { folder: 'x/y/', name: 'report.tar', extension: '.gz' });
+    assert.deepEqual(splitPath('.latexmkrc'), { folder: '', name: '.latexmkrc', extension: '' });
+  });
+});
+
+describe('uniqueFolder', () => {
+  it('skips folders that earlier downloads are in', () => {
+    const downloads = ['/home/me/Downloads/Gemini/chat/chat.md', 'C:\\Users\\me\\Downloads\\Gemini\\chat-2\\images\\image-1.png'];
+    assert.equal(uniqueFolder('Gemini/chat', downloads), 'Gemini/chat-3');
+    assert.equal(uniqueFolder('Gemini/other', downloads), 'Gemini/other');
+    assert.equal(uniqueFolder('chat', ['/home/me/Downloads/chat.md']), 'chat');
+  });
+});
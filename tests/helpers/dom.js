@@ -0,0 +1,52 @@
+/**
+ * DOM helpers for the test suite
+ * Loads saved Gemini HTML fixtures into jsdom and evaluates extractor.js inside
+ * the window, the same way Chrome runs it as a content script.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const EXTRACTOR_SOURCE = readFileSync(new URL('../../extractor.js', import.meta.url), 'utf8');
+const FIXTURES_URL = new URL('../fixtures/', import.meta.url);
+
+/**
+ * Load a fixture and the extractor into a fresh window
+ * @param {string} name - Fixture filename in tests/fixtures
+ * @returns {{window: Window, document: Document, extractor: Object}}
+ */
+export function loadFixture(name) {
+  const html = readFileSync(new URL(name, FIXTURES_URL), 'utf8');
+  const dom = new JSDOM(html, {
+    url: 'https://gemini.google.com/app/0123456789abcdef',
+    runScripts: 'outside-only'
+  });
+
+  dom.window.eval(EXTRACTOR_SOURCE);
+
+  return {
+    window: dom.window,
+    document: dom.window.document,
+    extractor: dom.window.GeminiExtractor
+  };
+}
+
+/**
+ * Copy extractor output out of the jsdom realm
+ * Results cross chrome.runtime messaging as JSON in the extension, so compare them the same way.
+ * @param {*} value
+ * @returns {*} Plain JSON value
+ */
+export function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Extract the first response in a fixture
+ * @param {string} name - Fixture filename in tests/fixtures
+ * @returns {Object} Extracted message
+ */
+export function extractFirstResponse(name) {
+  const { document, extractor } = loadFixture(name);
+  return toPlain(extractor.extractMessage(document.querySelector('message-content')));
+}
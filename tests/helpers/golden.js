@@ -0,0 +1,53 @@
+/**
+ * Golden-file helpers for the exporter tests
+ * Compares exporter output with checked-in files in tests/golden.
+ * Run `npm run test:update-golden` to rewrite them after an intended change.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+
+const GOLDEN_URL = new URL('../golden/', import.meta.url);
+const EXPORT_FIXTURES_URL = new URL('../fixtures/exports/', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Load a canonical {metadata, messages} fixture
+ * @param {string} name - Fixture name in tests/fixtures/exports (without .json)
+ * @returns {Object} Export data
+ */
+export function loadExportFixture(name) {
+  return JSON.parse(readFileSync(new URL(`${name}.json`, EXPORT_FIXTURES_URL), 'utf8'));
+}
+
+/**
+ * Assert that output matches a golden file (or rewrite it in update mode)
+ * @param {string} filename - Golden filename in tests/golden
+ * @param {string} actual - Exporter output
+ */
+export function assertGolden(filename, actual) {
+  const url = new URL(filename, GOLDEN_URL);
+
+  if (UPDATE || !existsSync(url)) {
+    if (!UPDATE) {
+      assert.fail(`Missing golden file tests/golden/${filename}; run npm run test:update-golden`);
+    }
+    writeFileSync(url, actual);
+    return;
+  }
+
+  assert.equal(actual, readFileSync(url, 'utf8'), `Output differs from tests/golden/${filename}`);
+}
+
+/**
+ * Unzip a .docx blob and return word/document.xml (or another part), one tag per line for readable diffs
+ * @param {Blob} blob - DOCX file
+ * @param {string} [part='word/document.xml'] - Path of the XML part in the package
+ * @returns {Promise<string>} Formatted XML
+ */
+export async function readDocumentXml(blob, part = 'word/document.xml') {
+  const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+  const xml = await zip.file(part).async('string');
+  return xml.replace(/></g, '>\n<') + '\n';
+}
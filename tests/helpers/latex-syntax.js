@@ -0,0 +1,116 @@
+/**
+ * pdflatex-free syntax checks for generated LaTeX
+ * Catches the mistakes escaping bugs cause: unbalanced braces, mismatched
+ * \begin/\end pairs and unterminated math. It is not a TeX parser.
+ */
+
+const VERBATIM_ENVIRONMENTS = ['verbatim', 'Verbatim', 'lstlisting', 'minted'];
+
+/**
+ * Check a LaTeX document for structural problems
+ * @param {string} tex - LaTeX source
+ * @returns {string[]} Problems found (empty when the document looks well-formed)
+ */
+export function checkLatexSyntax(tex) {
+  const errors = [];
+  const environments = [];
+  let braceDepth = 0;
+  let inlineMathOpen = false;
+  let displayMathOpen = false;
+  let line = 1;
+
+  for (let i = 0; i < tex.length; i++) {
+    const ch = tex[i];
+
+    if (ch === '\n') {
+      line++;
+      continue;
+    }
+
+    if (ch === '%') {
+      // Comment to end of line
+      while (i + 1 < tex.length && tex[i + 1] !== '\n') i++;
+      continue;
+    }
+
+    if (ch === '\\') {
+      const rest = tex.slice(i + 1);
+      const command = (rest.match(/^[A-Za-z]+/) || [rest[0] || ''])[0];
+
+      if (command === 'begin' || command === 'end') {
+        const name = (rest.slice(command.length).match(/^\{([^}]*)\}/) || [])[1];
+        if (name === undefined) {
+          errors.push(`line ${line}: \\${command} without an environment name`);
+        } else if (command === 'begin') {
+          environments.push({ name, line });
+
+          if (VERBATIM_ENVIRONMENTS.includes(name)) {
+            // Skip verbatim content; only the matching \end{name} ends it.
+            const endTag = `\\end{${name}}`;
+            const end = tex.indexOf(endTag, i);
+            if (end === -1) {
+              errors.push(`line ${line}: \\begin{${name}} is never closed`);
+              return errors;
+            }
+            line += (tex.slice(i, end).match(/\n/g) || []).length;
+            environments.pop();
+            i = end + endTag.length - 1;
+            continue;
+          }
+        } else {
+          const open = environments.pop();
+          if (!open) {
+            errors.push(`line ${line}: \\end{${name}} without \\begin`);
+          } else if (open.name !== name) {
+            errors.push(`line ${line}: \\end{${name}} closes \\begin{${open.name}} from line ${open.line}`);
+          }
+        }
+      } else if (command === '[' || command === ']') {
+        const opening = command === '[';
+        if (opening === displayMathOpen) {
+          errors.push(`line ${line}: unexpected \\${command}`);
+        }
+        displayMathOpen = opening;
+      } else if (command === 'verb') {
+        // \verb|...| uses an arbitrary delimiter
+        const delimiter = tex[i + 5];
+        const end = tex.indexOf(delimiter, i + 6);
+        i = end === -1 ? tex.length : end;
+        continue;
+      }
+
+      i += command.length;
+      continue;
+    }
+
+    if (ch === '{') {
+      braceDepth++;
+    } else if (ch === '}') {
+      braceDepth--;
+      if (braceDepth < 0) {
+        errors.push(`line ${line}: unmatched }`);
+        braceDepth = 0;
+      }
+    } else if (ch === '$') {
+      if (tex[i + 1] === '$') {
+        errors.push(`line ${line}: $$ display math (use \\[ \\])`);
+        i++;
+      } else {
+        inlineMathOpen = !inlineMathOpen;
+      }
+    }
+  }
+
+  if (braceDepth > 0) {
+    errors.push(`${braceDepth} unclosed {`);
+  }
+  if (inlineMathOpen) {
+    errors.push('unterminated $ inline math');
+  }
+  if (displayMathOpen) {
+    errors.push('unterminated \\[ display math');
+  }
+  environments.forEach(open => errors.push(`line ${open.line}: \\begin{${open.name}} is never closed`));
+
+  return errors;
+}
@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+
+import { LatexExporter } from '../exporters/latex-exporter.js';
+import { checkLatexSyntax } from './helpers/latex-syntax.js';
+
+/**
+ * Export code blocks to LaTeX
+ * @param {Array<Object>} blocks - Code blocks ({code, language})
+ * @param {Object} [options] - Exporter options
+ * @returns {string} LaTeX document
+ */
+function exportCode(blocks, options = {}) {
+  const data = {
+    metadata: { title: 'Code', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{ type: 'response', structure: blocks.map(block => ({ type: 'code-block', ...block })) }]
+  };
+  const { content } = LatexExporter.exportToLatex(data, { includeMeta: false, ...options });
+  assert.deepEqual(checkLatexSyntax(content), []);
+  return content;
+}
+
+before(() => {
+  globalThis.JSZip = JSZip;
+});
+
+after(() => {
+  delete globalThis.JSZip;
+});
+
+/**
+ * Export code blocks as a LaTeX .zip project
+ * @param {Array<Object>} blocks - Code blocks ({code, language})
+ * @param {Object} [options] - Exporter options
+ * @returns {Promise<JSZip>} Unpacked bundle
+ */
+async function exportCodeBundle(blocks, options = {}) {
+  const data = {
+    metadata: { title: 'Code', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{ type: 'response', structure: blocks.map(block => ({ type: 'code-block', ...block })) }]
+  };
+  const { blob } = await LatexExporter.exportToLatexBundle(data, { includeMeta: false, ...options });
+  return JSZip.loadAsync(await blob.arrayBuffer());
+}
+
+describe('LaTeX code blocks', () => {
+  it('uses lstlisting with the language and a title by default', () => {
+    const tex = exportCode([{ language: 'py', code: 'print("hi")' }]);
+    assert.ok(tex.includes('\\begin{lstlisting}[language=Python, title={Python}]\nprint("hi")\n\\end{lstlisting}'));
+    assert.ok(tex.indexOf('\\usepackage{listings}') < tex.indexOf('\\begin{document}'));
+    assert.match(tex, /\\lstset\{[^]*breaklines=true/);
+  });
+
+  it('defines languages listings lacks from the highlighter', () => {
+    const tex = exportCode([{ language: 'ts', code: 'const x: number = 1;' }], { codeLanguageCaption: false, codeLineNumbers: true });
+    assert.ok(tex.includes('\\begin{lstlisting}[language=TypeScript]\n'));
+    assert.match(tex, /\\lstdefinelanguage\{TypeScript\}\{\n {2}morekeywords=\{[^}]*\binterface\b/);
+    assert.ok(tex.includes('numbers=left'));
+  });
+
+  it('escapes non-ASCII text and closing tags in listings', () => {
+    const tex = exportCode([{ language: 'tex', code: 'café (*@ \\end{lstlisting}' }]);
+    assert.ok(tex.includes('[language={[LaTeX]TeX}, title={tex}]'));
+    assert.ok(tex.includes('caf(*@é@*) (*@(*@@*) (*@\\textbackslash{}end\\{lstlisting\\}@*)\n\\end{lstlisting}'));
+  });
+
+  it('uses minted and notes -shell-escape at the top', () => {
+    const tex = exportCode([{ language: 'rust', code: 'fn main() {}' }], { latexCodeStyle: 'minted' });
+    assert.match(tex, /^% Compile with -shell-escape/);
+    assert.ok(tex.includes('\\usepackage{minted}\n\\setminted{breaklines'));
+    assert.ok(tex.includes('\\noindent{\\small\\textbf{rust}}\\par\\nopagebreak\n\\begin{minted}{rust}\nfn main() {}\n\\end{minted}'));
+    assert.ok(!tex.includes('\\lstset'));
+  });
+
+  it('switches environment when the code would end a minted block', () => {
+    const tex = exportCode([{ language: 'latex', code: '\\end{minted}' }], { latexCodeStyle: 'minted' });
+    assert.ok(tex.includes('\\begin{Verbatim}[breaklines, fontsize=\\small, frame=single]\n\\end{minted}\n\\end{Verbatim}'));
+  });
+
+  it('falls back to fancyvrb when plain verbatim code contains \\end{verbatim}', () => {
+    const plain = exportCode([{ language: 'text', code: 'a & b' }], { latexCodeStyle: 'verbatim' });
+    assert.ok(plain.includes('\\begin{verbatim}\na & b\n\\end{verbatim}'));
+    assert.ok(!plain.includes('% Code listings'));
+
+    const tex = exportCode([{ code: 'x \\end{verbatim} y' }], { latexCodeStyle: 'verbatim' });
+    assert.ok(tex.includes('\\usepackage{fancyvrb}'));
+    assert.ok(tex.includes('\\begin{Verbatim}\nx \\end{verbatim} y\n\\end{Verbatim}'));
+
+    const both = exportCode([{ code: '\\end{verbatim}\\end{Verbatim}' }], { latexCodeStyle: 'verbatim' });
+    assert.ok(both.includes('\\begin{verbatim}\n\\end {verbatim}\\end{Verbatim}\n\\end{verbatim}'));
+    assert.ok(!both.includes('fancyvrb'));
+  });
+
+  it('adds the code packages to custom preambles that lack them', () => {
+    const tex = exportCode([{ language: 'c', code: 'int x;' }], {
+      latexPreamble: '\\documentclass{article}\n\\usepackage{xcolor}\n\\usepackage{listings}'
+    });
+    assert.equal(tex.match(/\\usepackage\{listings\}/g).length, 1);
+    assert.equal(tex.match(/\\usepackage\{xcolor\}/g).length, 1);
+    assert.ok(tex.indexOf('\\lstset') < tex.indexOf('\\begin{document}'));
+  });
+
+  it('runs the engine with -shell-escape in minted bundles', async () => {
+    const zip = await exportCodeBundle([{ language: 'rust', code: 'fn main() {}' }], { latexCodeStyle: 'minted', latexEngine: 'xelatex' });
+    assert.equal(await zip.file('.latexmkrc').async('string'), "$pdf_mode = 5;\n$xelatex = 'xelatex -shell-escape %O %S';\n");
+    const readme = await zip.file('README.md').async('string');
+    assert.ok(readme.includes('needs `-shell-escape`'));
+    assert.ok(readme.includes('Without latexmk, run `xelatex -shell-escape main`.'));
+    assert.ok(!readme.includes('it compiles as is'));
+  });
+
+  it('leaves .latexmkrc to the engine when no code needs minted', async () => {
+    const zip = await exportCodeBundle([{ language: 'rust', code: 'fn main() {}' }]);
+    assert.equal(await zip.file('.latexmkrc').async('string'), '$pdf_mode = 1;\n');
+    assert.ok(!(await zip.file('README.md').async('string')).includes('-shell-escape'));
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLatex, LatexParseError } from '../exporters/latex-parser.js';
+
+describe('parseLatex', () => {
+  it('reads symbols, commands and scripts', () => {
+    assert.deepEqual(parseLatex('x_i^2 \\le 10'), {
+      type: 'row',
+      body: [
+        {
+          type: 'scripts',
+          base: { type: 'ident', text: 'x' },
+          sub: { type: 'row', body: [{ type: 'ident', text: 'i' }] },
+          sup: { type: 'row', body: [{ type: 'number', text: '2' }] }
+        },
+        { type: 'relation', text: '≤' },
+        { type: 'number', text: '10' }
+      ]
+    });
+  });
+
+  it('takes single-character arguments without braces', () => {
+    const [frac] = parseLatex('\\frac12').body;
+    assert.deepEqual(frac.numerator, { type: 'number', text: '1' });
+    assert.deepEqual(frac.denominator, { type: 'number', text: '2' });
+  });
+
+  it('turns primes into superscripts', () => {
+    const [node] = parseLatex("f''(x)").body;
+    assert.equal(node.type, 'scripts');
+    assert.equal(node.sup.body[0].text, '′′');
+  });
+
+  it('reads big operators, functions and \\left...\\right', () => {
+    const { body } = parseLatex('\\sum_{k=0}^n \\sin\\left(\\frac{x}{k}\\right]');
+    assert.equal(body[0].base.type, 'bigop');
+    assert.equal(body[0].base.text, '∑');
+    assert.equal(body[1].type, 'func');
+    assert.equal(body[2].type, 'delimited');
+    assert.equal(body[2].open, '(');
+    assert.equal(body[2].close, ']');
+  });
+
+  it('reads \\limits and \\nolimits after functions and operator names', () => {
+    const [lim, argmax, sum] = parseLatex('\\lim\\limits_{x\\to 0} \\operatorname*{arg\\,max}_x \\sum\\nolimits_k').body;
+    assert.equal(lim.base.type, 'func');
+    assert.equal(lim.base.limits, true);
+    assert.equal(lim.sub.body.length, 3);
+    assert.deepEqual(argmax.base, { type: 'func', name: 'arg max', limits: true });
+    assert.equal(sum.base.limits, false);
+  });
+
+  it('keeps \\text as words and \\mathbb as a font', () => {
+    const { body } = parseLatex('\\text{if } x \\in \\mathbb{R}');
+    assert.deepEqual(body[0], { type: 'text', text: 'if ', font: 'text' });
+    assert.equal(body[3].type, 'font');
+    assert.equal(body[3].font, 'double-struck');
+  });
+
+  it('reads matrix environments as rows of cells', () => {
+    const node = parseLatex('\\begin{bmatrix} a & b \\\\ c & d \\\\ \\end{bmatrix}').body[0];
+    assert.equal(node.type, 'matrix');
+    assert.equal(node.open, '[');
+    assert.deepEqual(node.rows.map(cells => cells.map(cell => cell.body[0].text)), [['a', 'b'], ['c', 'd']]);
+  });
+
+  it('reads aligned environments and top-level line breaks as lines', () => {
+    const aligned = parseLatex('\\begin{aligned} a &= b \\\\ &= c \\end{aligned}').body[0];
+    assert.equal(aligned.type, 'lines');
+    assert.equal(aligned.rows.length, 2);
+
+    const broken = parseLatex('a = b \\\\ c = d');
+    assert.equal(broken.type, 'lines');
+    assert.equal(broken.rows.length, 2);
+  });
+
+  it('keeps unknown commands visible', () => {
+    assert.deepEqual(parseLatex('\\foo').body, [{ type: 'text', text: '\\foo', font: 'text' }]);
+  });
+
+  it('throws LatexParseError on malformed input', () => {
+    for (const latex of ['\\frac{a}{', 'a}', '\\left( x', 'x^2^3', '\\begin{foo} x \\end{foo}', '\\begin{matrix} 1 \\end{pmatrix}']) {
+      assert.throws(() => parseLatex(latex), LatexParseError, latex);
+    }
+  });
+});
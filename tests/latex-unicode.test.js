@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LatexUnicode } from '../exporters/latex-unicode.js';
+import { LatexExporter } from '../exporters/latex-exporter.js';
+import { UNICODE_LATEX_PREAMBLE } from '../exporters/template.js';
+import { checkLatexSyntax } from './helpers/latex-syntax.js';
+
+/**
+ * Export one paragraph to LaTeX
+ * @param {Array<Object>} content - Inline content
+ * @param {Object} [options] - Exporter options
+ * @returns {string} LaTeX document
+ */
+function exportParagraph(content, options = {}) {
+  const data = {
+    metadata: { title: 'Unicode', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{ type: 'response', structure: [{ type: 'paragraph', content }] }]
+  };
+  const { content: tex } = LatexExporter.exportToLatex(data, { includeMeta: false, ...options });
+  assert.deepEqual(checkLatexSyntax(tex), []);
+  return tex;
+}
+
+describe('LatexUnicode for pdfLaTeX', () => {
+  it('maps symbols, Greek letters and punctuation to commands', () => {
+    const unicode = new LatexUnicode('pdflatex');
+    assert.equal(unicode.text('α → β ≤ “x” — H₂O'),
+      '\\ensuremath{\\alpha} \\ensuremath{\\rightarrow} \\ensuremath{\\beta} \\ensuremath{\\leq} ``x\'\' \\textemdash{} H\\textsubscript{2}O');
+  });
+
+  it('keeps Latin-1 and spells other accented letters with accent commands', () => {
+    const unicode = new LatexUnicode('pdflatex');
+    assert.equal(unicode.text('café Dvořák Łódź'), 'café Dvo\\v{r}ák \\L{}ód\\\'{z}');
+    // Decomposed input is recomposed first
+    assert.equal(unicode.text('cafe\u0301'), 'café');
+  });
+
+  it('marks characters it cannot typeset and explains them in the preamble', () => {
+    const unicode = new LatexUnicode('pdflatex');
+    assert.equal(unicode.text('中 😀\uFE0F'), '[U+4E2D] [U+1F600]');
+    assert.match(unicode.preamble(() => false), /^% pdfLaTeX cannot typeset U\+4E2D, U\+1F600/);
+    assert.equal(new LatexUnicode('pdflatex').preamble(() => false), '');
+  });
+
+  it('converts formulas to math commands and \\text', () => {
+    const unicode = new LatexUnicode('pdflatex');
+    assert.equal(unicode.math('αx ≤ β·2° + ∀y∈ℝ'), '\\alpha x \\leq \\beta\\cdot2^{\\circ} + \\forall y\\in\\mathbb{R}');
+    assert.equal(unicode.math('x = 1 \\text{ für }'), 'x = 1 \\text{ f\\text{ü}r }');
+  });
+});
+
+describe('LatexUnicode for XeLaTeX and LuaLaTeX', () => {
+  it('keeps text but sets emoji in the emoji font', () => {
+    const unicode = new LatexUnicode('xelatex');
+    assert.equal(unicode.text('中文 café → 👍🏽 🇫🇷'), '中文 café \\ensuremath{\\rightarrow} {\\emojifont 👍🏽} {\\emojifont 🇫🇷}');
+    const preamble = unicode.preamble(() => true);
+    assert.ok(preamble.includes('\\usepackage{xeCJK}\n\\setCJKmainfont{Noto Serif CJK SC}'));
+    assert.ok(preamble.includes('\\newfontfamily\\emojifont{Noto Emoji}'));
+    assert.ok(!preamble.includes('fontspec'));
+  });
+
+  it('loads luatexja and the colour emoji font under LuaLaTeX', () => {
+    const unicode = new LatexUnicode('lualatex');
+    unicode.text('日本 🎉');
+    const preamble = unicode.preamble(() => false);
+    assert.ok(preamble.includes('\\usepackage{fontspec}\n\\usepackage{luatexja-fontspec}'));
+    assert.ok(preamble.includes('{Noto Color Emoji}[Renderer=HarfBuzz]'));
+  });
+});
+
+describe('LaTeX engine option', () => {
+  it('maps Unicode in prose and math for pdfLaTeX by default', () => {
+    const tex = exportParagraph([{ type: 'text', text: 'If α → 0 ' }, { type: 'math-inline', latex: 'β ≥ 1' }]);
+    assert.ok(tex.includes('\\usepackage[utf8]{inputenc}'));
+    assert.ok(tex.includes('If \\ensuremath{\\alpha} \\ensuremath{\\rightarrow} 0 $\\beta \\geq 1$'));
+  });
+
+  it('writes a fontspec preamble and a compile note for XeLaTeX', () => {
+    const tex = exportParagraph([{ type: 'text', text: '你好 🙂' }], { latexEngine: 'xelatex' });
+    assert.ok(tex.startsWith(`% Compile with XeLaTeX (e.g. xelatex main.tex)`));
+    assert.ok(tex.includes(UNICODE_LATEX_PREAMBLE + '% Fonts for CJK text and emoji\n\\usepackage{xeCJK}'));
+    assert.ok(!tex.includes('inputenc'));
+    assert.ok(tex.includes('你好 {\\emojifont 🙂}'));
+  });
+
+  it('adds fontspec to custom preambles for Unicode engines', () => {
+    const tex = exportParagraph([{ type: 'text', text: 'x' }], {
+      latexEngine: 'lualatex',
+      latexPreamble: '\\documentclass{article}'
+    });
+    assert.ok(tex.indexOf('\\usepackage{fontspec}') < tex.indexOf('\\begin{document}'));
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MarkdownIt from 'markdown-it';
+import { JSDOM } from 'jsdom';
+
+import { MarkdownExporter } from '../exporters/markdown-exporter.js';
+import { escapeMarkdown, formatCodeSpan, formatCodeFence } from '../exporters/markdown-escape.js';
+
+// markdown-it's default preset follows CommonMark plus GFM tables and strikethrough.
+const parsers = {
+  gfm: new MarkdownIt(),
+  commonmark: new MarkdownIt('commonmark'),
+  plain: new MarkdownIt('commonmark')
+};
+
+const text = (value) => ({ type: 'text', text: value });
+
+/**
+ * Export blocks as one response and render the Markdown back to a DOM
+ * @param {Array} structure - Content blocks
+ * @param {string} [dialect='gfm']
+ * @returns {Document}
+ */
+function roundTrip(structure, dialect = 'gfm') {
+  const data = {
+    metadata: { title: 'Escaping', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{ type: 'response', structure }]
+  };
+  const { content } = MarkdownExporter.exportToMarkdown(data, { includeMeta: false, markdownDialect: dialect, mathDelimiters: 'dialect' });
+  return new JSDOM(parsers[dialect].render(content)).window.document;
+}
+
+const TRICKY_TEXT = [
+  '2 * 3 * 4 = 24 and **not bold**',
+  'snake_case_name and __init__',
+  'a | b | c',
+  '# not a heading',
+  '1. not a list',
+  '3) not a list either',
+  '- not a bullet',
+  '+ plus',
+  '> not a quote',
+  '---',
+  '***',
+  '===',
+  '[not a link](https://example.com)',
+  '![not an image](x.png)',
+  '<div>not html</div> <https://example.com>',
+  'price: $5 and $10',
+  'C:\\temp\\new and \\(x\\)',
+  'a `tick` and ``double``',
+  '&amp; &#42; &copy;',
+  '~~not struck~~',
+  'Line one\n# line two\n- line three'
+];
+
+describe('Markdown escaping: round trip', () => {
+  for (const dialect of Object.keys(parsers)) {
+    describe(dialect, () => {
+      for (const value of TRICKY_TEXT) {
+        it(`keeps ${JSON.stringify(value)} as a paragraph`, () => {
+          const document = roundTrip([{ type: 'paragraph', content: [text(value)] }], dialect);
+          const paragraphs = document.querySelectorAll('body > p');
+          assert.equal(paragraphs.length, 1, document.body.innerHTML);
+          assert.equal(paragraphs[0].textContent, value);
+          assert.equal(paragraphs[0].children.length, value.split('\n').length - 1, 'only line breaks become elements');
+        });
+      }
+    });
+  }
+
+  it('keeps text after a line break element from starting a block', () => {
+    const document = roundTrip([{ type: 'paragraph', content: [text('Intro'), text('\n'), text('1. item')] }]);
+    assert.equal(document.querySelectorAll('ol').length, 0);
+    assert.equal(document.querySelector('p').textContent, 'Intro\n1. item');
+  });
+
+  it('escapes list item text', () => {
+    const document = roundTrip([{
+      type: 'unordered-list',
+      items: [{ content: [text('# hash')] }, { content: [text('2. two')] }]
+    }]);
+    assert.deepEqual(Array.from(document.querySelectorAll('li'), li => li.textContent), ['# hash', '2. two']);
+    assert.equal(document.querySelectorAll('h1, ol').length, 0);
+  });
+
+  it('keeps blockquote text inside the quote', () => {
+    const document = roundTrip([{ type: 'blockquote', content: [text('> nested? *no*')] }]);
+    assert.equal(document.querySelectorAll('blockquote').length, 1);
+    assert.equal(document.querySelector('blockquote').textContent.trim(), '> nested? *no*');
+  });
+});
+
+describe('Markdown escaping: table cells', () => {
+  const table = (cells) => [{
+    type: 'table',
+    data: { headers: [[text('A')], [text('B')]], rows: [cells] }
+  }];
+
+  it('keeps pipes in text, code and math inside their cell', () => {
+    const document = roundTrip(table([
+      [text('a | b')],
+      [{ type: 'code', text: 'x || y' }, text(' and '), { type: 'math-inline', latex: '|x|' }]
+    ]));
+    const cells = Array.from(document.querySelectorAll('td'), td => td.textContent);
+    assert.deepEqual(cells, ['a | b', 'x || y and $|x|$']);
+    assert.equal(document.querySelector('td code').textContent, 'x || y');
+  });
+
+  it('keeps link text and URLs with pipes in the cell', () => {
+    const document = roundTrip(table([
+      [{ type: 'link', href: 'https://example.com/?q=a|b', content: [text('a|b')] }],
+      [text('*')]
+    ]));
+    const link = document.querySelector('td a');
+    assert.equal(link.textContent, 'a|b');
+    assert.equal(link.getAttribute('href'), 'https://example.com/?q=a%7Cb');
+    assert.equal(document.querySelectorAll('td')[1].textContent, '*');
+  });
+
+  it('keeps cell text literal in HTML tables', () => {
+    const document = roundTrip(table([[text('# a | b')], [text('<b>no</b>')]]), 'commonmark');
+    assert.deepEqual(Array.from(document.querySelectorAll('td'), td => td.textContent.trim()), ['# a | b', '<b>no</b>']);
+  });
+});
+
+describe('Markdown escaping: links', () => {
+  it('keeps brackets and emphasis characters in link text', () => {
+    const document = roundTrip([{
+      type: 'paragraph',
+      content: [{ type: 'link', href: 'https://example.com', content: [text('[1] a*b*c_d_')] }]
+    }]);
+    const link = document.querySelector('a');
+    assert.equal(link.textContent, '[1] a*b*c_d_');
+    assert.equal(link.children.length, 0);
+  });
+
+  it('keeps URLs with parentheses and spaces intact', () => {
+    const document = roundTrip([{
+      type: 'paragraph',
+      content: [
+        { type: 'link', href: 'https://en.wikipedia.org/wiki/Function_(mathematics)', content: [text('function')] },
+        text(' '),
+        { type: 'link', href: 'https://example.com/a b', content: [text('space')] }
+      ]
+    }]);
+    assert.deepEqual(Array.from(document.querySelectorAll('a'), a => a.getAttribute('href')), [
+      'https://en.wikipedia.org/wiki/Function_(mathematics)',
+      'https://example.com/a%20b'
+    ]);
+  });
+});
+
+describe('Markdown escaping: headings', () => {
+  for (const value of ['C# and F#', 'Ends with ##', 'Step 1. *Setup*', '> quoted', 'Two\nlines']) {
+    it(`keeps ${JSON.stringify(value)} as heading text`, () => {
+      const document = roundTrip([{ type: 'heading', level: 2, content: [text(value)] }]);
+      assert.equal(document.body.children.length, 1, document.body.innerHTML);
+      assert.equal(document.querySelector('h2').textContent, value.replace('\n', ' '));
+    });
+  }
+
+  it('keeps emphasis with surrounding spaces working', () => {
+    const document = roundTrip([{
+      type: 'paragraph',
+      content: [text('a'), { type: 'bold', content: [text(' bold ')] }, text('b')]
+    }]);
+    assert.equal(document.querySelector('strong').textContent, 'bold');
+    assert.equal(document.querySelector('p').textContent, 'a bold b');
+  });
+});
+
+describe('Markdown escaping: code', () => {
+  for (const code of ['a `b` c', '`edge`', '``', ' padded ', 'x | y']) {
+    it(`keeps code span ${JSON.stringify(code)}`, () => {
+      const document = roundTrip([{ type: 'paragraph', content: [{ type: 'code', text: code }] }]);
+      assert.equal(document.querySelector('code').textContent, code);
+    });
+  }
+
+  it('lengthens the fence for code containing a fence', () => {
+    const code = 'Markdown example:\n```js\nconsole.log(1);\n```\n````\nmore';
+    const document = roundTrip([{ type: 'code-block', language: 'markdown', code }]);
+    const pre = document.querySelectorAll('pre');
+    assert.equal(pre.length, 1);
+    assert.equal(pre[0].textContent, code + '\n');
+    assert.equal(pre[0].querySelector('code').className, 'language-markdown');
+  });
+
+  it('keeps GFM math fences intact when the LaTeX contains backticks', () => {
+    const document = roundTrip([{ type: 'math-block', latex: '\\text{```}' }]);
+    assert.equal(document.querySelector('code.language-math').textContent, '\\text{```}\n');
+  });
+});
+
+describe('escapeMarkdown', () => {
+  it('escapes dialect characters only when asked', () => {
+    assert.equal(escapeMarkdown('$5 ~x~'), '$5 ~x~');
+    assert.equal(escapeMarkdown('$5 ~x~', { extra: '$~' }), '\\$5 \\~x\\~');
+  });
+
+  it('leaves line-start markers alone in the middle of a line', () => {
+    assert.equal(escapeMarkdown('- a', { atLineStart: false }), '- a');
+    assert.equal(escapeMarkdown('- a'), '\\- a');
+    assert.equal(escapeMarkdown('x\n- a', { atLineStart: false }), 'x\n\\- a');
+  });
+
+  it('escapes pipes only in table cells', () => {
+    assert.equal(escapeMarkdown('a|b'), 'a|b');
+    assert.equal(escapeMarkdown('a|b', { context: 'table-cell' }), 'a\\|b');
+  });
+
+  it('uses fences longer than the backtick runs inside', () => {
+    assert.equal(formatCodeSpan('a `b` c'), '``a `b` c``');
+    assert.equal(formatCodeSpan('`x`'), '`` `x` ``');
+    assert.equal(formatCodeFence('```\ncode\n```', 'md'), '````md\n```\ncode\n```\n````');
+    assert.equal(formatCodeFence('x', 'c++ (gcc)'), '```c++\nx\n```');
+  });
+});
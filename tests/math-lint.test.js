@@ -0,0 +1,173 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+
+import { MathLinter } from '../exporters/math-lint.js';
+import { LatexExporter } from '../exporters/latex-exporter.js';
+import { WordExporter } from '../exporters/word-exporter.js';
+import { checkLatexSyntax } from './helpers/latex-syntax.js';
+import { readDocumentXml } from './helpers/golden.js';
+
+before(async () => {
+  globalThis.katex = (await import('katex')).default;
+  globalThis.docx = await import('docx');
+  globalThis.JSZip = JSZip;
+});
+
+after(() => {
+  delete globalThis.katex;
+  delete globalThis.docx;
+  delete globalThis.JSZip;
+});
+
+/**
+ * Lint formulas with a fresh linter
+ * @param {Array<[string, boolean]>} formulas - [latex, displayMode]
+ * @param {string} [target='latex']
+ * @returns {{results: Array<string>, linter: MathLinter}}
+ */
+function lintAll(formulas, target = 'latex') {
+  const linter = new MathLinter({ target });
+  const results = formulas.map(([latex, displayMode = false]) => linter.lint(latex, { displayMode }));
+  return { results, linter };
+}
+
+describe('MathLinter', () => {
+  it('leaves formulas LaTeX accepts alone', () => {
+    const { results, linter } = lintAll([['\\frac{a}{b} + \\sqrt{x^2}'], ['\\begin{aligned} a &= b \\end{aligned}', true]]);
+    assert.deepEqual(results, ['\\frac{a}{b} + \\sqrt{x^2}', '\\begin{aligned} a &= b \\end{aligned}']);
+    assert.deepEqual(linter.warnings, []);
+    assert.equal(linter.packages.size, 0);
+  });
+
+  it('moves math-only commands out of \\text', () => {
+    const { results, linter } = lintAll([
+      ['\\text{a \\dfrac12 b and \\alpha}'],
+      ['\\text{the \\operatorname*{argmax}_x y}']
+    ]);
+    assert.deepEqual(results, [
+      '\\text{a }\\dfrac12\\text{ b and }\\alpha',
+      '\\text{the }\\operatorname*{argmax}_x\\text{ y}'
+    ]);
+    assert.deepEqual(linter.warnings.map(warning => warning.message), [
+      'Moved \\dfrac, \\alpha out of \\text (LaTeX only allows it in math)',
+      'Moved \\operatorname out of \\text (LaTeX only allows it in math)'
+    ]);
+    assert.equal(linter.warnings[0].latex, '\\text{a \\dfrac12 b and \\alpha}');
+  });
+
+  it('escapes % and replaces KaTeX-only macros', () => {
+    const { results } = lintAll([['\\text{50% of } x \\in \\R, x \\lt 1']]);
+    assert.deepEqual(results, ['\\text{50\\% of } x \\in \\mathbb{R}, x < 1']);
+  });
+
+  it('leaves letters after a line break alone', () => {
+    const { results } = lintAll([['\\begin{aligned} a &= \\R \\\\N &= 2 \\end{aligned}', true]]);
+    assert.deepEqual(results, ['\\begin{aligned} a &= \\mathbb{R} \\\\N &= 2 \\end{aligned}']);
+  });
+
+  it('keeps \\tag at the top level of display math only', () => {
+    const { results, linter } = lintAll([
+      ['x = 1 \\tag{1}'],
+      ['\\begin{aligned} a &= b \\tag{2} \\end{aligned}', true],
+      ['a &= b \\\\ c &= d \\tag{3}', true]
+    ]);
+    assert.deepEqual(results, [
+      'x = 1',
+      '\\begin{aligned} a &= b \\end{aligned} \\tag{2}',
+      '\\begin{aligned}\na &= b \\\\ c &= d\n\\end{aligned} \\tag{3}'
+    ]);
+    assert.equal(linter.warnings.length, 3);
+  });
+
+  it('collects the packages the formulas need', () => {
+    const { results, linter } = lintAll([
+      ['\\bm{v} \\coloneqq \\cancel{x}'],
+      ['\\braket{\\psi|\\phi} + \\braket{a|H|b}']
+    ]);
+    assert.equal(results[1], '\\braket{\\psi}{\\phi} + \\mel{a}{H}{b}');
+    assert.deepEqual([...linter.packages].sort(), ['bm', 'cancel', 'mathtools', 'physics']);
+    assert.equal(linter.preamble(name => name === 'bm'), '% Packages used by the formulas\n\\usepackage{mathtools}\n\\usepackage{cancel}\n\\usepackage{physics}\n');
+  });
+
+  it('flags formulas KaTeX cannot parse', () => {
+    const { results, linter } = lintAll([['\\frac{a}{']]);
+    assert.equal(results[0], '\\frac{a}{');
+    assert.match(linter.warnings[0].message, /^KaTeX cannot parse this formula/);
+  });
+
+  it('writes the warnings as a numbered report', () => {
+    const { linter } = lintAll([['x \\tag{1}'], ['\\begin{aligned}\n a &= \\text{50%}\n\\end{aligned}', true]]);
+    assert.equal(linter.report(), [
+      'Formulas changed or flagged during export (2)',
+      '',
+      '1. Inline formula: x \\tag{1}',
+      '   ' + linter.warnings[0].message,
+      '',
+      '2. Display formula: \\begin{aligned} a &= \\text{50%} \\end{aligned}',
+      '   ' + linter.warnings[1].message,
+      ''
+    ].join('\n'));
+    assert.match(linter.reportComment(), /^% Formulas changed or flagged during export \(2\)\n%\n% 1\. Inline formula/);
+    assert.equal(new MathLinter().report(), '');
+    assert.equal(new MathLinter().reportComment(), '');
+  });
+
+  it('writes equation numbers and bra-kets out for Word', () => {
+    const { results, linter } = lintAll([['E \\ket{\\psi} = \\braket{a|b} \\tag{4}', true]], 'word');
+    assert.equal(results[0], 'E |\\psi\\rangle = \\langle a|b\\rangle \\qquad \\text{(4)}');
+    assert.equal(linter.packages.size, 0);
+  });
+});
+
+describe('LaTeX export math checks', () => {
+  it('loads the packages in the preamble and reports the changes', () => {
+    const data = {
+      metadata: { title: 'Math', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+      messages: [{
+        type: 'response',
+        structure: [
+          { type: 'paragraph', content: [{ type: 'math-inline', latex: '\\bm{x} \\tag{1}' }] },
+          { type: 'math-block', latex: '\\text{if \\dfrac{a}{b} > 0}' }
+        ]
+      }]
+    };
+    const { content, mathWarnings } = LatexExporter.exportToLatex(data, { includeMeta: false });
+    assert.deepEqual(checkLatexSyntax(content), []);
+    assert.ok(content.indexOf('\\usepackage{bm}') < content.indexOf('\\begin{document}'));
+    assert.ok(content.includes('$\\bm{x}$'));
+    assert.ok(content.includes('\\[\n\\text{if }\\dfrac{a}{b}\\text{ > 0}\n\\]'));
+    assert.deepEqual(mathWarnings.map(warning => warning.displayMode), [false, true]);
+  });
+
+  it('writes the report into the .tex file, the bundle and the Word properties', async () => {
+    const data = {
+      metadata: { title: 'Math', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+      messages: [{ type: 'response', structure: [{ type: 'math-block', latex: '\\text{if \\dfrac{a}{b} > 0}' }] }]
+    };
+    const { content } = LatexExporter.exportToLatex(data, { includeMeta: false });
+    const comment = content.indexOf('% Formulas changed or flagged during export (1)');
+    assert.ok(comment > content.indexOf('\\documentclass'));
+    assert.ok(comment < content.indexOf('\\begin{document}'));
+    assert.deepEqual(checkLatexSyntax(content), []);
+
+    const { blob } = await LatexExporter.exportToLatexBundle(data, { includeMeta: false });
+    const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+    assert.match(await zip.file('math-warnings.txt').async('string'), /^Formulas changed or flagged during export \(1\)\n\n1\. Display formula: \\text\{if \\dfrac/);
+    assert.ok((await zip.file('README.md').async('string')).includes('`math-warnings.txt`'));
+
+    const word = await WordExporter.exportToWord(data, { includeMeta: false });
+    assert.equal(word.mathWarnings.length, 1);
+    assert.match(await readDocumentXml(word.blob, 'docProps/core.xml'), /<dc:description>Formulas changed or flagged during export \(1\)/);
+  });
+
+  it('leaves the report out when no formula changed', async () => {
+    const data = {
+      metadata: { title: 'Math', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+      messages: [{ type: 'response', structure: [{ type: 'math-block', latex: 'E = mc^2' }] }]
+    };
+    assert.ok(!LatexExporter.exportToLatex(data, { includeMeta: false }).content.includes('flagged during export'));
+    const { blob } = await LatexExporter.exportToLatexBundle(data, { includeMeta: false });
+    assert.equal((await JSZip.loadAsync(await blob.arrayBuffer())).file('math-warnings.txt'), null);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { latexToMathml, mathmlError, MathmlConverter } from '../exporters/mathml.js';
+import { HtmlExporter } from '../exporters/html-exporter.js';
+
+before(async () => {
+  globalThis.katex = (await import('katex')).default;
+});
+
+after(() => {
+  delete globalThis.katex;
+});
+
+/**
+ * Parse MathML as XML, the way Office and EPUB readers do
+ * @param {string} mathml
+ * @returns {Document}
+ */
+function parseXml(mathml) {
+  const { window } = new JSDOM('');
+  const document = new window.DOMParser().parseFromString(mathml, 'application/xml');
+  assert.equal(document.getElementsByTagName('parsererror').length, 0, mathml);
+  return document;
+}
+
+describe('latexToMathml', () => {
+  it('returns a bare, well-formed <math> element with the LaTeX as annotation', () => {
+    const mathml = latexToMathml('\\frac{a}{b} < c');
+    assert.ok(mathml.startsWith('<math xmlns="http://www.w3.org/1998/Math/MathML">'));
+    assert.ok(mathml.endsWith('</math>'));
+
+    const document = parseXml(mathml);
+    assert.equal(document.getElementsByTagName('mfrac').length, 1);
+    assert.equal(document.getElementsByTagName('annotation')[0].textContent, '\\frac{a}{b} < c');
+  });
+
+  it('marks display math as a block', () => {
+    assert.ok(latexToMathml('x^2', { displayMode: true }).includes('display="block"'));
+    assert.ok(!latexToMathml('x^2').includes('display="block"'));
+  });
+
+  it('throws on formulas KaTeX cannot parse', () => {
+    assert.throws(() => latexToMathml('\\frac{a}{'), /KaTeX parse error/);
+  });
+});
+
+describe('mathmlError', () => {
+  it('keeps the escaped source in an <merror>', () => {
+    const document = parseXml(mathmlError('a < \\b & c', true));
+    assert.equal(document.documentElement.getAttribute('display'), 'block');
+    assert.equal(document.getElementsByTagName('merror')[0].textContent, 'a < \\b & c');
+  });
+});
+
+describe('MathmlConverter', () => {
+  it('reports each failing formula and keeps converting the rest', () => {
+    const converter = new MathmlConverter();
+    const good = converter.convert('x + y');
+    const bad = converter.convert(' \\frac{1}{ ', { displayMode: true });
+    const unknown = converter.convert('\\notacommand x');
+
+    assert.ok(good.includes('<mi>x</mi>'));
+    assert.ok(bad.includes('<merror><mtext>\\frac{1}{</mtext></merror>'));
+    assert.ok(unknown.includes('<merror>'));
+    assert.deepEqual(converter.errors.map(({ latex, displayMode }) => ({ latex, displayMode })), [
+      { latex: '\\frac{1}{', displayMode: true },
+      { latex: '\\notacommand x', displayMode: false }
+    ]);
+    assert.match(converter.errors[1].message, /Undefined control sequence: \\notacommand/);
+    assert.ok(!converter.errors[0].message.startsWith('KaTeX parse error'));
+  });
+
+  it('reports every formula when KaTeX is missing', () => {
+    const katex = globalThis.katex;
+    delete globalThis.katex;
+    try {
+      const converter = new MathmlConverter();
+      converter.convert('x');
+      assert.deepEqual(converter.errors, [{ latex: 'x', displayMode: false, message: 'KaTeX is not loaded' }]);
+    } finally {
+      globalThis.katex = katex;
+    }
+  });
+});
+
+describe('HtmlExporter math errors', () => {
+  const data = {
+    metadata: { title: 'Math', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{
+      type: 'response',
+      structure: [
+        { type: 'paragraph', content: [{ type: 'math-inline', latex: 'a^2' }, { type: 'math-inline', latex: 'b^{' }] },
+        { type: 'math-block', latex: '\\begin{matrix} 1' }
+      ]
+    }]
+  };
+
+  for (const mathOutput of ['htmlAndMathml', 'mathml']) {
+    it(`lists formulas that failed in ${mathOutput} output`, async () => {
+      const result = await HtmlExporter.exportToHtml(data, { includeMeta: false, mathOutput, katexCss: '' });
+      assert.deepEqual(result.mathErrors.map(error => error.latex), ['b^{', '\\begin{matrix} 1']);
+      assert.ok(result.content.includes('b^{'));
+      assert.ok(result.content.includes('<math xmlns="http://www.w3.org/1998/Math/MathML">'));
+    });
+  }
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ObsidianExporter } from '../exporters/obsidian-exporter.js';
+import { loadExportFixture, assertGolden } from './helpers/golden.js';
+
+const OPTIONS = { includeTimestamp: false, filenamePattern: '{title}' };
+
+const decode = (asset) => Buffer.from(asset.dataUrl.split(',')[1], 'base64').toString('utf8');
+
+describe('ObsidianExporter: single note', () => {
+  const data = loadExportFixture('conversation');
+
+  it('matches tests/golden/conversation.obsidian.md', () => {
+    const { content } = ObsidianExporter.exportToObsidian(data, OPTIONS);
+    assertGolden('conversation.obsidian.md', content);
+  });
+
+  it('writes YAML front matter instead of bold metadata lines', () => {
+    const { content } = ObsidianExporter.exportToObsidian(data, { ...OPTIONS, obsidianTags: 'gemini, Math notes, #algebra, 2024' });
+    assert.ok(content.startsWith([
+      '---',
+      'title: "Quadratic equations"',
+      'source: "https://gemini.google.com/app/0123456789abcdef"',
+      'date: 2026-01-26',
+      'tags:',
+      '  - gemini',
+      '  - Math-notes',
+      '  - algebra',
+      'messages: 2',
+      '---',
+      ''
+    ].join('\n')));
+    assert.ok(!content.includes('**Exported:**'));
+  });
+
+  it('quotes titles that YAML would misread', () => {
+    const { content } = ObsidianExporter.exportToObsidian(loadExportFixture('special-characters'), OPTIONS);
+    assert.ok(content.includes('title: "Costs: 50% off & $5 {deal}"\n'));
+  });
+
+  it('puts prompts and responses in callouts', () => {
+    const { content } = ObsidianExporter.exportToObsidian(data, OPTIONS);
+    assert.ok(content.includes('> [!question] You\n> How do I solve'));
+    assert.ok(content.includes('> [!note] Gemini\n> Factor it as'));
+  });
+
+  it('makes headings linkable and unique', () => {
+    const exporter = new ObsidianExporter(data, OPTIONS);
+    const heading = (text) => exporter.processHeading({ level: 2, content: [{ type: 'text', text }] });
+    assert.equal(heading('Step 1: set up [x|y] #1'), '## Step 1 set up x y 1');
+    assert.equal(heading('Summary'), '## Summary');
+    assert.equal(heading('Summary'), '## Summary (2)');
+
+    const withMath = exporter.processHeading({
+      level: 3,
+      content: [{ type: 'text', text: 'Roots of ' }, { type: 'math-inline', latex: 'x^2' }]
+    });
+    assert.equal(withMath, '### Roots of $x^2$');
+  });
+});
+
+describe('ObsidianExporter: one note per response', () => {
+  const data = {
+    metadata: { title: 'Two questions', url: 'https://gemini.google.com/app/abc', timestamp: '2026-01-26T10:00:00Z', messageCount: 4 },
+    messages: [
+      { type: 'user', structure: [{ type: 'paragraph', content: [{ type: 'text', text: 'First [question]?' }] }] },
+      { type: 'response', structure: [{ type: 'heading', level: 2, content: [{ type: 'text', text: 'Answer' }] }] },
+      { type: 'user', structure: [{ type: 'paragraph', content: [{ type: 'text', text: 'Second?' }] }] },
+      { type: 'response', structure: [{ type: 'heading', level: 2, content: [{ type: 'text', text: 'Answer' }] }] }
+    ]
+  };
+  const result = ObsidianExporter.exportToObsidian(data, { ...OPTIONS, obsidianSplitNotes: true });
+  const notes = result.assets.filter(asset => asset.mimeType === 'text/markdown');
+
+  it('returns an index note linking every response note', () => {
+    assert.equal(result.filename, 'two-questions.md');
+    assert.ok(result.content.includes('# Two questions\n\n'));
+    assert.ok(result.content.includes('1. [[two-questions-01|First question ?]]\n2. [[two-questions-02|Second?]]\n'));
+  });
+
+  it('saves each response as a note next to the index', () => {
+    assert.deepEqual(notes.map(note => note.path), ['two-questions-01.md', 'two-questions-02.md']);
+  });
+
+  it('links response notes to the index and their neighbours', () => {
+    const [first, second] = notes.map(decode);
+    assert.ok(first.includes('conversation: "[[two-questions]]"'));
+    assert.ok(first.includes('title: "Two questions (1/2)"'));
+    assert.ok(first.includes('[[two-questions|Conversation]] · [[two-questions-02|Next →]]'));
+    assert.ok(second.includes('[[two-questions-01|← Previous]] · [[two-questions|Conversation]]'));
+  });
+
+  it('keeps the prompt in a callout and response headings at the top level', () => {
+    const second = decode(notes[1]);
+    assert.ok(second.includes('> [!question] You\n> Second?\n\n## Answer\n'));
+  });
+});
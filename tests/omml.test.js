@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WordExporter } from '../exporters/word-exporter.js';
+import { readDocumentXml } from './helpers/golden.js';
+
+before(async () => {
+  globalThis.docx = await import('docx');
+});
+
+after(() => {
+  delete globalThis.docx;
+});
+
+/**
+ * Export formulas to Word
+ * @param {Array<Object>} content - Inline content of one paragraph
+ * @returns {Promise<Object>} {xml, mathErrors}
+ */
+async function exportFormulas(content) {
+  const data = {
+    metadata: { title: 'Math', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+    messages: [{ type: 'response', structure: [{ type: 'paragraph', content }] }]
+  };
+  const result = await WordExporter.exportToWord(data, { includeMeta: false });
+  return { xml: compact(await readDocumentXml(result.blob)), mathErrors: result.mathErrors };
+}
+
+// document.xml is indented; drop the whitespace between tags
+function compact(xml) {
+  return xml.replace(/>\s*\n\s*</g, '><');
+}
+
+async function formulaXml(latex) {
+  const { xml } = await exportFormulas([{ type: 'math-inline', latex }]);
+  return xml.slice(xml.indexOf('<m:oMath>'), xml.lastIndexOf('</m:oMath>') + '</m:oMath>'.length);
+}
+
+describe('Word equations', () => {
+  it('builds fractions, roots and scripts', async () => {
+    const xml = await formulaXml('\\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}');
+    assert.match(xml, /^<m:oMath><m:f><m:num><m:r><m:t>−b±<\/m:t><\/m:r><m:rad>/);
+    assert.ok(xml.includes('<m:sSup><m:sSupPr/><m:e><m:r><m:t>b</m:t></m:r></m:e><m:sup><m:r><m:t>2</m:t></m:r></m:sup></m:sSup>'));
+    assert.ok(xml.includes('<m:den><m:r><m:t>2a</m:t></m:r></m:den>'));
+  });
+
+  it('puts the operand of big operators inside them', async () => {
+    const xml = await formulaXml('\\prod_{i} x_i + \\oint f = 1');
+    assert.ok(xml.includes('<m:naryPr><m:chr m:val="∏"/><m:limLoc m:val="undOvr"/><m:supHide m:val="1"/></m:naryPr>'));
+    assert.ok(xml.includes('<m:chr m:val="∮"/><m:limLoc m:val="subSup"/>'));
+    assert.ok(xml.includes('<m:e><m:sSub>'));
+    assert.ok(xml.includes('</m:nary><m:r><m:t>+</m:t></m:r><m:nary>'));
+    assert.ok(xml.endsWith('<m:r><m:t>=1</m:t></m:r></m:oMath>'));
+  });
+
+  it('sets function names upright with their argument', async () => {
+    const xml = await formulaXml('\\max(a, b)');
+    assert.equal(xml, '<m:oMath><m:func><m:funcPr/><m:fName><m:r><m:rPr><m:sty m:val="p"/></m:rPr><m:t>max</m:t></m:r></m:fName><m:e><m:r><m:t>(a,b)</m:t></m:r></m:e></m:func></m:oMath>');
+  });
+
+  it('builds matrices, accents and custom delimiters', async () => {
+    const xml = await formulaXml('\\begin{vmatrix} \\vec{u} & 0 \\\\ 1 \\end{vmatrix}');
+    assert.ok(xml.includes('<m:dPr><m:begChr m:val="|"/><m:endChr m:val="|"/></m:dPr>'));
+    assert.ok(xml.includes('<m:count m:val="2"/>'));
+    assert.ok(xml.includes('<m:acc><m:accPr><m:chr m:val="⃗"/></m:accPr>'));
+    // The short second row is padded to two cells
+    assert.ok(xml.includes('<m:mr><m:e><m:r><m:t>1</m:t></m:r></m:e><m:e/></m:mr>'));
+  });
+
+  it('keeps spaces in \\text as normal text', async () => {
+    const xml = await formulaXml('x \\text{ for all } y');
+    assert.ok(xml.includes('<m:r><m:rPr><m:nor/></m:rPr><m:t xml:space="preserve"> for all </m:t></m:r>'));
+  });
+
+  it('shows display math as a display equation', async () => {
+    const data = {
+      metadata: { title: 'Math', url: '', timestamp: '2024-01-01T00:00:00.000Z', messageCount: 1 },
+      messages: [{ type: 'response', structure: [{ type: 'math-block', latex: 'E = mc^2' }] }]
+    };
+    const result = await WordExporter.exportToWord(data, { includeMeta: false });
+    assert.ok(compact(await readDocumentXml(result.blob)).includes('<m:oMathPara><m:oMath>'));
+  });
+
+  it('falls back to the LaTeX source and reports formulas it cannot parse', async () => {
+    const { xml, mathErrors } = await exportFormulas([
+      { type: 'math-inline', latex: 'x^2' },
+      { type: 'math-inline', latex: '\\frac{1}{' }
+    ]);
+    assert.ok(xml.includes('<m:oMath><m:r><m:t>\\frac{1}{</m:t></m:r></m:oMath>'));
+    assert.equal(mathErrors.length, 1);
+    assert.equal(mathErrors[0].latex, '\\frac{1}{');
+    assert.equal(mathErrors[0].displayMode, false);
+    assert.match(mathErrors[0].message, /Missing "}"/);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  resetSettings,
+  normalizeSettings
+} from '../settings.js';
+
+// In-memory stand-in for chrome.storage.sync
+function installStorage() {
+  const items = {};
+  globalThis.chrome = {
+    storage: {
+      sync: {
+        get: async (key) => (key in items ? { [key]: items[key] } : {}),
+        set: async (values) => Object.assign(items, structuredClone(values)),
+        remove: async (key) => { delete items[key]; }
+      }
+    }
+  };
+  return items;
+}
+
+describe('settings storage', () => {
+  beforeEach(() => installStorage());
+
+  it('returns the defaults when nothing is saved', async () => {
+    assert.deepEqual(await loadSettings(), DEFAULT_SETTINGS);
+  });
+
+  it('persists changes and keeps unspecified keys', async () => {
+    await saveSettings({ format: 'latex', saveAs: false });
+    await saveSettings({ includeMeta: false });
+    const settings = await loadSettings();
+    assert.equal(settings.format, 'latex');
+    assert.equal(settings.saveAs, false);
+    assert.equal(settings.includeMeta, false);
+    assert.equal(settings.includeTimestamp, true);
+  });
+
+  it('resets to the defaults', async () => {
+    await saveSettings({ scope: 'all' });
+    await resetSettings();
+    assert.equal((await loadSettings()).scope, 'single');
+  });
+});
+
+describe('normalizeSettings', () => {
+  it('drops unknown keys, wrong types and invalid values', () => {
+    const settings = normalizeSettings({
+      format: 'rtf',
+      scope: 'all',
+      includeMeta: 'no',
+      markdownDialect: 'asciidoc',
+      latexEngine: 'context',
+      imageMode: 'folder',
+      filenamePattern: '   ',
+      extra: 1
+    });
+    assert.equal(settings.format, 'markdown');
+    assert.equal(settings.scope, 'all');
+    assert.equal(settings.includeMeta, true);
+    assert.equal(settings.markdownDialect, 'gfm');
+    assert.equal(settings.latexEngine, 'pdflatex');
+    assert.equal(settings.imageMode, 'embed');
+    assert.equal(settings.filenamePattern, DEFAULT_SETTINGS.filenamePattern);
+    assert.ok(!('extra' in settings));
+  });
+
+  it('keeps the math delimiters apart from the dialect', () => {
+    assert.deepEqual(
+      [normalizeSettings({}).mathDelimiters, normalizeSettings({}).markdownDialect],
+      ['dollars', 'gfm']
+    );
+    const settings = normalizeSettings({ mathDelimiters: 'brackets' });
+    assert.equal(settings.mathDelimiters, 'brackets');
+    assert.equal(settings.markdownDialect, 'gfm');
+    assert.equal(normalizeSettings({ mathDelimiters: 'parens' }).mathDelimiters, 'dollars');
+  });
+
+});
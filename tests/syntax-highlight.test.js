@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { highlightCode, resolveLanguage, languageName } from '../exporters/syntax-highlight.js';
+
+// Tokens of a one-line snippet, without plain text
+function classes(code, language) {
+  return highlightCode(code, language)[0].filter(token => token.type).map(token => [token.type, token.text]);
+}
+
+describe('resolveLanguage', () => {
+  it('maps aliases and ignores case', () => {
+    assert.equal(resolveLanguage('py'), 'python');
+    assert.equal(resolveLanguage('TSX'), 'typescript');
+    assert.equal(resolveLanguage('c++'), 'cpp');
+    assert.equal(resolveLanguage('zsh'), 'bash');
+    assert.equal(resolveLanguage('haskell'), null);
+    assert.equal(resolveLanguage(''), null);
+  });
+
+  it('names languages for captions', () => {
+    assert.equal(languageName('js'), 'JavaScript');
+    assert.equal(languageName('haskell'), 'haskell');
+    assert.equal(languageName('text'), '');
+    assert.equal(languageName(undefined), '');
+  });
+});
+
+describe('highlightCode', () => {
+  it('classifies Python keywords, literals, builtins, calls, strings and comments', () => {
+    assert.deepEqual(classes('if x is None: print(f"{x}", 0x1F)  # done', 'python'), [
+      ['keyword', 'if'], ['keyword', 'is'], ['literal', 'None'], ['builtin', 'print'],
+      ['string', 'f"{x}"'], ['number', '0x1F'], ['comment', '# done']
+    ]);
+  });
+
+  it('keeps multi-line strings and comments whole across lines', () => {
+    const lines = highlightCode('/* a\nb */ const s = `x\ny`;', 'javascript');
+    assert.deepEqual(lines[0], [{ type: 'comment', text: '/* a' }]);
+    assert.deepEqual(lines[1].slice(0, 3), [{ type: 'comment', text: 'b */' }, { type: null, text: ' ' }, { type: 'keyword', text: 'const' }]);
+    assert.deepEqual(lines[2][0], { type: 'string', text: 'y`' });
+  });
+
+  it('reads SQL keywords in any case', () => {
+    assert.deepEqual(classes("SELECT name FROM users WHERE id = 'a''b' -- x", 'sql'), [
+      ['keyword', 'SELECT'], ['keyword', 'FROM'], ['keyword', 'WHERE'], ['string', "'a''b'"], ['comment', '-- x']
+    ]);
+  });
+
+  it('marks bash variables and only treats # after whitespace as a comment', () => {
+    assert.deepEqual(classes('echo "$HOME" ${#arr} $# # note', 'bash'), [
+      ['builtin', 'echo'], ['string', '"$HOME"'], ['variable', '${#arr}'], ['variable', '$#'], ['comment', '# note']
+    ]);
+  });
+
+  it('tells JSON keys from string values', () => {
+    assert.deepEqual(classes('{"a": "b", "n": -1.5e3, "ok": true}', 'json'), [
+      ['property', '"a"'], ['string', '"b"'], ['property', '"n"'], ['number', '1.5e3'], ['property', '"ok"'], ['literal', 'true']
+    ]);
+  });
+
+  it('highlights C preprocessor lines and types', () => {
+    assert.deepEqual(classes('#include <stdio.h>', 'c'), [['meta', '#include <stdio.h>']]);
+    assert.deepEqual(classes('unsigned int n = sizeof(x);', 'c'), [['type', 'unsigned'], ['type', 'int'], ['keyword', 'sizeof']]);
+  });
+
+  it('returns unsupported languages as plain lines', () => {
+    assert.deepEqual(highlightCode('a\n\nb', 'haskell'), [[{ type: null, text: 'a' }], [], [{ type: null, text: 'b' }]]);
+  });
+});
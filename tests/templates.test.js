@@ -0,0 +1,99 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+
+import { renderTemplate, getTemplateValues, DEFAULT_LATEX_PREAMBLE } from '../exporters/template.js';
+import { MarkdownExporter } from '../exporters/markdown-exporter.js';
+import { LatexExporter } from '../exporters/latex-exporter.js';
+import { WordExporter } from '../exporters/word-exporter.js';
+import { loadExportFixture } from './helpers/golden.js';
+import { checkLatexSyntax } from './helpers/latex-syntax.js';
+
+const data = loadExportFixture('special-characters');
+
+before(async () => {
+  globalThis.docx = await import('docx');
+});
+
+describe('renderTemplate', () => {
+  it('fills placeholders and keeps unknown ones', () => {
+    assert.equal(
+      renderTemplate('{{title}} ({{ messageCount }}) {{unknown}}', { title: 'T', messageCount: '3' }),
+      'T (3) {{unknown}}'
+    );
+  });
+
+  it('escapes values, not the template', () => {
+    assert.equal(renderTemplate('\\title{{{title}}}', { title: '50%' }, value => value.replace('%', '\\%')), '\\title{50\\%}');
+  });
+
+  it('builds values from metadata', () => {
+    const values = getTemplateValues({ title: 'A', url: 'https://x', timestamp: '2024-03-05T12:00:00', messageCount: 2 });
+    assert.equal(values.date, '2024-03-05');
+    assert.equal(values.messageCount, '2');
+    assert.equal(values.url, 'https://x');
+  });
+});
+
+describe('Markdown header template', () => {
+  it('replaces the built-in header', () => {
+    const { content } = MarkdownExporter.exportToMarkdown(data, {
+      markdownTemplate: '---\ntitle: "{{title}}"\nmessages: {{messageCount}}\n---'
+    });
+    assert.ok(content.startsWith('---\ntitle: "Costs: 50% off & $5 {deal}"\nmessages: 1\n---\n\nSpecials:'));
+    assert.ok(!content.includes('Gemini Conversation Export'));
+  });
+});
+
+describe('LaTeX preamble template', () => {
+  const preamble = [
+    '\\documentclass[a4paper]{report}',
+    '\\usepackage{amsmath}',
+    '% \\usepackage{graphicx}',
+    '\\title{{{title}}}',
+    '\\begin{document}',
+    'ignored'
+  ].join('\n');
+  const { content } = LatexExporter.exportToLatex(data, { latexPreamble: preamble });
+
+  it('uses the custom document class and escapes placeholder values', () => {
+    assert.ok(content.startsWith('\\documentclass[a4paper]{report}\n'));
+    assert.ok(content.includes('\\title{Costs: 50\\% off \\& \\$5 \\{deal\\}}'));
+  });
+
+  it('adds packages the body needs, ignoring commented-out ones', () => {
+    assert.ok(content.includes('\\usepackage{graphicx}\n'));
+    assert.ok(content.includes('\\usepackage{hyperref}\n'));
+    assert.ok(!content.includes('\\usepackage{amsmath}\n\\usepackage{amsmath}'));
+    assert.equal(content.match(/\\usepackage\{amsmath\}/g).length, 1);
+  });
+
+  it('ends the preamble before \\begin{document}', () => {
+    assert.equal(content.match(/\\begin\{document\}/g).length, 1);
+    assert.ok(!content.includes('ignored'));
+    assert.deepEqual(checkLatexSyntax(content), []);
+  });
+
+  it('adds a document class when the template has none', () => {
+    const result = LatexExporter.exportToLatex(data, { latexPreamble: '\\usepackage{lmodern}' });
+    assert.ok(result.content.startsWith('\\documentclass[11pt]{article}\n\\usepackage{lmodern}\n'));
+  });
+
+  it('uses the built-in preamble by default', () => {
+    assert.ok(LatexExporter.exportToLatex(data).content.startsWith(DEFAULT_LATEX_PREAMBLE));
+  });
+});
+
+describe('Word reference styles', () => {
+  it('uses styles.xml from the reference document', async () => {
+    const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+      + '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/>'
+      + '<w:rPr><w:rFonts w:ascii="Reference Serif"/></w:rPr></w:style></w:styles>';
+
+    const { blob } = await WordExporter.exportToWord(data, { wordStyles: styles });
+    const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+    const xml = await zip.file('word/styles.xml').async('string');
+    assert.ok(xml.includes('Reference Serif'));
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseTurnRange, formatTurnRange } from '../turn-range.js';
+
+describe('parseTurnRange', () => {
+  it('reads single turns and ranges in any order', () => {
+    assert.deepEqual(parseTurnRange('7, 1-3', 10), [1, 2, 3, 7]);
+    assert.deepEqual(parseTurnRange('2 4;5', 10), [2, 4, 5]);
+    assert.deepEqual(parseTurnRange('3–4, 4', 10), [3, 4]);
+    assert.deepEqual(parseTurnRange('1 - 3', 10), [1, 2, 3]);
+    assert.deepEqual(parseTurnRange('1 -3 5 – 6', 10), [1, 2, 3, 5, 6]);
+  });
+
+  it('runs open ranges to the first or last turn', () => {
+    assert.deepEqual(parseTurnRange('8-', 10), [8, 9, 10]);
+    assert.deepEqual(parseTurnRange('-2', 10), [1, 2]);
+  });
+
+  it('returns nothing for an empty list', () => {
+    assert.deepEqual(parseTurnRange('  ', 10), []);
+  });
+
+  it('rejects malformed and out-of-range parts', () => {
+    assert.throws(() => parseTurnRange('1-3, x', 10), /Invalid turn range "x"/);
+    assert.throws(() => parseTurnRange('-', 10), /Invalid turn range/);
+    assert.throws(() => parseTurnRange('9-12', 10), /outside 1-10/);
+    assert.throws(() => parseTurnRange('0', 10), /outside 1-10/);
+    assert.throws(() => parseTurnRange('5-3', 10), /outside 1-10/);
+  });
+});
+
+describe('formatTurnRange', () => {
+  it('joins consecutive turns into ranges', () => {
+    assert.equal(formatTurnRange([7, 1, 2, 3, 9, 10]), '1-3, 7, 9-10');
+    assert.equal(formatTurnRange([4]), '4');
+    assert.equal(formatTurnRange([]), '');
+  });
+
+  it('round-trips with parseTurnRange', () => {
+    const numbers = [2, 3, 4, 8, 11, 12];
+    assert.deepEqual(parseTurnRange(formatTurnRange(numbers), 12), numbers);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Turn ranges for Gemini Chat Exporter
+ * Reads and writes the "1-3, 7" style lists used by the popup's turn picker.
+ */
+
+/**
+ * Parse a list of turn numbers and ranges
+ * @param {string} text - e.g. "1-3, 7, 10-"; an open range runs to the last turn
+ * @param {number} count - Number of turns in the conversation
+ * @returns {number[]} Sorted, unique 1-based turn numbers
+ */
+export function parseTurnRange(text, count) {
+  const numbers = new Set();
+
+  // Spaces also separate turns, so close them up around dashes first ("1 - 3" is a range)
+  const parts = String(text || '').replace(/\s*([-–])\s*/g, '$1').split(/[,;\s]+/).filter(Boolean);
+
+  for (const part of parts) {
+    const match = part.match(/^(\d*)[-–](\d*)$|^(\d+)$/);
+    if (!match || (match[1] === '' && match[2] === '')) {
+      throw new Error(`Invalid turn range "${part}"`);
+    }
+
+    const first = match[3] ? Number(match[3]) : Number(match[1] || 1);
+    const last = match[3] ? first : Number(match[2] || count);
+    if (first < 1 || last > count || first > last) {
+      throw new Error(`Turn range "${part}" is outside 1-${count}`);
+    }
+
+    for (let number = first; number <= last; number++) {
+      numbers.add(number);
+    }
+  }
+
+  return [...numbers].sort((a, b) => a - b);
+}
+
+/**
+ * Write turn numbers as a compact range list
+ * @param {number[]} numbers - 1-based turn numbers
+ * @returns {string} e.g. "1-3, 7"
+ */
+export function formatTurnRange(numbers) {
+  const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+  const parts = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const first = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(sorted[i] === first ? String(first) : `${first}-${sorted[i]}`);
+  }
+
+  return parts.join(', ');
+}